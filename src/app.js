@@ -0,0 +1,258 @@
+const express = require("express");
+const cors = require("cors");
+const { defaultConfig } = require("./config");
+const { getCollections, setupDatabase } = require("./db");
+const { createAuthMiddleware } = require("./middleware/auth");
+const { upload, documentUpload } = require("./middleware/upload");
+const { errorHandler } = require("./middleware/errorHandler");
+const { createBookingStateService } = require("./services/bookingState");
+const { createPromoCodeService } = require("./services/promoCodes");
+const { createInventoryService } = require("./services/inventory");
+const { createHoldService } = require("./services/holds");
+const { createSeatService } = require("./services/seats");
+const { createRefundService } = require("./services/refunds");
+const { createPaymentService } = require("./services/payments");
+const { createRevenueService } = require("./services/revenue");
+const { createAdminReportService } = require("./services/adminReports");
+const { createTicketSearchService } = require("./services/ticketSearch");
+const { createMediaService } = require("./services/media");
+const { createNotificationService } = require("./services/notifications");
+const { createDepartureService } = require("./services/departures");
+const { createSchedulerService } = require("./services/scheduler");
+const { createAuditService } = require("./services/audit");
+const { createAccountService } = require("./services/accounts");
+const { createVendorService } = require("./services/vendors");
+const {
+  createTicketModerationService,
+} = require("./services/ticketModeration");
+const { createScheduleService } = require("./services/schedules");
+const { createStorage } = require("./storage");
+const { createMailTransport } = require("./mail/transports");
+const { createUsersRouter } = require("./routes/users");
+const { createBookingsRouter } = require("./routes/bookings");
+const { createPaymentsRouter } = require("./routes/payments");
+const { createTicketsRouter } = require("./routes/tickets");
+const { createVendorRouter } = require("./routes/vendor");
+const {
+  createVendorApplicationsRouter,
+} = require("./routes/vendorApplications");
+const { createAdminRouter } = require("./routes/admin");
+const { createPromoCodesRouter } = require("./routes/promoCodes");
+const { createMediaRouter } = require("./routes/media");
+const { createCronRouter } = require("./routes/cron");
+const { createSchedulesRouter } = require("./routes/schedules");
+
+// Work the scheduler runs in the background, every intervalMinutes
+function scheduledJobs(services) {
+  return [
+    {
+      name: "expire-holds",
+      description: "Release seats held by unpaid bookings past their hold",
+      intervalMinutes: 1,
+      run: async () => ({ expired: await services.expireStaleHolds() }),
+    },
+    {
+      name: "send-notifications",
+      description: "Deliver queued email notifications",
+      intervalMinutes: 1,
+      run: () => services.processOutbox(),
+    },
+    {
+      name: "retry-refunds",
+      description: "Issue refunds of cancelled bookings that Stripe failed",
+      intervalMinutes: 5,
+      run: () => services.retryPendingRefunds(),
+    },
+    {
+      name: "departure-reminders",
+      description: "Email customers 24 hours and 2 hours before departure",
+      intervalMinutes: 10,
+      run: () => services.sendDepartureReminders(),
+    },
+    {
+      name: "complete-bookings",
+      description: "Mark paid bookings completed once their trip has left",
+      intervalMinutes: 15,
+      run: () => services.completeDepartedBookings(),
+    },
+    {
+      name: "lift-suspensions",
+      description: "Reinstate accounts whose suspension has ended",
+      intervalMinutes: 5,
+      run: () => services.liftExpiredSuspensions(),
+    },
+    {
+      name: "generate-departures",
+      description: "Create departures of recurring schedules ahead of time",
+      intervalMinutes: 60,
+      run: () => services.generateScheduledDepartures(),
+    },
+    {
+      name: "ticket-availability",
+      description: "Hide sold out and departed tickets from listings",
+      intervalMinutes: 5,
+      run: () => services.updateTicketAvailability(),
+    },
+  ];
+}
+
+// Wire the services that hold the business rules to the collections and
+// external clients they need
+function createServices({
+  client,
+  collections,
+  stripe,
+  storage,
+  mailTransport,
+  config,
+}) {
+  const bookingState = createBookingStateService(collections);
+  const promoCodes = createPromoCodeService(collections);
+  const inventory = createInventoryService({
+    client,
+    ...collections,
+    ...bookingState,
+    ...promoCodes,
+  });
+  const holds = createHoldService({ config, ...collections, ...inventory });
+  const seats = createSeatService({ ...collections, ...holds });
+  const refunds = createRefundService(collections);
+  const notifications = createNotificationService({
+    ...collections,
+    transport: mailTransport,
+    config,
+  });
+  const payments = createPaymentService({
+    stripe,
+    ...collections,
+    ...bookingState,
+    ...inventory,
+    ...refunds,
+    ...notifications,
+  });
+  const accounts = createAccountService({
+    ...collections,
+    ...inventory,
+    ...payments,
+    ...notifications,
+  });
+  const departures = createDepartureService({
+    ...collections,
+    ...bookingState,
+    ...notifications,
+  });
+
+  const services = {
+    ...bookingState,
+    ...promoCodes,
+    ...inventory,
+    ...holds,
+    ...seats,
+    ...refunds,
+    ...notifications,
+    ...payments,
+    ...accounts,
+    ...departures,
+    ...createRevenueService(collections),
+    ...createAdminReportService(collections),
+    ...createTicketSearchService(collections),
+    ...createMediaService({ ...collections, storage }),
+    ...createAuditService(collections),
+    ...createVendorService({ ...collections, ...notifications }),
+    ...createTicketModerationService({ ...collections, ...notifications }),
+    ...createScheduleService({ ...collections, ...notifications }),
+  };
+  return {
+    ...services,
+    ...createSchedulerService({
+      ...collections,
+      jobs: scheduledJobs(services),
+    }),
+  };
+}
+
+// Build the app around its external services so tests can swap in an
+// in-memory database, a fake token verifier and a fake Stripe client.
+// verifyIdToken(token) resolves to the decoded Firebase token. Uploads go
+// to the configured media storage and email to the configured transport
+// unless a storage backend or mail transport is passed in.
+function createApp({
+  client,
+  verifyIdToken,
+  stripe,
+  storage,
+  mailTransport,
+  config: overrides = {},
+}) {
+  const config = { ...defaultConfig, ...overrides };
+
+  const app = express();
+  // Behind a proxy the client address is in X-Forwarded-For
+  app.set("trust proxy", config.trustProxy);
+  app.use(
+    cors({
+      origin: config.clientDomain,
+      credentials: true,
+    })
+  );
+  // Keep the raw body around for Stripe webhook signature checks
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  const db = client.db(config.dbName);
+  const collections = getCollections(db);
+  const services = createServices({
+    client,
+    collections,
+    stripe,
+    storage: storage || createStorage(config, db),
+    mailTransport: mailTransport || createMailTransport(config),
+    config,
+  });
+  const auth = createAuthMiddleware({
+    verifyIdToken,
+    usersCollection: collections.usersCollection,
+  });
+  const deps = {
+    collections,
+    services,
+    auth,
+    upload,
+    documentUpload,
+    stripe,
+    config,
+  };
+
+  app.use(createUsersRouter(deps));
+  app.use(createBookingsRouter(deps));
+  app.use(createPaymentsRouter(deps));
+  app.use(createTicketsRouter(deps));
+  app.use(createSchedulesRouter(deps));
+  app.use(createVendorRouter(deps));
+  app.use(createVendorApplicationsRouter(deps));
+  app.use(createAdminRouter(deps));
+  app.use(createPromoCodesRouter(deps));
+  app.use(createMediaRouter(deps));
+  app.use(createCronRouter(deps));
+
+  app.use(errorHandler);
+
+  app.get("/", (req, res) => {
+    res.send("Hello from Server..");
+  });
+
+  return {
+    app,
+    setupDatabase: () => setupDatabase(db, config),
+    expireStaleHolds: services.expireStaleHolds,
+    processOutbox: services.processOutbox,
+    runDueJobs: services.runDueJobs,
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,136 @@
+// Thrown at startup when the environment can't run the server
+class ConfigError extends Error {}
+
+const defaultConfig = {
+  dbName: "ticketbariDB",
+  clientDomain: undefined,
+  // How long an accepted booking keeps its seats for payment before it
+  // expires
+  seatHoldMinutes: 15,
+  // How long a vendor has to accept or reject a new booking request
+  vendorAcceptanceMinutes: 24 * 60,
+  stripeWebhookSecret: undefined,
+  // Signs the QR codes on e-tickets
+  ticketSigningSecret: undefined,
+  // Where uploaded images are kept: gridfs, local or s3
+  mediaStorage: "gridfs",
+  mediaDir: "uploads",
+  // Base for media links handed to clients; defaults to the request host
+  publicUrl: undefined,
+  // How email notifications are delivered: smtp, file or console
+  mailTransport: "console",
+  mailDir: "mail",
+  mailFrom: "TicketBari <no-reply@ticketbari.com>",
+  smtpUrl: undefined,
+  // Bearer token Vercel Cron sends to GET /cron/jobs
+  cronSecret: undefined,
+  // Proxy hops in front of the app, for client addresses in the audit log
+  trustProxy: 0,
+};
+
+const MEDIA_STORAGES = ["gridfs", "local", "s3"];
+const MAIL_TRANSPORTS = ["smtp", "file", "console"];
+
+// FB_SERVICE_KEY holds the Firebase service account JSON, base64 encoded
+function decodeServiceAccount(value) {
+  try {
+    return JSON.parse(Buffer.from(value, "base64").toString("utf-8"));
+  } catch {
+    throw new ConfigError("FB_SERVICE_KEY is not a base64 encoded JSON key");
+  }
+}
+
+// Read and check the environment once at startup so a bad deploy fails
+// straight away instead of on its first request
+function loadConfig(env = process.env) {
+  const missing = [
+    "MONGODB_URI",
+    "FB_SERVICE_KEY",
+    "TICKET_SIGNING_SECRET",
+  ].filter((name) => !env[name]);
+  if (missing.length) {
+    throw new ConfigError(
+      `Missing required environment variables: ${missing.join(", ")}`
+    );
+  }
+
+  const seatHoldMinutes =
+    env.SEAT_HOLD_MINUTES === undefined
+      ? defaultConfig.seatHoldMinutes
+      : Number(env.SEAT_HOLD_MINUTES);
+  if (!Number.isFinite(seatHoldMinutes) || seatHoldMinutes <= 0) {
+    throw new ConfigError("SEAT_HOLD_MINUTES must be a positive number");
+  }
+
+  const vendorAcceptanceMinutes =
+    env.VENDOR_ACCEPTANCE_MINUTES === undefined
+      ? defaultConfig.vendorAcceptanceMinutes
+      : Number(env.VENDOR_ACCEPTANCE_MINUTES);
+  if (
+    !Number.isFinite(vendorAcceptanceMinutes) ||
+    vendorAcceptanceMinutes <= 0
+  ) {
+    throw new ConfigError(
+      "VENDOR_ACCEPTANCE_MINUTES must be a positive number"
+    );
+  }
+
+  const trustProxy =
+    env.TRUST_PROXY === undefined
+      ? defaultConfig.trustProxy
+      : Number(env.TRUST_PROXY);
+  if (!Number.isInteger(trustProxy) || trustProxy < 0) {
+    throw new ConfigError("TRUST_PROXY must be a whole number of proxies");
+  }
+
+  const mediaStorage = env.MEDIA_STORAGE || defaultConfig.mediaStorage;
+  if (!MEDIA_STORAGES.includes(mediaStorage)) {
+    throw new ConfigError(
+      `MEDIA_STORAGE must be one of ${MEDIA_STORAGES.join(", ")}`
+    );
+  }
+  if (mediaStorage === "s3" && !env.S3_BUCKET) {
+    throw new ConfigError("S3_BUCKET is required for s3 media storage");
+  }
+
+  const mailTransport = env.MAIL_TRANSPORT || defaultConfig.mailTransport;
+  if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+    throw new ConfigError(
+      `MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(", ")}`
+    );
+  }
+  if (mailTransport === "smtp" && !env.SMTP_URL) {
+    throw new ConfigError("SMTP_URL is required for the smtp mail transport");
+  }
+
+  return {
+    ...defaultConfig,
+    port: env.PORT || 3000,
+    mongodbUri: env.MONGODB_URI,
+    serviceAccount: decodeServiceAccount(env.FB_SERVICE_KEY),
+    stripeSecretKey: env.STRIPE_SECRET_KEY,
+    stripeWebhookSecret: env.STRIPE_WEBHOOK_SECRET,
+    ticketSigningSecret: env.TICKET_SIGNING_SECRET,
+    clientDomain: env.CLIENT_DOMAIN,
+    seatHoldMinutes,
+    vendorAcceptanceMinutes,
+    mediaStorage,
+    mediaDir: env.MEDIA_DIR || defaultConfig.mediaDir,
+    publicUrl: env.PUBLIC_URL?.replace(/\/+$/, ""),
+    s3: {
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    },
+    mailTransport,
+    mailDir: env.MAIL_DIR || defaultConfig.mailDir,
+    mailFrom: env.MAIL_FROM || defaultConfig.mailFrom,
+    smtpUrl: env.SMTP_URL,
+    cronSecret: env.CRON_SECRET,
+    trustProxy,
+  };
+}
+
+module.exports = { ConfigError, defaultConfig, loadConfig };
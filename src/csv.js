@@ -0,0 +1,37 @@
+// CSV output for report exports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(formatCell).join(",") + "\r\n";
+}
+
+// Stream rows to the response as a CSV download. columns is a list of
+// { key, header }; rows may be an array or an async iterable such as a
+// MongoDB cursor.
+async function sendCsv(res, filename, columns, rows) {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.write(csvLine(columns.map((column) => column.header)));
+  for await (const row of rows) {
+    res.write(csvLine(columns.map((column) => row[column.key])));
+  }
+  res.end();
+}
+
+module.exports = { formatCell, csvLine, sendCsv };
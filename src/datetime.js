@@ -0,0 +1,121 @@
+// Dates and times in IANA time zones
+// Trips are entered as a local date and clock time where the trip starts.
+// They are stored as UTC instants (departureAt, arrivalAt) alongside the
+// time zone, with the local date and time kept for display and search.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Whether text is a YYYY-MM-DD date that exists on the calendar. Date.UTC
+// rolls 2030-02-31 over to March, so the date has to survive a round trip.
+function isValidDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const [year, month, day] = text.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.toISOString().slice(0, 10) === text;
+}
+
+// "9:00 AM", "9:00pm" or "21:00" to { hours, minutes }, or null
+function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/.exec(
+    String(text ?? "").trim()
+  );
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+  if (minutes > 59) return null;
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (period === "PM" ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return { hours, minutes };
+}
+
+function formatClockTime({ hours, minutes }) {
+  const period = hours >= 12 ? "PM" : "AM";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${period}`;
+}
+
+// The wall clock in a time zone at an instant
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+}
+
+// How far a time zone's wall clock is ahead of UTC at an instant
+function offsetMs(date, timeZone) {
+  const { date: day, hours, minutes, seconds } = zonedParts(date, timeZone);
+  const [year, month, dayOfMonth] = day.split("-").map(Number);
+  const wall = Date.UTC(year, month - 1, dayOfMonth, hours, minutes, seconds);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a YYYY-MM-DD date and clock time happen in a time zone. A
+// time skipped by a daylight saving change is moved forward by the gap; a
+// time that happens twice resolves to the first.
+function zonedTimeToUtc(date, { hours, minutes }, timeZone) {
+  if (!isValidDate(date)) return null;
+  const [year, month, day] = date.split("-").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  if (Number.isNaN(wall)) return null;
+
+  // Try the offsets in force a day either side, which covers any change
+  const candidates = [-DAY_MS, DAY_MS].map(
+    (shift) => wall - offsetMs(new Date(wall + shift), timeZone)
+  );
+  const valid = candidates.filter(
+    (utc) => offsetMs(new Date(utc), timeZone) === wall - utc
+  );
+  return new Date(valid.length ? Math.min(...valid) : Math.max(...candidates));
+}
+
+// The local date and clock time of an instant in a time zone
+function toZonedDateTime(date, timeZone) {
+  const { date: day, hours, minutes } = zonedParts(date, timeZone);
+  return { date: day, time: formatClockTime({ hours, minutes }) };
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * MINUTE_MS);
+}
+
+module.exports = {
+  isValidTimeZone,
+  isValidDate,
+  parseClockTime,
+  formatClockTime,
+  zonedTimeToUtc,
+  toZonedDateTime,
+  addMinutes,
+};
@@ -0,0 +1,572 @@
+const { ACTIVE_BOOKING_STATUSES } = require("./services/bookingState");
+const { getHoldExpiry } = require("./services/holds");
+const { TICKET_SEARCH_COLLATION } = require("./services/ticketSearch");
+const { buildTripSchedule } = require("./services/tripSchedule");
+const { CURRENCIES, DEFAULT_CURRENCY, MINOR_UNITS } = require("./money");
+
+function getCollections(db) {
+  return {
+    ticketsCollection: db.collection("tickets"),
+    usersCollection: db.collection("users"),
+    bookingsCollection: db.collection("bookings"),
+    paymentCollection: db.collection("payments"),
+    stripeEventsCollection: db.collection("stripeEvents"),
+    refundsCollection: db.collection("refunds"),
+    mediaCollection: db.collection("media"),
+    notificationsCollection: db.collection("notifications"),
+    jobsCollection: db.collection("jobs"),
+    jobRunsCollection: db.collection("jobRuns"),
+    promoCodesCollection: db.collection("promoCodes"),
+    promoRedemptionsCollection: db.collection("promoRedemptions"),
+    auditLogCollection: db.collection("auditLog"),
+    vendorApplicationsCollection: db.collection("vendorApplications"),
+    ticketRevisionsCollection: db.collection("ticketRevisions"),
+    schedulesCollection: db.collection("schedules"),
+    migrationsCollection: db.collection("migrations"),
+  };
+}
+
+// Attach a $jsonSchema validator, creating the collection if needed
+async function applyCollectionValidator(db, name, schema) {
+  const options = {
+    validator: { $jsonSchema: schema },
+    validationLevel: "moderate",
+  };
+  const exists = await db.listCollections({ name }).hasNext();
+  if (exists) {
+    await db.command({ collMod: name, ...options });
+  } else {
+    await db.createCollection(name, options);
+  }
+}
+
+// The schedule of a ticket or booking saved before departureAt existed.
+// Its departure was free text read in the default time zone; an arrival
+// time that can't be read is dropped rather than failing the whole trip.
+function legacySchedule(trip) {
+  for (const arrivalTime of [trip.arrivalTime, undefined]) {
+    try {
+      return buildTripSchedule({
+        departureDate: trip.departureDate,
+        departureTime: trip.departureTime,
+        timeZone: trip.timeZone,
+        arrivalTime,
+      });
+    } catch {
+      // Try again without the arrival
+    }
+  }
+  return null;
+}
+
+// Give documents without departureAt a schedule. Tickets take the whole
+// normalized schedule; bookings keep the times they were shown.
+async function migrateTripSchedules(collection, pickFields) {
+  const cursor = collection.find({
+    departureAt: { $exists: false },
+    departureDate: { $type: "string" },
+  });
+
+  let updates = [];
+  let skipped = 0;
+  for await (const trip of cursor) {
+    const schedule = legacySchedule(trip);
+    if (!schedule) {
+      skipped++;
+      continue;
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id: trip._id },
+        update: { $set: pickFields(schedule) },
+      },
+    });
+    if (updates.length === 500) {
+      await collection.bulkWrite(updates);
+      updates = [];
+    }
+  }
+  if (updates.length) await collection.bulkWrite(updates);
+  if (skipped) {
+    console.warn(
+      `${skipped} ${collection.collectionName} have a departure that can't be read`
+    );
+  }
+}
+
+// A major-unit amount as whole minor units; missing values stay missing
+function minorUnits(value) {
+  return {
+    $cond: [
+      { $isNumber: value },
+      { $round: [{ $multiply: [value, MINOR_UNITS] }, 0] },
+      value,
+    ],
+  };
+}
+
+// An array of objects with one amount field converted to minor units;
+// anything other than an array is left as it is
+function minorUnitsIn(path, field) {
+  return {
+    $cond: [
+      { $isArray: `$${path}` },
+      {
+        $map: {
+          input: `$${path}`,
+          as: "item",
+          in: {
+            $mergeObjects: [
+              "$$item",
+              { [field]: minorUnits(`$$item.${field}`) },
+            ],
+          },
+        },
+      },
+      `$${path}`,
+    ],
+  };
+}
+
+// An embedded object with some of its fields changed, if it is an object
+function mergeInto(path, fields) {
+  return {
+    $cond: [
+      { $eq: [{ $type: `$${path}` }, "object"] },
+      { $mergeObjects: [`$${path}`, fields] },
+      `$${path}`,
+    ],
+  };
+}
+
+// Run a data migration unless the migrations collection records it as
+// done. One that died part way runs again, so each must be safe to repeat.
+async function runMigrationOnce(migrationsCollection, name, migrate) {
+  const done = await migrationsCollection.findOne({
+    _id: name,
+    finishedAt: { $exists: true },
+  });
+  if (done) return;
+
+  const startedAt = new Date().toISOString();
+  await migrate();
+  await migrationsCollection.updateOne(
+    { _id: name },
+    { $set: { startedAt, finishedAt: new Date().toISOString() } },
+    { upsert: true }
+  );
+}
+
+// Money was stored as floats in major units before amounts became integer
+// minor units with a currency. Documents without a currency are priced in
+// the default currency. Each is converted by a single update that also sets
+// its currency, so a document is never left half converted and a repeated
+// run skips the ones already done.
+async function migrateMoneyToMinorUnits({
+  ticketsCollection,
+  bookingsCollection,
+  paymentCollection,
+  refundsCollection,
+  promoCodesCollection,
+  promoRedemptionsCollection,
+}) {
+  const unconverted = { currency: { $exists: false } };
+  const currency = DEFAULT_CURRENCY;
+
+  await ticketsCollection.updateMany(unconverted, [
+    {
+      $set: {
+        price: minorUnits("$price"),
+        fareRules: mergeInto("fareRules", {
+          fareClasses: minorUnitsIn("fareRules.fareClasses", "price"),
+        }),
+        currency,
+      },
+    },
+  ]);
+
+  await bookingsCollection.updateMany(unconverted, [
+    {
+      $set: {
+        unitPrice: minorUnits("$unitPrice"),
+        totalPrice: minorUnits("$totalPrice"),
+        refundAmount: minorUnits("$refundAmount"),
+        pricing: mergeInto("pricing", {
+          subtotal: minorUnits("$pricing.subtotal"),
+          discount: minorUnits("$pricing.discount"),
+          lines: minorUnitsIn("pricing.lines", "amount"),
+        }),
+        currency,
+      },
+    },
+  ]);
+
+  await paymentCollection.updateMany(unconverted, [
+    {
+      $set: {
+        amount: minorUnits("$amount"),
+        refundedAmount: minorUnits("$refundedAmount"),
+        currency,
+      },
+    },
+  ]);
+  await refundsCollection.updateMany(unconverted, [
+    { $set: { amount: minorUnits("$amount"), currency } },
+  ]);
+
+  // Percentage codes keep their value; fixed ones and caps are amounts
+  await promoCodesCollection.updateMany(unconverted, [
+    {
+      $set: {
+        value: {
+          $cond: [{ $eq: ["$type", "fixed"] }, minorUnits("$value"), "$value"],
+        },
+        maxDiscount: minorUnits("$maxDiscount"),
+        currency,
+      },
+    },
+  ]);
+  await promoRedemptionsCollection.updateMany(unconverted, [
+    { $set: { discount: minorUnits("$discount"), currency } },
+  ]);
+}
+
+// Create indexes and bring documents written by older versions up to date
+async function setupDatabase(db, config) {
+  const {
+    ticketsCollection,
+    usersCollection,
+    bookingsCollection,
+    refundsCollection,
+    notificationsCollection,
+    jobRunsCollection,
+    promoCodesCollection,
+    promoRedemptionsCollection,
+    auditLogCollection,
+    vendorApplicationsCollection,
+    ticketRevisionsCollection,
+    schedulesCollection,
+    migrationsCollection,
+  } = getCollections(db);
+
+  // Bookings made before seat maps only carry a single seatNumber
+  await bookingsCollection.updateMany(
+    { seatNumbers: { $exists: false }, seatNumber: { $type: "string" } },
+    [{ $set: { seatNumbers: ["$seatNumber"] } }]
+  );
+
+  // status is the only booking state now. Older seat indexes keyed on the
+  // retired bookingStatus field are replaced by one on status.
+  for (const name of ["ticketId_1_seatNumber_1", "active_seat_numbers"]) {
+    await bookingsCollection.dropIndex(name).catch((error) => {
+      if (error.codeName !== "IndexNotFound") throw error;
+    });
+  }
+
+  // A seat can only belong to one active booking per ticket. Unique
+  // constraints on an array field apply across documents, so every seat in
+  // seatNumbers is reserved atomically with the booking insert.
+  await bookingsCollection.createIndex(
+    { ticketId: 1, seatNumbers: 1 },
+    {
+      name: "active_seats",
+      unique: true,
+      partialFilterExpression: {
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      },
+    }
+  );
+
+  await bookingsCollection.updateMany(
+    { bookingStatus: { $exists: true } },
+    { $unset: { bookingStatus: "" } }
+  );
+
+  // Second line of defence behind request validation. "moderate" leaves
+  // existing documents that predate a rule editable.
+  await applyCollectionValidator(db, "tickets", {
+    bsonType: "object",
+    required: ["title", "from", "to", "price", "quantity", "vendorEmail"],
+    properties: {
+      title: { bsonType: "string" },
+      from: { bsonType: "string" },
+      to: { bsonType: "string" },
+      price: { bsonType: "number", minimum: 0, multipleOf: 1 },
+      currency: { enum: CURRENCIES },
+      quantity: { bsonType: "number", minimum: 0 },
+      vendorEmail: { bsonType: "string" },
+      verificationStatus: { enum: ["pending", "approved", "rejected"] },
+      isAdvertised: { bsonType: "bool" },
+    },
+  });
+  await applyCollectionValidator(db, "bookings", {
+    bsonType: "object",
+    required: ["ticketId", "userEmail", "quantity", "status"],
+    properties: {
+      ticketId: { bsonType: "objectId" },
+      userEmail: { bsonType: "string" },
+      quantity: { bsonType: "number", minimum: 1 },
+      totalPrice: { bsonType: "number", minimum: 0, multipleOf: 1 },
+      currency: { enum: CURRENCIES },
+      seatNumbers: { bsonType: "array", items: { bsonType: "string" } },
+      status: {
+        enum: [
+          "pending",
+          "accepted",
+          "paid",
+          "completed",
+          "rejected",
+          "cancelled",
+          "expired",
+          "refunded",
+        ],
+      },
+    },
+  });
+
+  await applyCollectionValidator(db, "schedules", {
+    bsonType: "object",
+    required: [
+      "title",
+      "from",
+      "to",
+      "price",
+      "quantity",
+      "vendorEmail",
+      "departureTime",
+      "recurrence",
+    ],
+    properties: {
+      price: { bsonType: "number", minimum: 0, multipleOf: 1 },
+      currency: { enum: CURRENCIES },
+      quantity: { bsonType: "number", minimum: 1 },
+      vendorEmail: { bsonType: "string" },
+      recurrence: {
+        bsonType: "object",
+        required: ["frequency"],
+        properties: {
+          frequency: { enum: ["daily", "weekdays", "weekly", "dates"] },
+        },
+      },
+      verificationStatus: { enum: ["pending", "approved", "rejected"] },
+      status: { enum: ["active", "ended"] },
+    },
+  });
+  await applyCollectionValidator(db, "auditLog", {
+    bsonType: "object",
+    required: ["actor", "action", "target", "createdAt"],
+    properties: {
+      actor: { bsonType: "string" },
+      action: { bsonType: "string" },
+      target: {
+        bsonType: "object",
+        required: ["type", "id"],
+        properties: {
+          type: { bsonType: "string" },
+          id: { bsonType: "string" },
+        },
+      },
+      createdAt: { bsonType: "string" },
+    },
+  });
+
+  // Stock checks compare numbers, so coerce tickets saved with string values
+  await ticketsCollection.updateMany({ quantity: { $type: "string" } }, [
+    {
+      $set: {
+        quantity: {
+          $convert: { input: "$quantity", to: "int", onError: "$quantity" },
+        },
+      },
+    },
+  ]);
+  await ticketsCollection.updateMany({ price: { $type: "string" } }, [
+    {
+      $set: {
+        price: {
+          $convert: { input: "$price", to: "double", onError: "$price" },
+        },
+      },
+    },
+  ]);
+
+  // Amounts are integer minor units in a currency
+  await runMigrationOnce(migrationsCollection, "money-minor-units", () =>
+    migrateMoneyToMinorUnits(getCollections(db))
+  );
+
+  // quantity is now live stock, so keep the original capacity for seat maps
+  await ticketsCollection.updateMany({ totalSeats: { $exists: false } }, [
+    { $set: { totalSeats: "$quantity" } },
+  ]);
+
+  // Departures were free-form date and time strings before departureAt
+  await migrateTripSchedules(ticketsCollection, (schedule) => schedule);
+  await migrateTripSchedules(
+    bookingsCollection,
+    ({ departureAt, arrivalAt, timeZone }) => ({
+      departureAt,
+      arrivalAt,
+      timeZone,
+    })
+  );
+
+  // Vendors marked as fraud before account restrictions were banned in
+  // all but name. Their hidden tickets come back if they are reinstated.
+  const fraudVendors = await usersCollection
+    .find({ isFraud: true, accountStatus: { $exists: false } })
+    .toArray();
+  for (const vendor of fraudVendors) {
+    await ticketsCollection.updateMany(
+      { vendorEmail: vendor.email, isHidden: true },
+      { $set: { hiddenForAccount: true } }
+    );
+    await usersCollection.updateOne(
+      { _id: vendor._id },
+      {
+        $set: {
+          accountStatus: "banned",
+          restriction: {
+            reason: "Marked as fraud",
+            by: null,
+            at: null,
+            expiresAt: null,
+          },
+        },
+      }
+    );
+  }
+
+  // Unpaid bookings from before seat holds get a fresh hold window
+  await bookingsCollection.updateMany(
+    {
+      status: { $in: ["pending", "accepted"] },
+      holdExpiresAt: { $exists: false },
+    },
+    { $set: { holdExpiresAt: getHoldExpiry(config.seatHoldMinutes) } }
+  );
+
+  await ticketsCollection.createIndexes([
+    {
+      key: { verificationStatus: 1, from: 1, to: 1, departureDate: 1 },
+      name: "search_route_departure",
+      collation: TICKET_SEARCH_COLLATION,
+    },
+    {
+      key: { verificationStatus: 1, transportType: 1, price: 1 },
+      name: "search_type_price",
+      collation: TICKET_SEARCH_COLLATION,
+    },
+    {
+      key: { vendorEmail: 1, createdAt: -1 },
+      name: "vendor_created",
+      collation: TICKET_SEARCH_COLLATION,
+    },
+    {
+      key: { createdAt: -1 },
+      name: "created",
+      collation: TICKET_SEARCH_COLLATION,
+    },
+    {
+      key: { departureAt: 1 },
+      name: "departure",
+      collation: TICKET_SEARCH_COLLATION,
+    },
+  ]);
+
+  // The scheduler finds paid bookings by how soon they leave
+  await bookingsCollection.createIndex(
+    { status: 1, departureAt: 1 },
+    { name: "status_departure" }
+  );
+
+  // Vendor analytics look up bookings by ticket and refunds by booking
+  await bookingsCollection.createIndex(
+    { ticketId: 1, status: 1 },
+    { name: "ticket_status" }
+  );
+  await refundsCollection.createIndex({ bookingId: 1 }, { name: "booking" });
+
+  // Refunds Stripe hasn't taken yet are retried by the scheduler
+  await bookingsCollection.createIndex(
+    { refundStatus: 1 },
+    { name: "refund_status", sparse: true }
+  );
+
+  // The outbox worker picks up pending messages in the order they fall due
+  await notificationsCollection.createIndex(
+    { status: 1, nextAttemptAt: 1 },
+    { name: "status_due" }
+  );
+
+  // Admins browse job runs newest first, optionally for one job
+  await jobRunsCollection.createIndexes([
+    { key: { startedAt: -1 }, name: "started" },
+    { key: { job: 1, startedAt: -1 }, name: "job_started" },
+  ]);
+
+  // The scheduler finds suspensions that have run out
+  await usersCollection.createIndex(
+    { accountStatus: 1, "restriction.expiresAt": 1 },
+    { name: "account_status_expiry" }
+  );
+
+  // A user has at most one application under review, and admins work
+  // through the queue by status and age
+  await vendorApplicationsCollection.createIndexes([
+    {
+      key: { userEmail: 1 },
+      name: "pending_user",
+      unique: true,
+      partialFilterExpression: { status: "pending" },
+    },
+    { key: { status: 1, createdAt: 1 }, name: "status_created" },
+  ]);
+
+  // A schedule has one departure per date. Vendors list their schedules
+  // and admins work through them by review status.
+  await ticketsCollection.createIndex(
+    { scheduleId: 1, departureDate: 1 },
+    {
+      name: "schedule_departure",
+      unique: true,
+      partialFilterExpression: { scheduleId: { $exists: true } },
+    }
+  );
+  await schedulesCollection.createIndexes([
+    { key: { vendorEmail: 1, createdAt: -1 }, name: "vendor_created" },
+    {
+      key: { verificationStatus: 1, createdAt: -1 },
+      name: "review_created",
+    },
+  ]);
+
+  // A ticket's revisions are read oldest first
+  await ticketRevisionsCollection.createIndex(
+    { ticketId: 1, createdAt: 1 },
+    { name: "ticket_created" }
+  );
+
+  // Admins browse the audit log newest first, by actor or by target
+  await auditLogCollection.createIndexes([
+    { key: { createdAt: -1 }, name: "created" },
+    { key: { actor: 1, createdAt: -1 }, name: "actor_created" },
+    {
+      key: { "target.type": 1, "target.id": 1, createdAt: -1 },
+      name: "target_created",
+    },
+  ]);
+
+  // Promo codes are looked up by code; a booking redeems at most one, and
+  // per-customer limits count a customer's redemptions of a code
+  await promoCodesCollection.createIndex(
+    { code: 1 },
+    { name: "code", unique: true }
+  );
+  await promoRedemptionsCollection.createIndexes([
+    { key: { bookingId: 1 }, name: "booking", unique: true },
+    { key: { promoCodeId: 1, userEmail: 1 }, name: "code_user" },
+  ]);
+}
+
+module.exports = { getCollections, applyCollectionValidator, setupDatabase };
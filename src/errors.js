@@ -0,0 +1,9 @@
+// Thrown inside a transaction to abort it and answer with an HTTP error
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { RequestError };
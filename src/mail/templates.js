@@ -0,0 +1,172 @@
+const { formatMoney } = require("../money");
+
+// Email templates
+// Each template takes the event data and the recipient's name and returns
+// a subject and the lines of the body. The HTML part is built from the
+// same lines so both versions always say the same thing.
+
+function tripLine({ from, to, departureDate, departureTime }) {
+  return `${from} to ${to}, departing ${departureDate} ${
+    departureTime || ""
+  }`.trim();
+}
+
+function bookingLines(booking) {
+  return [
+    `Booking reference: ${booking.bookingReference}`,
+    `Trip: ${tripLine(booking)}`,
+    `Seat(s): ${(booking.seatNumbers || []).join(", ") || "N/A"}`,
+    `Total: ${formatMoney(booking.totalPrice, booking.currency)}`,
+  ];
+}
+
+const templates = {
+  "booking.created": ({ booking }) => ({
+    subject: `Booking request received: ${booking.bookingReference}`,
+    lines: [
+      "We've received your booking request. The vendor will confirm it shortly.",
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "booking.accepted": ({ booking }) => ({
+    subject: `Booking confirmed, ready to pay: ${booking.bookingReference}`,
+    lines: [
+      "Good news: the vendor accepted your booking.",
+      `Please pay before ${booking.holdExpiresAt} to keep your seats.`,
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "booking.rejected": ({ booking, note }) => ({
+    subject: `Booking not accepted: ${booking.bookingReference}`,
+    lines: [
+      "Sorry, the vendor couldn't accept your booking and your seats have been released.",
+      ...(note ? [`Vendor's note: ${note}`] : []),
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "booking.paid": ({ booking, amount, transactionId }) => ({
+    subject: `Payment received: ${booking.bookingReference}`,
+    lines: [
+      `Thanks, we've received your payment of ${formatMoney(
+        amount,
+        booking.currency
+      )}.`,
+      `Transaction: ${transactionId}`,
+      "Your e-ticket is ready to download from your bookings.",
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "booking.cancelled": ({ booking, refundAmount, note }) => ({
+    subject: `Booking cancelled: ${booking.bookingReference}`,
+    lines: [
+      "Your booking has been cancelled.",
+      ...(note ? [note] : []),
+      ...(refundAmount
+        ? [
+            `A refund of ${formatMoney(
+              refundAmount,
+              booking.currency
+            )} is on its way to your card.`,
+          ]
+        : []),
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "booking.reminder": ({ booking, hoursBefore }) => ({
+    subject: `Your trip leaves in ${hoursBefore} hours: ${booking.bookingReference}`,
+    lines: [
+      `A reminder that your trip departs in about ${hoursBefore} hours.`,
+      "Have your e-ticket ready to show when boarding.",
+      ...bookingLines(booking),
+    ],
+  }),
+
+  "ticket.approved": ({ ticket }) => ({
+    subject: `Ticket approved: ${ticket.title}`,
+    lines: [
+      "Your ticket has been approved and is now visible to customers.",
+      `Trip: ${tripLine(ticket)}`,
+    ],
+  }),
+
+  "ticket.rejected": ({ ticket }) => ({
+    subject: `Ticket rejected: ${ticket.title}`,
+    lines: [
+      "Your ticket was not approved by our moderators.",
+      `Trip: ${tripLine(ticket)}`,
+      ...(ticket.review?.reason ? [`Reason: ${ticket.review.reason}`] : []),
+      "Edit the ticket and resubmit it for review.",
+    ],
+  }),
+
+  "schedule.approved": ({ schedule }) => ({
+    subject: `Schedule approved: ${schedule.title}`,
+    lines: [
+      "Your recurring trip has been approved. Its departures are now visible to customers.",
+      `Route: ${schedule.from} to ${schedule.to}, departing ${schedule.departureTime}`,
+    ],
+  }),
+
+  "schedule.rejected": ({ schedule }) => ({
+    subject: `Schedule rejected: ${schedule.title}`,
+    lines: [
+      "Your recurring trip was not approved by our moderators.",
+      `Route: ${schedule.from} to ${schedule.to}, departing ${schedule.departureTime}`,
+      ...(schedule.review?.reason ? [`Reason: ${schedule.review.reason}`] : []),
+    ],
+  }),
+
+  "vendorApplication.approved": ({ application }) => ({
+    subject: `You're a TicketBari vendor: ${application.companyName}`,
+    lines: [
+      "Your vendor application has been approved. You can now add tickets for customers to book.",
+      ...(application.reviewNote
+        ? [`Note from our team: ${application.reviewNote}`]
+        : []),
+    ],
+  }),
+
+  "vendorApplication.rejected": ({ application }) => ({
+    subject: `Vendor application not approved: ${application.companyName}`,
+    lines: [
+      "Sorry, we couldn't approve your vendor application.",
+      ...(application.reviewNote
+        ? [`Note from our team: ${application.reviewNote}`]
+        : []),
+      "You're welcome to apply again with updated details.",
+    ],
+  }),
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Render a message for a template type
+function renderMessage(type, data, recipientName) {
+  const template = templates[type];
+  if (!template) throw new Error(`Unknown email template ${type}`);
+
+  const { subject, lines } = template(data);
+  const greeting = `Hi ${recipientName || "there"},`;
+  const signOff = "— The TicketBari team";
+
+  return {
+    subject,
+    text: [greeting, "", ...lines, "", signOff].join("\n"),
+    html: [greeting, ...lines, signOff]
+      .map((line) => `<p>${escapeHtml(line)}</p>`)
+      .join("\n"),
+  };
+}
+
+module.exports = { templates, renderMessage };
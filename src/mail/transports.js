@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Every transport sends one message: send({ from, to, subject, text, html })
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(
+        `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+      );
+    },
+  };
+}
+
+// Writes each message to its own JSON file, for inspecting mail locally
+function createFileTransport(directory) {
+  const root = path.resolve(directory);
+  return {
+    async send(message) {
+      await fs.promises.mkdir(root, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${
+        message.to
+      }.json`;
+      await fs.promises.writeFile(
+        path.join(root, name),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  };
+}
+
+function createSmtpTransport(smtpUrl) {
+  const transporter = nodemailer.createTransport(smtpUrl);
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+}
+
+function createMailTransport(config) {
+  switch (config.mailTransport) {
+    case "smtp":
+      return createSmtpTransport(config.smtpUrl);
+    case "file":
+      return createFileTransport(config.mailDir);
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport "${config.mailTransport}"`);
+  }
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createMailTransport,
+};
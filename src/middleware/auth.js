@@ -0,0 +1,49 @@
+const { getAccountRestriction } = require("../services/accounts");
+
+// verifyIdToken(token) resolves to the decoded Firebase token
+function createAuthMiddleware({ verifyIdToken, usersCollection }) {
+  // JWT middleware
+  const verifyJWT = async (req, res, next) => {
+    const token = req?.headers?.authorization?.split(" ")[1];
+    if (!token)
+      return res.status(401).send({ message: "Unauthorized Access!" });
+    try {
+      const decoded = await verifyIdToken(token);
+      req.tokenEmail = decoded.email;
+    } catch (err) {
+      return res.status(401).send({ message: "Unauthorized Access!", err });
+    }
+
+    // Suspended and banned accounts are turned away before any route runs
+    const user = await usersCollection.findOne({ email: req.tokenEmail });
+    const restriction = getAccountRestriction(user, req.method);
+    if (restriction) return res.status(403).send(restriction);
+    req.user = user;
+    next();
+  };
+
+  // Role middlewares
+  const verifyADMIN = (req, res, next) => {
+    const user = req.user;
+    if (user?.role !== "admin")
+      return res
+        .status(403)
+        .send({ message: "Admin only Actions!", role: user?.role });
+    req.userRole = user.role;
+    next();
+  };
+
+  const verifyVENDOR = (req, res, next) => {
+    const user = req.user;
+    if (user?.role !== "vendor")
+      return res
+        .status(403)
+        .send({ message: "Vendor only Actions!", role: user?.role });
+    req.userRole = user.role;
+    next();
+  };
+
+  return { verifyJWT, verifyADMIN, verifyVENDOR };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,23 @@
+const multer = require("multer");
+
+// Uniform errors for unreadable JSON bodies and rejected uploads
+function errorHandler(error, req, res, next) {
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).send({ message: "Malformed JSON body" });
+  }
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(400)
+        .send({ message: "File size too large. Max 5MB allowed." });
+    }
+    return res.status(400).send({ message: error.message });
+  }
+  if (error.code === "UNSUPPORTED_FILE_TYPE") {
+    return res.status(400).send({ message: error.message });
+  }
+  console.error("Unhandled error", error);
+  res.status(500).send({ message: "Server error" });
+}
+
+module.exports = { errorHandler };
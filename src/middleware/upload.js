@@ -0,0 +1,48 @@
+const multer = require("multer");
+const path = require("path");
+
+// Rejected file types are reported by the error handler as a 400
+function unsupportedFileError(message) {
+  const error = new Error(message);
+  error.code = "UNSUPPORTED_FILE_TYPE";
+  return error;
+}
+
+// Configure multer
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(
+      path.extname(file.originalname).toLowerCase()
+    );
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(unsupportedFileError("Only image files are allowed!"));
+    }
+  },
+});
+
+// Business documents may also be PDFs
+const documentUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|pdf/;
+    const extname = allowedTypes.test(
+      path.extname(file.originalname).toLowerCase()
+    );
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(unsupportedFileError("Only image and PDF files are allowed!"));
+    }
+  },
+});
+
+module.exports = { upload, documentUpload };
@@ -0,0 +1,61 @@
+// Money
+// Amounts are stored as integers in their currency's minor unit (poisha
+// for BDT, cents for USD), which is also what Stripe takes, so prices,
+// totals and refunds never pick up floating point error. Every ticket,
+// booking and payment carries the currency its amounts are in.
+
+const DEFAULT_CURRENCY = "BDT";
+
+// Currencies tickets can be sold in. Each has 100 minor units to the major
+// unit, for both display and Stripe.
+const CURRENCIES = ["BDT", "USD", "EUR", "GBP", "INR"];
+const MINOR_UNITS = 100;
+
+// Amount fields of each kind of document, for display
+const AMOUNT_FIELDS = {
+  ticket: ["price"],
+  booking: ["unitPrice", "totalPrice", "refundAmount"],
+  payment: ["amount", "refundedAmount"],
+  pricing: ["unitPrice", "subtotal", "discount", "totalPrice"],
+};
+
+// A whole share of an amount, rounded to the nearest minor unit
+function percentOf(amount, percent) {
+  return Math.round((amount * percent) / 100);
+}
+
+// 150050 in BDT is "৳1,500.50", or "BDT 1,500.50" with currencyDisplay
+// "code" for output without the currency symbols, such as PDF fonts
+function formatMoney(
+  amount,
+  currency = DEFAULT_CURRENCY,
+  currencyDisplay = "narrowSymbol"
+) {
+  if (typeof amount !== "number") return null;
+  return new Intl.NumberFormat("en", {
+    style: "currency",
+    currency,
+    currencyDisplay,
+  }).format(amount / MINOR_UNITS);
+}
+
+// A copy of doc with its amount fields formatted, in a display object
+function withDisplayAmounts(doc, fields) {
+  const display = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined) {
+      display[field] = formatMoney(doc[field], doc.currency);
+    }
+  }
+  return { ...doc, display };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  MINOR_UNITS,
+  AMOUNT_FIELDS,
+  percentOf,
+  formatMoney,
+  withDisplayAmounts,
+};
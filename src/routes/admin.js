@@ -0,0 +1,430 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const { sendCsv } = require("../csv");
+const { REPORT_COLUMNS } = require("../services/adminReports");
+const { accountSummary } = require("../services/accounts");
+
+function createAdminRouter({ collections, services, auth }) {
+  const { ticketsCollection, usersCollection } = collections;
+  const {
+    searchTickets,
+    getPlatformStats,
+    getReportRows,
+    listJobs,
+    listJobRuns,
+    listStuckRefunds,
+    recordAudit,
+    listAuditLog,
+    suspendAccount,
+    banAccount,
+    reinstateAccount,
+    reviewTicket,
+    recordTicketRevision,
+    listTicketRevisions,
+    compareTicketRevisions,
+  } = services;
+  const { verifyJWT, verifyADMIN } = auth;
+  const router = express.Router();
+
+  // Admin Routes
+  // Get all tickets for admin
+  router.get(
+    "/admin/tickets",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.searchTickets),
+    async (req, res) => {
+      try {
+        const result = await searchTickets({}, req.query);
+        res.send(result);
+      } catch (error) {
+        console.error("/admin/tickets error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Approve/Reject ticket (admin), with a reason the vendor sees
+  router.patch(
+    "/admin/tickets/:id/verify",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.verifyTicket),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { verificationStatus, reason } = req.body;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ticket ID" });
+        }
+
+        const { before, after } = await reviewTicket(id, {
+          decision: verificationStatus,
+          reason,
+          by: req.tokenEmail,
+        });
+        await recordAudit(req, {
+          action: "ticket.verify",
+          target: { type: "ticket", id },
+          before,
+          after,
+        });
+        await recordTicketRevision(req, {
+          action: verificationStatus,
+          before,
+          after,
+          note: reason,
+        });
+        res.send(after);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/tickets/verify error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Every version of a ticket, oldest first (admin)
+  router.get(
+    "/admin/tickets/:id/revisions",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.ticketRevisions),
+    async (req, res) => {
+      try {
+        res.send(await listTicketRevisions(req.params.id));
+      } catch (error) {
+        console.error("/admin/tickets/:id/revisions error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Diff two versions of a ticket; by default what changed since it was
+  // last approved (admin)
+  router.get(
+    "/admin/tickets/:id/revisions/compare",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.compareTicketRevisions),
+    async (req, res) => {
+      try {
+        res.send(await compareTicketRevisions(req.params.id, req.query));
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/tickets/:id/revisions/compare error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get all users (admin)
+  router.get("/admin/users", verifyJWT, verifyADMIN, async (req, res) => {
+    try {
+      const users = await usersCollection.find().toArray();
+      res.send(users);
+    } catch (error) {
+      console.error("/admin/users error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Update user role (admin)
+  router.patch(
+    "/admin/users/:email/role",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.updateUserRole),
+    async (req, res) => {
+      try {
+        const { email } = req.params;
+        const { role } = req.body;
+
+        if (!["customer", "vendor", "admin"].includes(role)) {
+          return res.status(400).send({ message: "Invalid role" });
+        }
+
+        const user = await usersCollection.findOne({ email });
+        const result = await usersCollection.updateOne(
+          { email },
+          { $set: { role } }
+        );
+        if (result.modifiedCount) {
+          await recordAudit(req, {
+            action: "user.role",
+            target: { type: "user", id: email },
+            before: { role: user.role },
+            after: { role },
+          });
+        }
+        res.send(result);
+      } catch (error) {
+        console.error("/admin/users/role error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Suspend, ban or reinstate the account in req.params.email with
+  // change(user), recording the change in the audit log
+  async function changeAccount(req, res, action, change) {
+    const { email } = req.params;
+    if (email === req.tokenEmail) {
+      return res
+        .status(400)
+        .send({ message: "You can't change your own account status" });
+    }
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const result = await change(user);
+    await recordAudit(req, {
+      action,
+      target: { type: "user", id: email },
+      before: accountSummary(user),
+      after: result,
+    });
+    return result;
+  }
+
+  // Suspend an account, for a while or until reinstated (admin)
+  router.patch(
+    "/admin/users/:email/suspend",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.suspendUser),
+    async (req, res) => {
+      try {
+        const { reason, expiresAt } = req.body;
+        const result = await changeAccount(req, res, "user.suspend", (user) =>
+          suspendAccount(user, { reason, expiresAt, by: req.tokenEmail })
+        );
+        if (result) res.send(result);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/users/suspend error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Ban an account, cancelling and refunding its upcoming trips (admin)
+  router.patch(
+    "/admin/users/:email/ban",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.banUser),
+    async (req, res) => {
+      try {
+        const result = await changeAccount(req, res, "user.ban", (user) =>
+          banAccount(user, { reason: req.body.reason, by: req.tokenEmail })
+        );
+        if (result) res.send(result);
+      } catch (error) {
+        console.error("/admin/users/ban error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Mark vendor as fraud(admin), which bans them
+  router.patch(
+    "/admin/users/:email/fraud",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.userEmail),
+    async (req, res) => {
+      try {
+        const result = await changeAccount(req, res, "user.fraud", (user) =>
+          banAccount(user, {
+            reason: "Marked as fraud",
+            by: req.tokenEmail,
+            fraud: true,
+          })
+        );
+        if (result) res.send({ success: true, ...result });
+      } catch (error) {
+        console.error("/admin/users/fraud error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Lift a suspension or ban and restore the tickets it hid (admin)
+  router.patch(
+    "/admin/users/:email/reinstate",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.userEmail),
+    async (req, res) => {
+      try {
+        const result = await changeAccount(req, res, "user.reinstate", (user) =>
+          reinstateAccount(user)
+        );
+        if (result) res.send(result);
+      } catch (error) {
+        console.error("/admin/users/reinstate error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Admin: toggle advertise, enforce max 6 advertised
+  router.patch(
+    "/admin/tickets/advertise/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.ticketId),
+    async (req, res) => {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id))
+        return res.status(400).send({ message: "Invalid id" });
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!ticket) return res.status(404).send({ message: "Ticket not found" });
+      if (ticket.verificationStatus !== "approved")
+        return res
+          .status(400)
+          .send({ message: "Only approved tickets can be advertised" });
+      if (!ticket.isAdvertised) {
+        const count = await ticketsCollection.countDocuments({
+          isAdvertised: true,
+          verificationStatus: "approved",
+        });
+        if (count >= 6)
+          return res.status(400).send({ message: "Max 6 advertised" });
+      }
+      await ticketsCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { isAdvertised: !ticket.isAdvertised } }
+      );
+      await recordAudit(req, {
+        action: "ticket.advertise",
+        target: { type: "ticket", id },
+        before: { isAdvertised: ticket.isAdvertised || false },
+        after: { isAdvertised: !ticket.isAdvertised },
+      });
+      res.send({
+        message: "Toggled advertise",
+        isAdvertised: !ticket.isAdvertised,
+      });
+    }
+  );
+
+  // Platform KPIs for the admin dashboard
+  router.get(
+    "/admin/stats",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminStats),
+    async (req, res) => {
+      try {
+        const stats = await getPlatformStats(req.query);
+        res.send(stats);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/stats error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Download one of the dashboard reports, or the payments ledger, as CSV
+  router.get(
+    "/admin/stats/export",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminStatsExport),
+    async (req, res) => {
+      try {
+        const { report, startDate, endDate } = req.query;
+        const rows = await getReportRows(report, req.query);
+        const period = [startDate || "start", endDate || "today"].join("_");
+        await sendCsv(
+          res,
+          `ticketbari-${report}-${period}.csv`,
+          REPORT_COLUMNS[report],
+          rows
+        );
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/stats/export error", error);
+        if (res.headersSent) return res.end();
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Scheduled jobs with their next and last run
+  router.get("/admin/jobs", verifyJWT, verifyADMIN, async (req, res) => {
+    try {
+      res.send(await listJobs());
+    } catch (error) {
+      console.error("/admin/jobs error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Job run history
+  router.get(
+    "/admin/jobs/runs",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.jobRuns),
+    async (req, res) => {
+      try {
+        res.send(await listJobRuns(req.query));
+      } catch (error) {
+        console.error("/admin/jobs/runs error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Refunds Stripe kept failing, to settle by hand
+  router.get("/admin/refunds", verifyJWT, verifyADMIN, async (req, res) => {
+    try {
+      res.send(await listStuckRefunds());
+    } catch (error) {
+      console.error("/admin/refunds error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Who changed what, newest first
+  router.get(
+    "/admin/audit",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.auditLog),
+    async (req, res) => {
+      try {
+        res.send(await listAuditLog(req.query));
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/audit error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
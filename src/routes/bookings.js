@@ -0,0 +1,644 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const {
+  BOOKING_TRANSITIONS,
+  isClosedBooking,
+} = require("../services/bookingState");
+const { isHoldExpired } = require("../services/holds");
+const {
+  generateBookingReference,
+  priceBooking,
+} = require("../services/pricing");
+const {
+  DEFAULT_CANCELLATION_POLICY,
+  calculateRefund,
+} = require("../services/refunds");
+const { allocateSeats } = require("../services/seats");
+const {
+  resolvePassengerSeats,
+  assignPassengerSeats,
+} = require("../services/passengers");
+const { hasDeparted } = require("../services/tripSchedule");
+const { AMOUNT_FIELDS, formatMoney, withDisplayAmounts } = require("../money");
+const { signTicketToken, renderETicket } = require("../services/eTickets");
+
+function createBookingsRouter({ collections, services, auth, config }) {
+  const { bookingsCollection, ticketsCollection, usersCollection } =
+    collections;
+  const {
+    acceptanceExpiryFromNow,
+    checkPromoCode,
+    closeBooking,
+    getSeatMap,
+    holdExpiryFromNow,
+    notify,
+    recordAudit,
+    redeemPromoCode,
+    refundBooking,
+    reserveStock,
+    transitionBooking,
+    withTransaction,
+  } = services;
+  const { verifyJWT } = auth;
+  const router = express.Router();
+
+  // Seat and price a booking request without saving anything
+  async function quoteBooking(ticket, body, email) {
+    const { quantity, seatNumber, passengers, promoCode } = body;
+
+    // Validate requested seats against the seat map
+    let requestedSeats = body.seatNumbers || (seatNumber && [seatNumber]);
+    if (passengers) {
+      requestedSeats = resolvePassengerSeats(
+        passengers,
+        quantity,
+        requestedSeats
+      );
+    }
+    const { seats } = await getSeatMap(ticket);
+    const seatNumbers = allocateSeats(seats, quantity, requestedSeats);
+    const seated = passengers
+      ? assignPassengerSeats(passengers, seatNumbers)
+      : [];
+
+    const promo = promoCode
+      ? await checkPromoCode(promoCode, { ticket, email })
+      : null;
+    const pricing = priceBooking(ticket, {
+      seats: seatNumbers.map((n) => seats.find((s) => s.seatNumber === n)),
+      passengers: seated,
+      promo,
+    });
+    return { seatNumbers, passengers: seated, promo, pricing };
+  }
+
+  // Fetch a bookable ticket, or throw why it can't be booked
+  async function findBookableTicket(ticketId) {
+    const ticket = await ticketsCollection.findOne({
+      _id: new ObjectId(ticketId),
+    });
+    if (!ticket) throw new RequestError(404, "Ticket not found");
+    // Hidden tickets belong to restricted vendors or were pulled by admins,
+    // and tickets waiting for review or rejected aren't on sale yet
+    if (ticket.isHidden || ticket.verificationStatus !== "approved") {
+      throw new RequestError(400, "This trip is not on sale");
+    }
+    if (hasDeparted(ticket)) {
+      throw new RequestError(400, "This trip has already departed");
+    }
+    return ticket;
+  }
+
+  // Price a booking before making it, with its line items
+  router.post(
+    "/bookings/quote",
+    verifyJWT,
+    validate(schemas.createBooking),
+    async (req, res) => {
+      try {
+        const ticket = await findBookableTicket(req.body.ticketId);
+        const { seatNumbers, pricing } = await quoteBooking(
+          ticket,
+          req.body,
+          req.tokenEmail
+        );
+        const { currency } = ticket;
+        res.send(
+          withDisplayAmounts(
+            {
+              seatNumbers,
+              currency,
+              ...pricing,
+              lines: pricing.lines.map((line) => ({
+                ...line,
+                display: formatMoney(line.amount, currency),
+              })),
+            },
+            AMOUNT_FIELDS.pricing
+          )
+        );
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/bookings/quote error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Create booking
+  router.post(
+    "/bookings",
+    verifyJWT,
+    validate(schemas.createBooking),
+    async (req, res) => {
+      try {
+        const { ticketId, quantity } = req.body;
+        const email = req.tokenEmail;
+
+        const ticket = await findBookableTicket(ticketId);
+        const { seatNumbers, passengers, promo, pricing } = await quoteBooking(
+          ticket,
+          req.body,
+          email
+        );
+        const { unitPrice, totalPrice, ...breakdown } = pricing;
+
+        // Generate booking data
+        const bookingReference = generateBookingReference();
+
+        const ticketType = (
+          ticket.transportType ||
+          ticket.type ||
+          "bus"
+        ).toLowerCase();
+
+        // Build booking object
+        const booking = {
+          // IDs
+          ticketId: new ObjectId(ticketId),
+          userEmail: email,
+
+          // Quantity & pricing; totalPrice is what the customer pays, in
+          // minor units of currency
+          quantity,
+          currency: ticket.currency,
+          unitPrice,
+          totalPrice,
+          pricing: breakdown,
+          promoCodeId: promo ? promo._id : null,
+          promoCode: promo ? promo.code : null,
+
+          // Ticket details
+          ticketTitle: ticket.title,
+          ticketImage: ticket.image,
+          ticketType,
+          transportType: ticketType,
+
+          // Route details
+          from: ticket.from,
+          to: ticket.to,
+          departureDate: ticket.departureDate,
+          departureTime: ticket.departureTime,
+          arrivalTime: ticket.arrivalTime || null,
+          departureAt: ticket.departureAt,
+          arrivalAt: ticket.arrivalAt || null,
+          timeZone: ticket.timeZone,
+
+          // Booking details
+          seatNumbers,
+          seatNumber: seatNumbers.join(", "),
+          passengers,
+          bookingReference,
+          cancellationPolicy:
+            ticket.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+
+          // Status
+          status: "pending",
+          statusHistory: [
+            {
+              from: null,
+              to: "pending",
+              actor: "customer",
+              actorEmail: email,
+              note: null,
+              at: new Date().toISOString(),
+            },
+          ],
+          // The vendor's deadline to answer; accepting starts the hold
+          // for payment
+          holdExpiresAt: acceptanceExpiryFromNow(),
+          stockReserved: true,
+
+          // Payment (to be updated later)
+          transactionId: null,
+          paymentMethod: null,
+          paymentDate: null,
+
+          // Timestamps
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+
+        // Take stock and insert the booking together
+        const result = await withTransaction(async (session) => {
+          await reserveStock(ticket._id, quantity, session);
+          const inserted = await bookingsCollection.insertOne(booking, {
+            session,
+          });
+          if (promo) {
+            await redeemPromoCode(
+              promo,
+              { ...booking, _id: inserted.insertedId },
+              session
+            );
+          }
+          return inserted;
+        });
+
+        await recordAudit(req, {
+          action: "booking.create",
+          target: { type: "booking", id: result.insertedId },
+          after: booking,
+        });
+        await notify("booking.created", email, { booking });
+        res.status(201).send(result);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+
+        // Handle seat duplication (unique index)
+        if (error.code === 11000) {
+          return res.status(409).send({
+            message:
+              "One or more seats were just booked. Please select other seats.",
+          });
+        }
+
+        console.error("/bookings error:", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get user's bookings
+  router.get("/user/bookings", verifyJWT, async (req, res) => {
+    try {
+      const email = req.tokenEmail;
+      const bookings = await bookingsCollection
+        .find({ userEmail: email })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      const normalizedBookings = bookings.map((booking) =>
+        withDisplayAmounts(
+          {
+            ...booking,
+            bookingStatus: booking.status || "pending",
+            ticketType: booking.ticketType || booking.transportType || "bus",
+            seatNumber: booking.seatNumber || "N/A",
+            bookingReference:
+              booking.bookingReference ||
+              booking._id.toString().substring(0, 10).toUpperCase(),
+            arrivalTime: booking.arrivalTime || "N/A",
+            price: booking.price || booking.totalPrice || booking.amount || 0,
+          },
+          [...AMOUNT_FIELDS.booking, "price"]
+        )
+      );
+
+      res.send(normalizedBookings);
+    } catch (error) {
+      console.error("/user/bookings error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Get remaining seat hold time for a booking
+  router.get(
+    "/bookings/:id/hold",
+    verifyJWT,
+    validate(schemas.bookingId),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        const expired = isHoldExpired(booking);
+        const isHeld =
+          !expired && ["pending", "accepted"].includes(booking.status);
+        const remainingSeconds = isHeld
+          ? Math.max(
+              0,
+              Math.floor((new Date(booking.holdExpiresAt) - Date.now()) / 1000)
+            )
+          : 0;
+
+        res.send({
+          bookingId: booking._id,
+          status: expired ? "expired" : booking.status,
+          holdExpiresAt: isHeld ? booking.holdExpiresAt : null,
+          remainingSeconds,
+          expired,
+        });
+      } catch (error) {
+        console.error("/bookings/:id/hold error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Download the e-ticket for a paid booking
+  router.get(
+    "/bookings/:id/ticket.pdf",
+    verifyJWT,
+    validate(schemas.bookingId),
+    async (req, res) => {
+      try {
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+        if (!["paid", "completed"].includes(booking.status)) {
+          return res
+            .status(400)
+            .send({ message: "E-tickets are issued once a booking is paid" });
+        }
+
+        const passenger = (await usersCollection.findOne({
+          email: booking.userEmail,
+        })) || { email: booking.userEmail };
+        const token = signTicketToken(booking, config.ticketSigningSecret);
+        const pdf = await renderETicket(booking, passenger, token);
+
+        res.set({
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `inline; filename="ticket-${booking.bookingReference}.pdf"`,
+        });
+        pdf.pipe(res);
+      } catch (error) {
+        console.error("/bookings/:id/ticket.pdf error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Update booking status
+  router.patch(
+    "/bookings/:id/status",
+    verifyJWT,
+    validate(schemas.updateBookingStatus),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+        const email = req.tokenEmail;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+
+        // Payments and expiry have their own flows
+        if (!["accepted", "rejected", "cancelled"].includes(status)) {
+          return res.status(400).send({ message: "Invalid status" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (status === "cancelled" && booking.status === "paid") {
+          return res.status(400).send({
+            message: "Paid bookings are cancelled through DELETE /bookings/:id",
+          });
+        }
+
+        // Work out who is acting on the booking
+        const ticket = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        const allowedActors = BOOKING_TRANSITIONS[booking.status]?.[status];
+        if (!allowedActors) {
+          return res.status(400).send({
+            message: `Booking cannot go from ${booking.status} to ${status}`,
+          });
+        }
+        const actor = allowedActors.find(
+          (a) =>
+            (a === "vendor" && ticket?.vendorEmail === email) ||
+            (a === "customer" && booking.userEmail === email)
+        );
+        if (!actor) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        const transition = {
+          actor,
+          actorEmail: email,
+          note: typeof note === "string" ? note.trim() || null : null,
+          fields: {},
+        };
+
+        let changed;
+        if (status === "accepted") {
+          // Accepting gives the customer a fresh hold window to pay in
+          transition.fields.holdExpiresAt = holdExpiryFromNow();
+          changed = await transitionBooking(booking, status, transition);
+        } else {
+          // Closing a booking gives its seats back to stock
+          transition.fields[`${status}At`] = new Date().toISOString();
+          changed = await closeBooking(booking, status, transition);
+        }
+
+        if (!changed) {
+          return res
+            .status(409)
+            .send({ message: "Booking was updated, please retry" });
+        }
+
+        await recordAudit(req, {
+          action: `booking.${status}`,
+          target: { type: "booking", id },
+          before: { status: booking.status },
+          after: { status, note: transition.note, ...transition.fields },
+        });
+        await notify(`booking.${status}`, booking.userEmail, {
+          booking: { ...booking, ...transition.fields },
+          note: transition.note,
+        });
+        res.send({ acknowledged: true, modifiedCount: 1, status });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/bookings/status error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Preview the refund for cancelling a booking now
+  router.get(
+    "/bookings/:id/refund-quote",
+    verifyJWT,
+    validate(schemas.bookingId),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        const quote =
+          booking.status === "paid"
+            ? {
+                ...calculateRefund(booking),
+                cancellationPolicy:
+                  booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+              }
+            : { refundPercent: 0, refundAmount: 0 };
+        res.send(
+          withDisplayAmounts({ ...quote, currency: booking.currency }, [
+            "refundAmount",
+          ])
+        );
+      } catch (error) {
+        console.error("/bookings/:id/refund-quote error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Cancel/Delete booking
+  router.delete(
+    "/bookings/:id",
+    verifyJWT,
+    validate(schemas.bookingId),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const email = req.tokenEmail;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+
+        if (booking.userEmail !== email) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        if (booking.status === "completed") {
+          return res.status(400).send({ message: "Trip already completed" });
+        }
+        if (booking.boardedAt) {
+          return res
+            .status(400)
+            .send({ message: "Passenger has already boarded" });
+        }
+        if (isClosedBooking(booking)) {
+          return res.status(400).send({ message: "Booking is already closed" });
+        }
+
+        const cancelledAt = new Date().toISOString();
+
+        if (booking.status !== "paid") {
+          // Cancel and restore ticket quantity together
+          const cancelled = await closeBooking(booking, "cancelled", {
+            actor: "customer",
+            actorEmail: email,
+            fields: { cancelledAt },
+          });
+          if (!cancelled) {
+            return res
+              .status(409)
+              .send({ message: "Booking was updated, please retry" });
+          }
+          await recordAudit(req, {
+            action: "booking.cancelled",
+            target: { type: "booking", id },
+            before: { status: booking.status },
+            after: { status: "cancelled", cancelledAt },
+          });
+          await notify("booking.cancelled", email, { booking });
+          return res.send({
+            success: true,
+            message: "Booking cancelled successfully",
+          });
+        }
+
+        // Paid bookings are refunded according to the cancellation policy
+        const { refundPercent, refundAmount } = calculateRefund(booking);
+        const refund = await refundBooking(booking, {
+          refundAmount,
+          refundPercent,
+          reason: "customer_cancellation",
+          transition: {
+            actor: "customer",
+            actorEmail: email,
+            fields: { cancelledAt },
+          },
+        });
+        if (!refund.closed) {
+          return res
+            .status(409)
+            .send({ message: "Booking was updated, please retry" });
+        }
+
+        await recordAudit(req, {
+          action: "booking.cancelled",
+          target: { type: "booking", id },
+          before: { status: booking.status },
+          after: {
+            status: refund.refundAmount > 0 ? "refunded" : "cancelled",
+            cancelledAt,
+            refundAmount: refund.refundAmount,
+            refundPercent,
+          },
+        });
+        await notify("booking.cancelled", email, {
+          booking,
+          refundAmount: refund.refundAmount,
+        });
+        res.send({
+          success: true,
+          message: "Booking cancelled successfully",
+          refundAmount: refund.refundAmount,
+          refundPercent,
+        });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/bookings DELETE error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createBookingsRouter };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const express = require("express");
+
+function createCronRouter({ services, config }) {
+  const { runDueJobs } = services;
+  const router = express.Router();
+
+  // Vercel Cron, or an external scheduler on plans without frequent crons,
+  // calls this with "Authorization: Bearer <CRON_SECRET>".
+  // Without a long-lived process it is what drives the scheduled jobs.
+  function verifyCron(req, res, next) {
+    const expected = Buffer.from(`Bearer ${config.cronSecret || ""}`);
+    const actual = Buffer.from(req.headers.authorization || "");
+    if (
+      !config.cronSecret ||
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return res.status(401).send({ message: "Unauthorized Access!" });
+    }
+    next();
+  }
+
+  router.get("/cron/jobs", verifyCron, async (req, res) => {
+    try {
+      const runs = await runDueJobs({ trigger: "cron" });
+      res.send({ runs });
+    } catch (error) {
+      console.error("/cron/jobs error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCronRouter };
@@ -0,0 +1,34 @@
+const express = require("express");
+const { schemas, validate } = require("../validation");
+
+function createMediaRouter({ services }) {
+  const { openMedia } = services;
+  const router = express.Router();
+
+  // Serve an uploaded image. Media is never changed in place, only replaced
+  // under a new ID, so it can be cached for good.
+  router.get("/media/:id", validate(schemas.getMedia), async (req, res) => {
+    try {
+      const file = await openMedia(req.params.id, req.query.variant);
+      if (!file) return res.status(404).send({ message: "Media not found" });
+
+      res.set({
+        "Content-Type": file.media.contentType,
+        "Content-Length": file.variant.size,
+        "Cache-Control": "public, max-age=31536000, immutable",
+      });
+      file.stream.on("error", (error) => {
+        console.error("/media/:id stream error", error);
+        res.destroy(error);
+      });
+      file.stream.pipe(res);
+    } catch (error) {
+      console.error("/media/:id error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMediaRouter };
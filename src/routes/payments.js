@@ -0,0 +1,331 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const { isHoldExpired } = require("../services/holds");
+const { matchesBookingTotal } = require("../services/payments");
+const { hasDeparted } = require("../services/tripSchedule");
+const { AMOUNT_FIELDS, withDisplayAmounts } = require("../money");
+
+function createPaymentsRouter({ collections, services, auth, config, stripe }) {
+  const {
+    bookingsCollection,
+    paymentCollection,
+    refundsCollection,
+    stripeEventsCollection,
+  } = collections;
+  const { expireStaleHolds, handleStripeEvent, recordBookingPayment } =
+    services;
+  const { verifyJWT } = auth;
+  const router = express.Router();
+
+  // Payment Intent
+  router.post(
+    "/create-payment-intent",
+    verifyJWT,
+    validate(schemas.createPaymentIntent),
+    async (req, res) => {
+      try {
+        const { bookingId } = req.body;
+
+        if (!ObjectId.isValid(bookingId)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+        if (booking.status === "paid") {
+          return res.status(400).send({ message: "Booking already paid" });
+        }
+        if (isHoldExpired(booking)) {
+          await expireStaleHolds({ _id: booking._id });
+          return res.status(410).send({
+            message: "Seat hold expired. Please book again.",
+          });
+        }
+        if (booking.status === "pending") {
+          return res
+            .status(400)
+            .send({ message: "Booking is waiting for vendor approval" });
+        }
+        if (booking.status !== "accepted") {
+          return res.status(400).send({ message: "Booking is closed" });
+        }
+        if (hasDeparted(booking)) {
+          return res
+            .status(400)
+            .send({ message: "Cannot pay for a trip that has departed" });
+        }
+
+        // Charge what the booking says, never an amount from the client.
+        // totalPrice already has fare rules and any promo code applied, in
+        // the minor units of the ticket's currency.
+        const amount = booking.totalPrice;
+        const currency = booking.currency.toLowerCase();
+
+        // A fully discounted booking has nothing to charge
+        if (amount === 0) {
+          await recordBookingPayment(booking, {
+            transactionId: `free_${booking.bookingReference}`,
+            amount: 0,
+            paymentMethod: "free",
+          });
+          return res.send({ clientSecret: null, paid: true });
+        }
+
+        // Reuse the open intent so retries do not create duplicate charges
+        if (booking.paymentIntentId) {
+          const existing = await stripe.paymentIntents.retrieve(
+            booking.paymentIntentId
+          );
+          if (
+            existing.amount === amount &&
+            existing.currency === currency &&
+            !["succeeded", "canceled"].includes(existing.status)
+          ) {
+            return res.send({ clientSecret: existing.client_secret });
+          }
+        }
+
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount,
+          currency,
+          payment_method_types: ["card"],
+          metadata: {
+            bookingId: booking._id.toString(),
+            bookingReference: booking.bookingReference,
+            userEmail: booking.userEmail,
+          },
+        });
+
+        await bookingsCollection.updateOne(
+          { _id: booking._id },
+          {
+            $set: {
+              paymentIntentId: paymentIntent.id,
+              updatedAt: new Date().toISOString(),
+            },
+          }
+        );
+
+        res.send({ clientSecret: paymentIntent.client_secret });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/create-payment-intent error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Save payment and update booking
+  router.post(
+    "/payments",
+    verifyJWT,
+    validate(schemas.savePayment),
+    async (req, res) => {
+      try {
+        const { bookingId, transactionId, amount, paymentMethod } = req.body;
+        const email = req.tokenEmail;
+
+        if (!ObjectId.isValid(bookingId)) {
+          return res.status(400).send({ message: "Invalid booking ID" });
+        }
+        if (typeof transactionId !== "string" || !transactionId) {
+          return res.status(400).send({ message: "Transaction ID required" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.userEmail !== email) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        // The webhook may already have recorded this payment
+        if (
+          booking.status === "paid" &&
+          booking.transactionId === transactionId
+        ) {
+          return res.send({ success: true });
+        }
+
+        // Prevent double payment
+        if (booking.status === "paid") {
+          return res.status(400).send({ message: "Booking already paid" });
+        }
+
+        if (isHoldExpired(booking)) {
+          await expireStaleHolds({ _id: booking._id });
+          return res.status(410).send({
+            message: "Seat hold expired. Please book again.",
+          });
+        }
+
+        if (hasDeparted(booking)) {
+          return res
+            .status(400)
+            .send({ message: "Cannot pay for a trip that has departed" });
+        }
+
+        // Validate amount
+        if (amount !== booking.totalPrice) {
+          return res.status(400).send({ message: "Payment amount mismatch" });
+        }
+
+        // Only trust the transaction once Stripe confirms it
+        const paymentIntent = await stripe.paymentIntents.retrieve(
+          transactionId
+        );
+        if (
+          paymentIntent.status !== "succeeded" ||
+          paymentIntent.metadata?.bookingId !== booking._id.toString()
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Payment not confirmed by Stripe" });
+        }
+        if (
+          !matchesBookingTotal(
+            paymentIntent,
+            booking,
+            paymentIntent.amount_received
+          )
+        ) {
+          return res.status(400).send({ message: "Payment amount mismatch" });
+        }
+
+        await recordBookingPayment(booking, {
+          transactionId,
+          amount: booking.totalPrice,
+          paymentMethod,
+        });
+
+        res.send({ success: true });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        if (error.type === "StripeInvalidRequestError") {
+          return res.status(400).send({ message: "Unknown transaction" });
+        }
+        console.error("/payments error:", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Stripe webhook, the source of truth for payment outcomes
+  router.post("/webhooks/stripe", async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        config.stripeWebhookSecret
+      );
+    } catch (error) {
+      return res
+        .status(400)
+        .send({ message: "Webhook signature verification failed" });
+    }
+
+    try {
+      // Stripe retries deliveries, so each event is handled once
+      try {
+        await stripeEventsCollection.insertOne({
+          _id: event.id,
+          type: event.type,
+          receivedAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.send({ received: true, duplicate: true });
+        }
+        throw error;
+      }
+
+      try {
+        await handleStripeEvent(event);
+      } catch (error) {
+        // Forget the event so Stripe's retry gets processed
+        await stripeEventsCollection.deleteOne({ _id: event.id });
+        throw error;
+      }
+
+      res.send({ received: true });
+    } catch (error) {
+      console.error("/webhooks/stripe error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Get user's transaction history
+  router.get("/user/transactions", verifyJWT, async (req, res) => {
+    try {
+      const email = req.tokenEmail;
+      const [transactions, refunds] = await Promise.all([
+        paymentCollection
+          .find({ userEmail: email })
+          .sort({ paymentDate: -1 })
+          .toArray(),
+        refundsCollection
+          .find({ userEmail: email })
+          .sort({ createdAt: -1 })
+          .toArray(),
+      ]);
+
+      const normalizedTransactions = transactions.map((t) =>
+        withDisplayAmounts(
+          {
+            _id: t._id,
+            transactionId: t.transactionId,
+            ticketTitle: t.ticketTitle || "Ticket Purchase",
+            amount: t.amount || 0,
+            currency: t.currency,
+            paymentDate: t.paymentDate || t.createdAt,
+            status: t.status || "completed",
+            paymentMethod: t.paymentMethod || "N/A",
+            bookingReference: t.bookingReference || "",
+            from: t.from || "",
+            to: t.to || "",
+            departureDate: t.departureDate || "",
+            seatNumber: t.seatNumber || "",
+            refundedAmount: t.refundedAmount || 0,
+            netAmount: (t.amount || 0) - (t.refundedAmount || 0),
+            refunds: refunds
+              .filter((r) => r.paymentId.equals(t._id))
+              .map((r) => ({
+                amount: r.amount,
+                refundPercent: r.refundPercent,
+                status: r.status,
+                refundDate: r.createdAt,
+              })),
+          },
+          [...AMOUNT_FIELDS.payment, "netAmount"]
+        )
+      );
+
+      res.send(normalizedTransactions);
+    } catch (error) {
+      console.error("/user/transactions error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
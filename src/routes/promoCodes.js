@@ -0,0 +1,100 @@
+const express = require("express");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+
+function createPromoCodesRouter({ services, auth }) {
+  const {
+    createPromoCode,
+    listPromoCodes,
+    getPromoCode,
+    updatePromoCode,
+    recordAudit,
+  } = services;
+  const { verifyJWT, verifyADMIN, verifyVENDOR } = auth;
+  const router = express.Router();
+
+  // Vendors manage codes for their own tickets, admins codes for every
+  // ticket. owner scopes what each may see and change.
+  const areas = [
+    {
+      prefix: "/vendor",
+      verifyRole: verifyVENDOR,
+      owner: (req) => ({ vendorEmail: req.tokenEmail }),
+    },
+    { prefix: "/admin", verifyRole: verifyADMIN, owner: () => ({}) },
+  ];
+
+  for (const { prefix, verifyRole, owner } of areas) {
+    const path = `${prefix}/promo-codes`;
+
+    router.get(path, verifyJWT, verifyRole, async (req, res) => {
+      try {
+        res.send(await listPromoCodes(owner(req)));
+      } catch (error) {
+        console.error(`${path} error`, error);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    router.post(
+      path,
+      verifyJWT,
+      verifyRole,
+      validate(schemas.createPromoCode),
+      async (req, res) => {
+        try {
+          const promo = await createPromoCode(req.body, {
+            ...owner(req),
+            createdBy: req.tokenEmail,
+          });
+          await recordAudit(req, {
+            action: "promoCode.create",
+            target: { type: "promoCode", id: promo._id },
+            after: promo,
+          });
+          res.status(201).send(promo);
+        } catch (error) {
+          if (error instanceof RequestError) {
+            return res.status(error.status).send({ message: error.message });
+          }
+          console.error(`${path} error`, error);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    router.patch(
+      `${path}/:id`,
+      verifyJWT,
+      verifyRole,
+      validate(schemas.updatePromoCode),
+      async (req, res) => {
+        try {
+          const before = await getPromoCode(req.params.id, owner(req));
+          const promo = await updatePromoCode(
+            req.params.id,
+            req.body,
+            owner(req)
+          );
+          await recordAudit(req, {
+            action: "promoCode.update",
+            target: { type: "promoCode", id: promo._id },
+            before,
+            after: promo,
+          });
+          res.send(promo);
+        } catch (error) {
+          if (error instanceof RequestError) {
+            return res.status(error.status).send({ message: error.message });
+          }
+          console.error(`${path}/:id error`, error);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+  }
+
+  return router;
+}
+
+module.exports = { createPromoCodesRouter };
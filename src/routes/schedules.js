@@ -0,0 +1,274 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const { normalizeCancellationPolicy } = require("../services/refunds");
+const { normalizeFareRules } = require("../services/pricing");
+const { normalizeRecurrence } = require("../services/schedules");
+const { PUBLIC_TICKET_FILTER } = require("../services/ticketSearch");
+const {
+  countBookableSeats,
+  getSeatLayout,
+  normalizeSeatLayout,
+} = require("../services/seats");
+const {
+  AMOUNT_FIELDS,
+  DEFAULT_CURRENCY,
+  withDisplayAmounts,
+} = require("../money");
+
+const withDisplayPrice = (schedule) =>
+  withDisplayAmounts(schedule, AMOUNT_FIELDS.ticket);
+
+// Check the structured fields of a schedule the way ticket routes do.
+// layoutOf is the schedule the fare classes must fit.
+function normalizeScheduleFields(fields, layoutOf) {
+  const normalized = { ...fields };
+  if (fields.seatLayout !== undefined) {
+    const { layout, error } = normalizeSeatLayout(fields.seatLayout);
+    if (error) throw new RequestError(400, error);
+    if (Number(fields.quantity) > countBookableSeats(layout)) {
+      throw new RequestError(400, "Quantity exceeds seats on the layout");
+    }
+    normalized.seatLayout = layout;
+  }
+  if (fields.cancellationPolicy !== undefined) {
+    const { policy, error } = normalizeCancellationPolicy(
+      fields.cancellationPolicy
+    );
+    if (error) throw new RequestError(400, error);
+    normalized.cancellationPolicy = policy;
+  }
+  if (fields.fareRules !== undefined) {
+    const { fareRules, error } = normalizeFareRules(
+      fields.fareRules,
+      getSeatLayout({ ...layoutOf, ...normalized })
+    );
+    if (error) throw new RequestError(400, error);
+    normalized.fareRules = fareRules;
+  }
+  if (fields.recurrence !== undefined) {
+    const { recurrence, error } = normalizeRecurrence(fields.recurrence);
+    if (error) throw new RequestError(400, error);
+    normalized.recurrence = recurrence;
+  }
+  return normalized;
+}
+
+function createSchedulesRouter({ services, auth }) {
+  const {
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    endSchedule,
+    reviewSchedule,
+    searchTickets,
+    recordAudit,
+  } = services;
+  const { verifyJWT, verifyVENDOR, verifyADMIN } = auth;
+  const router = express.Router();
+
+  // The caller's own schedule
+  async function findOwnSchedule(req) {
+    const schedule = await getSchedule(req.params.id);
+    if (schedule.vendorEmail !== req.tokenEmail) {
+      throw new RequestError(403, "Not authorized");
+    }
+    return schedule;
+  }
+
+  // Vendor Routes
+  // Add a recurring trip and generate its first departures (vendor)
+  router.post(
+    "/schedules",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.createSchedule),
+    async (req, res) => {
+      try {
+        const fields = normalizeScheduleFields(req.body, {});
+        fields.currency = fields.currency || DEFAULT_CURRENCY;
+        fields.totalSeats = fields.seatLayout
+          ? countBookableSeats(fields.seatLayout)
+          : fields.quantity;
+
+        const { schedule, generated } = await createSchedule(req.user, fields);
+        await recordAudit(req, {
+          action: "schedule.create",
+          target: { type: "schedule", id: schedule._id },
+          after: schedule,
+        });
+        res.status(201).send({ ...withDisplayPrice(schedule), generated });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/schedules error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get vendor's schedules
+  router.get(
+    "/vendor/schedules",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.schedules),
+    async (req, res) => {
+      try {
+        const { status, verificationStatus } = req.query;
+        const filter = { vendorEmail: req.tokenEmail };
+        if (status) filter.status = status;
+        if (verificationStatus) filter.verificationStatus = verificationStatus;
+        const result = await listSchedules(filter, req.query);
+        res.send({
+          ...result,
+          schedules: result.schedules.map(withDisplayPrice),
+        });
+      } catch (error) {
+        console.error("/vendor/schedules error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Change a schedule and its upcoming departures (vendor)
+  router.patch(
+    "/schedules/:id",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.updateSchedule),
+    async (req, res) => {
+      try {
+        const schedule = await findOwnSchedule(req);
+        if (schedule.status !== "active") {
+          return res.status(400).send({ message: "This schedule has ended" });
+        }
+        const changes = normalizeScheduleFields(req.body, schedule);
+        const { before, after, removed, kept, generated } =
+          await updateSchedule(schedule, changes);
+        await recordAudit(req, {
+          action: "schedule.update",
+          target: { type: "schedule", id: schedule._id },
+          before,
+          after,
+        });
+        res.send({ ...withDisplayPrice(after), removed, kept, generated });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/schedules/:id error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Stop running a schedule (vendor). Departures already booked stay.
+  router.delete(
+    "/schedules/:id",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.scheduleId),
+    async (req, res) => {
+      try {
+        const schedule = await findOwnSchedule(req);
+        const { before, after, removed, kept } = await endSchedule(schedule);
+        await recordAudit(req, {
+          action: "schedule.end",
+          target: { type: "schedule", id: schedule._id },
+          before,
+          after,
+        });
+        res.send({ ...withDisplayPrice(after), removed, kept });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/schedules/:id error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Public Routes
+  // Upcoming departures of a schedule that are on sale, soonest first
+  router.get(
+    "/schedules/:id/departures",
+    validate(schemas.scheduleDepartures),
+    async (req, res) => {
+      try {
+        const result = await searchTickets(
+          { ...PUBLIC_TICKET_FILTER, scheduleId: new ObjectId(req.params.id) },
+          { sort: "departure_asc", ...req.query }
+        );
+        res.send(result);
+      } catch (error) {
+        console.error("/schedules/:id/departures error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Admin Routes
+  // Review queue of schedules (admin)
+  router.get(
+    "/admin/schedules",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.schedules),
+    async (req, res) => {
+      try {
+        const { status, verificationStatus } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (verificationStatus) filter.verificationStatus = verificationStatus;
+        const result = await listSchedules(filter, req.query);
+        res.send({
+          ...result,
+          schedules: result.schedules.map(withDisplayPrice),
+        });
+      } catch (error) {
+        console.error("/admin/schedules error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Approve/Reject a schedule and its departures (admin)
+  router.patch(
+    "/admin/schedules/:id/verify",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.verifySchedule),
+    async (req, res) => {
+      try {
+        const { verificationStatus, reason } = req.body;
+        const { before, after } = await reviewSchedule(req.params.id, {
+          decision: verificationStatus,
+          reason,
+          by: req.tokenEmail,
+        });
+        await recordAudit(req, {
+          action: "schedule.verify",
+          target: { type: "schedule", id: after._id },
+          before,
+          after,
+        });
+        res.send(withDisplayPrice(after));
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/schedules/verify error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createSchedulesRouter };
@@ -0,0 +1,523 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const { getBaseUrl, imageFields } = require("../services/media");
+const { normalizeCancellationPolicy } = require("../services/refunds");
+const { ACTIVE_BOOKING_STATUSES } = require("../services/bookingState");
+const { PUBLIC_TICKET_FILTER } = require("../services/ticketSearch");
+const {
+  buildTripSchedule,
+  hasDeparted,
+  updateTripSchedule,
+} = require("../services/tripSchedule");
+const {
+  countBookableSeats,
+  getSeatLayout,
+  normalizeSeatLayout,
+  planCapacityChange,
+} = require("../services/seats");
+const { normalizeFareRules } = require("../services/pricing");
+const { vendorSnapshot } = require("../services/vendors");
+const { fieldsNeedingReview } = require("../services/ticketModeration");
+const {
+  AMOUNT_FIELDS,
+  DEFAULT_CURRENCY,
+  withDisplayAmounts,
+} = require("../money");
+
+const withDisplayPrice = (ticket) =>
+  withDisplayAmounts(ticket, AMOUNT_FIELDS.ticket);
+
+function createTicketsRouter({ collections, services, auth, upload, config }) {
+  const { ticketsCollection, bookingsCollection } = collections;
+  const {
+    getSeatMap,
+    searchTickets,
+    saveImage,
+    removeMedia,
+    recordAudit,
+    recordTicketRevision,
+    resubmitTicket,
+    skipScheduledDeparture,
+    withTransaction,
+  } = services;
+  const { verifyJWT, verifyVENDOR } = auth;
+  const router = express.Router();
+
+  // Public Ticket Routes
+  // Search approved tickets
+  router.get(
+    "/tickets/all",
+    validate(schemas.searchTickets),
+    async (req, res) => {
+      try {
+        const result = await searchTickets(PUBLIC_TICKET_FILTER, req.query);
+        res.send(result);
+      } catch (error) {
+        console.error("/tickets/all error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get latest tickets
+  router.get("/tickets/latest", async (req, res) => {
+    try {
+      const tickets = await ticketsCollection
+        .find(PUBLIC_TICKET_FILTER)
+        .sort({ createdAt: -1 })
+        .limit(8)
+        .toArray();
+      res.send(tickets.map(withDisplayPrice));
+    } catch (error) {
+      console.error("/tickets/latest error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Get advertised tickets
+  router.get("/tickets/advertised-home", async (req, res) => {
+    try {
+      const docs = await ticketsCollection
+        .find({ ...PUBLIC_TICKET_FILTER, isAdvertised: true })
+        .limit(6)
+        .toArray();
+      res.send(docs.map(withDisplayPrice));
+    } catch (error) {
+      console.error("/tickets/advertised-home error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Get seat map with availability for a ticket
+  router.get(
+    "/tickets/:id/seats",
+    validate(schemas.ticketId),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ticket ID" });
+        }
+        const ticket = await ticketsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!ticket) {
+          return res.status(404).send({ message: "Ticket not found" });
+        }
+
+        const { layout, seats } = await getSeatMap(ticket);
+        const summary = { available: 0, held: 0, booked: 0, blocked: 0 };
+        seats.forEach((seat) => summary[seat.status]++);
+
+        res.send({
+          ticketId: ticket._id,
+          rows: layout.rows,
+          columns: layout.columns,
+          seatClasses: layout.seatClasses,
+          seats,
+          summary,
+        });
+      } catch (error) {
+        console.error("/tickets/:id/seats error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get single ticket by id
+  router.get("/tickets/:id", validate(schemas.ticketId), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid ticket ID" });
+      }
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!ticket) {
+        return res.status(400).send({ message: "Ticket not found" });
+      }
+      res.send(withDisplayPrice(ticket));
+    } catch (error) {
+      console.error("/tickets/:id error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Vendor Routes
+  // Add ticket(vendor)
+  router.post(
+    "/tickets",
+    verifyJWT,
+    verifyVENDOR,
+    upload.single("image"),
+    validate(schemas.createTicket),
+    async (req, res) => {
+      try {
+        const ticketData = req.body;
+        ticketData.currency = ticketData.currency || DEFAULT_CURRENCY;
+
+        if (ticketData.seatLayout !== undefined) {
+          const { layout, error } = normalizeSeatLayout(ticketData.seatLayout);
+          if (error) return res.status(400).send({ message: error });
+          if (Number(ticketData.quantity) > countBookableSeats(layout)) {
+            return res
+              .status(400)
+              .send({ message: "Quantity exceeds seats on the layout" });
+          }
+          ticketData.seatLayout = layout;
+        }
+
+        if (ticketData.cancellationPolicy !== undefined) {
+          const { policy, error } = normalizeCancellationPolicy(
+            ticketData.cancellationPolicy
+          );
+          if (error) return res.status(400).send({ message: error });
+          ticketData.cancellationPolicy = policy;
+        }
+
+        if (ticketData.fareRules !== undefined) {
+          const { fareRules, error } = normalizeFareRules(
+            ticketData.fareRules,
+            getSeatLayout(ticketData)
+          );
+          if (error) return res.status(400).send({ message: error });
+          ticketData.fareRules = fareRules;
+        }
+
+        Object.assign(ticketData, buildTripSchedule(ticketData));
+        if (hasDeparted(ticketData)) {
+          return res
+            .status(400)
+            .send({ message: "Departure must be in the future" });
+        }
+
+        ticketData.totalSeats = ticketData.seatLayout
+          ? countBookableSeats(ticketData.seatLayout)
+          : Number(ticketData.quantity);
+        ticketData.vendorEmail = req.tokenEmail;
+        // Customers see the vendor's profile with the ticket
+        const { vendorProfile } = req.user;
+        if (vendorProfile) {
+          ticketData.vendor = vendorSnapshot(vendorProfile);
+          ticketData.vendorName = vendorProfile.companyName;
+        }
+        ticketData.verificationStatus = "pending";
+        ticketData.isAdvertised = false;
+        ticketData.createdAt = new Date().toISOString();
+
+        // An uploaded cover goes through the media pipeline
+        if (req.file) {
+          const media = await saveImage(req.file, {
+            kind: "ticketCover",
+            ownerEmail: req.tokenEmail,
+          });
+          Object.assign(
+            ticketData,
+            imageFields(getBaseUrl(req, config), media)
+          );
+        }
+
+        const result = await ticketsCollection.insertOne(ticketData);
+        await recordAudit(req, {
+          action: "ticket.create",
+          target: { type: "ticket", id: result.insertedId },
+          after: ticketData,
+        });
+        await recordTicketRevision(req, {
+          action: "create",
+          after: { _id: result.insertedId, ...ticketData },
+        });
+        res.send(result);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/tickets error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Update ticket (vendor)
+  router.patch(
+    "/tickets/:id",
+    verifyJWT,
+    verifyVENDOR,
+    upload.single("image"),
+    validate(schemas.updateTicket),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const ticketData = req.body;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ticket ID" });
+        }
+
+        // Verify ownership
+        const ticket = await ticketsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.vendorEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        if (ticketData.seatLayout !== undefined) {
+          const { layout, error } = normalizeSeatLayout(ticketData.seatLayout);
+          if (error) return res.status(400).send({ message: error });
+          ticketData.seatLayout = layout;
+        }
+
+        if (ticketData.cancellationPolicy !== undefined) {
+          const { policy, error } = normalizeCancellationPolicy(
+            ticketData.cancellationPolicy
+          );
+          if (error) return res.status(400).send({ message: error });
+          ticketData.cancellationPolicy = policy;
+        }
+
+        // Fare classes are checked against the layout the ticket will have
+        if (ticketData.fareRules !== undefined) {
+          const { fareRules, error } = normalizeFareRules(
+            ticketData.fareRules,
+            getSeatLayout({ ...ticket, ...ticketData })
+          );
+          if (error) return res.status(400).send({ message: error });
+          ticketData.fareRules = fareRules;
+        }
+
+        // quantity counts down as seats are booked, so a new capacity
+        // moves it by the difference rather than overwriting it
+        const capacity = planCapacityChange(ticket, ticketData);
+        delete ticketData.quantity;
+        if (capacity) ticketData.totalSeats = capacity.totalSeats;
+
+        const schedule = updateTripSchedule(ticket, ticketData);
+        if (schedule && hasDeparted(schedule)) {
+          return res
+            .status(400)
+            .send({ message: "Departure must be in the future" });
+        }
+        if (schedule) Object.assign(ticketData, schedule);
+
+        if (req.file) {
+          const media = await saveImage(req.file, {
+            kind: "ticketCover",
+            ownerEmail: req.tokenEmail,
+          });
+          Object.assign(
+            ticketData,
+            imageFields(getBaseUrl(req, config), media)
+          );
+        } else if (ticketData.image && ticketData.image !== ticket.image) {
+          ticketData.imageThumbnail = null;
+          ticketData.imageMediaId = null;
+        }
+
+        // Changing what customers buy takes an approved ticket off sale
+        // until an admin looks at it again
+        if (
+          ticket.verificationStatus === "approved" &&
+          fieldsNeedingReview(ticket, ticketData).length
+        ) {
+          ticketData.verificationStatus = "pending";
+        }
+
+        const filter = { _id: ticket._id };
+        const update = { $set: ticketData };
+        if (capacity?.stockChange) {
+          update.$inc = { quantity: capacity.stockChange };
+          // The change is relative to the capacity read above, so another
+          // capacity edit made meanwhile fails it
+          filter.totalSeats = ticket.totalSeats ?? null;
+          // A decrease also needs its seats to still be in stock, as a
+          // booking made meanwhile may have taken them. An increase only
+          // adds stock.
+          if (capacity.stockChange < 0) {
+            filter.quantity = { $gte: -capacity.stockChange };
+          }
+        }
+        const result = await ticketsCollection.updateOne(filter, update);
+        if (!result.matchedCount) {
+          if (ticketData.imageMediaId) {
+            await removeMedia(ticketData.imageMediaId);
+          }
+          const current = await ticketsCollection.findOne({
+            _id: ticket._id,
+          });
+          if (!current) {
+            return res.status(404).send({ message: "Ticket not found" });
+          }
+          if (current.totalSeats !== ticket.totalSeats) {
+            return res.status(409).send({
+              message: "Capacity was changed meanwhile, please retry",
+            });
+          }
+          const taken = current.totalSeats - current.quantity;
+          return res.status(409).send({
+            message: `${taken} seat(s) are now sold or held, so capacity can't go below that`,
+          });
+        }
+        // Bookings that still hold seats follow the new schedule
+        if (schedule) {
+          await bookingsCollection.updateMany(
+            {
+              ticketId: ticket._id,
+              status: { $in: ACTIVE_BOOKING_STATUSES },
+            },
+            {
+              $set: {
+                departureAt: schedule.departureAt,
+                departureDate: schedule.departureDate,
+                departureTime: schedule.departureTime,
+                arrivalAt: schedule.arrivalAt,
+                arrivalTime: schedule.arrivalTime,
+                timeZone: schedule.timeZone,
+              },
+              // Reminders are due again for the new time
+              $unset: { reminders: "" },
+            }
+          );
+        }
+        // Drop the cover this update replaced
+        if ("imageMediaId" in ticketData && ticket.imageMediaId) {
+          await removeMedia(ticket.imageMediaId);
+        }
+        const updated = { ...ticket, ...ticketData };
+        if (capacity) {
+          updated.quantity = ticket.quantity + capacity.stockChange;
+        }
+        await recordAudit(req, {
+          action: "ticket.update",
+          target: { type: "ticket", id },
+          before: ticket,
+          after: updated,
+        });
+        await recordTicketRevision(req, {
+          action: "update",
+          before: ticket,
+          after: updated,
+        });
+        res.send({ ...result, verificationStatus: updated.verificationStatus });
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/tickets/:id error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Send a rejected ticket back for review once it's fixed (vendor)
+  router.post(
+    "/tickets/:id/resubmit",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.resubmitTicket),
+    async (req, res) => {
+      try {
+        const ticket = await ticketsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.vendorEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        const { before, after } = await resubmitTicket(ticket);
+        await recordAudit(req, {
+          action: "ticket.resubmit",
+          target: { type: "ticket", id: ticket._id },
+          before,
+          after,
+        });
+        await recordTicketRevision(req, {
+          action: "resubmit",
+          before,
+          after,
+          note: req.body.note,
+        });
+        res.send(withDisplayPrice(after));
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/tickets/:id/resubmit error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  //  Delete ticket (vendor)
+  router.delete(
+    "/tickets/:id",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.ticketId),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ticket ID" });
+        }
+
+        // Verify ownership
+        const ticket = await ticketsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.vendorEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        // Customers holding or paid for seats would be left with a booking
+        // for a trip that no longer exists. A booking made meanwhile takes
+        // stock from the ticket, so it conflicts with the delete.
+        const result = await withTransaction(async (session) => {
+          const active = await bookingsCollection.countDocuments(
+            { ticketId: ticket._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+            { session }
+          );
+          if (active) {
+            throw new RequestError(
+              409,
+              `${active} active booking(s) on this ticket must be cancelled first`
+            );
+          }
+          return ticketsCollection.deleteOne({ _id: ticket._id }, { session });
+        });
+        await removeMedia(ticket.imageMediaId);
+        await skipScheduledDeparture(ticket);
+        await recordAudit(req, {
+          action: "ticket.delete",
+          target: { type: "ticket", id },
+          before: ticket,
+        });
+        await recordTicketRevision(req, { action: "delete", before: ticket });
+        res.send(result);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/tickets/:id error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createTicketsRouter };
@@ -0,0 +1,132 @@
+const express = require("express");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+const { getBaseUrl, imageFields } = require("../services/media");
+
+function createUsersRouter({ collections, services, auth, upload, config }) {
+  const { usersCollection } = collections;
+  const { saveImage, removeMedia } = services;
+  const { verifyJWT } = auth;
+  const router = express.Router();
+
+  // User Routes
+  router.post("/user", validate(schemas.createUser), async (req, res) => {
+    try {
+      const userData = req.body;
+
+      userData.created_at = userData.created_at || new Date().toISOString();
+      userData.last_loggedIn = new Date().toISOString();
+
+      // New users are customers. Roles only change through an admin or an
+      // approved vendor application.
+      const query = { email: userData.email };
+      const existingUser = await usersCollection.findOne(query);
+      userData.role = existingUser?.role || "customer";
+
+      const update = { $set: userData };
+      const opts = { upsert: true };
+      const result = await usersCollection.updateOne(query, update, opts);
+      return res.send(result);
+    } catch (error) {
+      console.error("/user error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  router.get("/user/role", verifyJWT, async (req, res) => {
+    try {
+      const result = await usersCollection.findOne({ email: req.tokenEmail });
+      if (!result) return res.status(404).send({ message: "User not found" });
+      res.send({ role: result?.role });
+    } catch (error) {
+      console.error("/user/role error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  router.get("/user/profile", verifyJWT, async (req, res) => {
+    try {
+      const result = await usersCollection.findOne({ email: req.tokenEmail });
+      if (!result) return res.status(404).send({ message: "User not found" });
+      res.send(result);
+    } catch (error) {
+      console.error("/user/profile error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  router.put(
+    "/user/profile",
+    verifyJWT,
+    upload.single("image"),
+    validate(schemas.updateProfile),
+    async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+        const { name, phone, location, imageURL, notificationPreferences } =
+          req.body;
+
+        const user = await usersCollection.findOne({ email });
+        if (!user) return res.status(404).send({ message: "User not found" });
+
+        const updateData = {
+          name,
+          phone: phone || "",
+          location: location || "",
+          updated_at: new Date().toISOString(),
+        };
+        for (const [category, enabled] of Object.entries(
+          notificationPreferences || {}
+        )) {
+          updateData[`notificationPreferences.${category}`] = enabled;
+        }
+
+        // An uploaded file replaces the avatar; a bare URL points it at an
+        // image hosted elsewhere
+        let media = null;
+        if (req.file) {
+          media = await saveImage(req.file, {
+            kind: "avatar",
+            ownerEmail: email,
+          });
+          Object.assign(
+            updateData,
+            imageFields(getBaseUrl(req, config), media)
+          );
+        } else if (imageURL && imageURL !== user.image) {
+          Object.assign(updateData, {
+            image: imageURL,
+            imageThumbnail: null,
+            imageMediaId: null,
+          });
+        }
+
+        const result = await usersCollection.findOneAndUpdate(
+          { email },
+          { $set: updateData },
+          { returnDocument: "after" }
+        );
+
+        if (!result) {
+          await removeMedia(media?._id);
+          return res.status(404).send({ message: "User not found" });
+        }
+        if ("imageMediaId" in updateData && user.imageMediaId) {
+          await removeMedia(user.imageMediaId);
+        }
+
+        res.send(result);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/user/profile PUT error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,315 @@
+const express = require("express");
+const { RequestError } = require("../errors");
+const { ObjectId } = require("mongodb");
+const { schemas, validate } = require("../validation");
+const { sendCsv } = require("../csv");
+const { verifyTicketToken } = require("../services/eTickets");
+const { ACTIVE_BOOKING_STATUSES } = require("../services/bookingState");
+const { MANIFEST_COLUMNS, buildManifest } = require("../services/passengers");
+const { AMOUNT_FIELDS, withDisplayAmounts } = require("../money");
+const { getBaseUrl, imageFields } = require("../services/media");
+
+function createVendorRouter({ collections, services, auth, upload, config }) {
+  const { bookingsCollection, ticketsCollection } = collections;
+  const {
+    getVendorRevenue,
+    getVendorAnalytics,
+    searchTickets,
+    recordAudit,
+    updateVendorProfile,
+    saveImage,
+    removeMedia,
+  } = services;
+  const { verifyJWT, verifyVENDOR } = auth;
+  const router = express.Router();
+
+  // Get vendor's tickets
+  router.get(
+    "/vendor/tickets",
+    verifyJWT,
+    validate(schemas.searchTickets),
+    async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+        const result = await searchTickets({ vendorEmail: email }, req.query);
+        res.send(result);
+      } catch (error) {
+        console.error("/vendor/tickets error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // The vendor's public profile; null for vendors who haven't made one
+  router.get("/vendor/profile", verifyJWT, verifyVENDOR, (req, res) => {
+    res.send({ vendorProfile: req.user.vendorProfile || null });
+  });
+
+  // Update the profile, and the copy of it on every ticket. An uploaded
+  // logo replaces the old one.
+  router.put(
+    "/vendor/profile",
+    verifyJWT,
+    verifyVENDOR,
+    upload.single("logo"),
+    validate(schemas.updateVendorProfile),
+    async (req, res) => {
+      let logo = null;
+      try {
+        if (req.file) {
+          const media = await saveImage(req.file, {
+            kind: "vendorLogo",
+            ownerEmail: req.tokenEmail,
+          });
+          logo = imageFields(getBaseUrl(req, config), media);
+        }
+        const before = req.user.vendorProfile;
+        const vendorProfile = await updateVendorProfile(
+          req.user,
+          req.body,
+          logo
+        );
+        if (logo && before?.logoMediaId) {
+          await removeMedia(before.logoMediaId);
+        }
+        await recordAudit(req, {
+          action: "vendor.profile",
+          target: { type: "user", id: req.tokenEmail },
+          before,
+          after: vendorProfile,
+        });
+        res.send({ vendorProfile });
+      } catch (error) {
+        await removeMedia(logo?.imageMediaId);
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/vendor/profile error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Get bookings for vendor's tickets
+  router.get("/vendor/bookings", verifyJWT, async (req, res) => {
+    try {
+      const email = req.tokenEmail;
+
+      // Get all vendor's ticket IDs
+      const vendorTickets = await ticketsCollection
+        .find({ vendorEmail: email })
+        .project({ _id: 1 })
+        .toArray();
+
+      const ticketIds = vendorTickets.map((t) => t._id);
+
+      // Get all bookings for these tickets
+      const bookings = await bookingsCollection
+        .find({ ticketId: { $in: ticketIds } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      // Bookings from before passenger details have none listed
+      res.send(
+        bookings.map((booking) =>
+          withDisplayAmounts(
+            { ...booking, passengers: booking.passengers || [] },
+            AMOUNT_FIELDS.booking
+          )
+        )
+      );
+    } catch (error) {
+      console.error("/vendor/bookings error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Get vendor revenue stats
+  router.get("/vendor/revenue", verifyJWT, async (req, res) => {
+    try {
+      const stats = await getVendorRevenue(req.tokenEmail);
+      res.send(stats);
+    } catch (error) {
+      console.error("/vendor/revenue error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Revenue, sales and occupancy over time for the vendor's dashboard
+  router.get(
+    "/vendor/analytics",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.vendorAnalytics),
+    async (req, res) => {
+      try {
+        const analytics = await getVendorAnalytics(req.tokenEmail, req.query);
+        res.send(analytics);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/vendor/analytics error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Passenger manifest for one of the vendor's departures, as JSON or CSV
+  router.get(
+    "/vendor/tickets/:id/manifest",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.ticketManifest),
+    async (req, res) => {
+      try {
+        const ticket = await ticketsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!ticket) {
+          return res.status(404).send({ message: "Ticket not found" });
+        }
+        if (ticket.vendorEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Not authorized" });
+        }
+
+        const bookings = await bookingsCollection
+          .find({
+            ticketId: ticket._id,
+            status: { $in: [...ACTIVE_BOOKING_STATUSES, "completed"] },
+          })
+          .toArray();
+        const passengers = buildManifest(bookings);
+
+        if (req.query.format === "csv") {
+          return await sendCsv(
+            res,
+            `manifest-${ticket.departureDate}-${ticket._id}.csv`,
+            MANIFEST_COLUMNS,
+            passengers
+          );
+        }
+        res.send({
+          ticket: {
+            _id: ticket._id,
+            title: ticket.title,
+            from: ticket.from,
+            to: ticket.to,
+            departureAt: ticket.departureAt,
+            departureDate: ticket.departureDate,
+            departureTime: ticket.departureTime,
+            timeZone: ticket.timeZone,
+          },
+          total: passengers.length,
+          passengers,
+        });
+      } catch (error) {
+        console.error("/vendor/tickets/:id/manifest error", error);
+        if (res.headersSent) return res.end();
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Check in a passenger by the QR code on their e-ticket
+  router.post(
+    "/vendor/checkin",
+    verifyJWT,
+    verifyVENDOR,
+    validate(schemas.checkIn),
+    async (req, res) => {
+      try {
+        const claims = verifyTicketToken(
+          req.body.token,
+          config.ticketSigningSecret
+        );
+        if (!claims || !ObjectId.isValid(claims.bookingId)) {
+          return res.status(400).send({ message: "Invalid ticket code" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(claims.bookingId),
+        });
+        if (!booking || booking.bookingReference !== claims.bookingReference) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+        const ticket = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        if (ticket?.vendorEmail !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "This booking is not for your ticket" });
+        }
+        if (booking.boardedAt) {
+          return res.status(409).send({
+            message: "Passenger has already boarded",
+            boardedAt: booking.boardedAt,
+          });
+        }
+        // complete-bookings closes a trip at departure, which can come
+        // before the last passenger is scanned
+        const boardable = ["paid", "completed"];
+        if (!boardable.includes(booking.status)) {
+          return res
+            .status(400)
+            .send({ message: `Booking is ${booking.status}, not paid` });
+        }
+
+        // Only the first scan of a paid booking boards it
+        const boardedAt = new Date().toISOString();
+        const boarded = await bookingsCollection.findOneAndUpdate(
+          {
+            _id: booking._id,
+            status: { $in: boardable },
+            boardedAt: { $exists: false },
+          },
+          {
+            $set: {
+              boardedAt,
+              boardedBy: req.tokenEmail,
+              updatedAt: boardedAt,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!boarded) {
+          return res
+            .status(409)
+            .send({ message: "Booking was updated, please scan again" });
+        }
+        await recordAudit(req, {
+          action: "booking.checkin",
+          target: { type: "booking", id: boarded._id },
+          before: booking,
+          after: boarded,
+        });
+
+        res.send({
+          message: "Passenger boarded",
+          booking: {
+            _id: boarded._id,
+            bookingReference: boarded.bookingReference,
+            userEmail: boarded.userEmail,
+            ticketTitle: boarded.ticketTitle,
+            from: boarded.from,
+            to: boarded.to,
+            departureDate: boarded.departureDate,
+            departureTime: boarded.departureTime,
+            seatNumbers: boarded.seatNumbers,
+            passengers: boarded.passengers || [],
+            quantity: boarded.quantity,
+            boardedAt: boarded.boardedAt,
+          },
+        });
+      } catch (error) {
+        console.error("/vendor/checkin error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createVendorRouter };
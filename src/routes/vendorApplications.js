@@ -0,0 +1,158 @@
+const express = require("express");
+const { RequestError } = require("../errors");
+const { schemas, validate } = require("../validation");
+
+function createVendorApplicationsRouter({ services, auth, documentUpload }) {
+  const {
+    submitVendorApplication,
+    listOwnApplications,
+    listVendorApplications,
+    getVendorApplication,
+    reviewVendorApplication,
+    saveDocument,
+    openMedia,
+    removeMedia,
+    recordAudit,
+  } = services;
+  const { verifyJWT, verifyADMIN } = auth;
+  const router = express.Router();
+
+  // Apply to become a vendor, with scans or PDFs of business documents
+  router.post(
+    "/vendor/applications",
+    verifyJWT,
+    documentUpload.array("documents", 5),
+    validate(schemas.createVendorApplication),
+    async (req, res) => {
+      const documents = [];
+      try {
+        for (const file of req.files || []) {
+          documents.push(
+            await saveDocument(file, {
+              kind: "vendorDocument",
+              ownerEmail: req.tokenEmail,
+            })
+          );
+        }
+        const application = await submitVendorApplication(
+          req.user,
+          req.body,
+          documents
+        );
+        res.status(201).send(application);
+      } catch (error) {
+        // Documents of an application that wasn't saved aren't kept
+        for (const media of documents) await removeMedia(media._id);
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/vendor/applications error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // The caller's applications and how they were decided
+  router.get("/vendor/applications/mine", verifyJWT, async (req, res) => {
+    try {
+      res.send(await listOwnApplications(req.tokenEmail));
+    } catch (error) {
+      console.error("/vendor/applications/mine error", error);
+      res.status(500).send({ message: "Server error" });
+    }
+  });
+
+  // Review queue (admin)
+  router.get(
+    "/admin/vendor-applications",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.vendorApplications),
+    async (req, res) => {
+      try {
+        res.send(await listVendorApplications(req.query));
+      } catch (error) {
+        console.error("/admin/vendor-applications error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // View a document attached to an application (admin). Documents are
+  // private, so they aren't served from /media/:id.
+  router.get(
+    "/admin/vendor-applications/:id/documents/:mediaId",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.vendorApplicationDocument),
+    async (req, res) => {
+      try {
+        const { id, mediaId } = req.params;
+        const application = await getVendorApplication(id);
+        const attached = application.documents.some((document) =>
+          document.mediaId.equals(mediaId)
+        );
+        const file =
+          attached &&
+          (await openMedia(mediaId, req.query.variant, {
+            allowPrivate: true,
+          }));
+        if (!file) {
+          return res.status(404).send({ message: "Document not found" });
+        }
+
+        res.set({
+          "Content-Type": file.media.contentType,
+          "Content-Length": file.variant.size,
+          "Cache-Control": "private, no-store",
+        });
+        file.stream.on("error", (error) => {
+          console.error("/admin/vendor-applications document error", error);
+          res.destroy(error);
+        });
+        file.stream.pipe(res);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/vendor-applications document error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  // Approve or reject an application with a note for the applicant (admin)
+  router.patch(
+    "/admin/vendor-applications/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.reviewVendorApplication),
+    async (req, res) => {
+      try {
+        const { decision, note } = req.body;
+        const { before, after } = await reviewVendorApplication(req.params.id, {
+          decision,
+          note,
+          by: req.tokenEmail,
+        });
+        await recordAudit(req, {
+          action: `vendorApplication.${decision}`,
+          target: { type: "vendorApplication", id: after._id },
+          before,
+          after,
+        });
+        res.send(after);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          return res.status(error.status).send({ message: error.message });
+        }
+        console.error("/admin/vendor-applications/:id error", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createVendorApplicationsRouter };
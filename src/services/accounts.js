@@ -0,0 +1,234 @@
+const { RequestError } = require("../errors");
+const { ACTIVE_BOOKING_STATUSES } = require("./bookingState");
+const { hasDeparted } = require("./tripSchedule");
+
+// Account restrictions
+// Admins can suspend an account for a while or ban it until reinstated.
+// Either way the account's tickets are hidden from listings. A suspended
+// account can still sign in and look around but not change anything; a
+// banned one can't use the API at all, and bookings on a banned vendor's
+// upcoming trips are cancelled with a full refund. Reinstating an account
+// brings back the tickets its restriction hid.
+
+// Requests a suspended account may still make
+const READ_METHODS = ["GET", "HEAD"];
+
+// Suspensions with an end date lift on their own once it passes
+function isSuspensionOver(user, now = new Date()) {
+  const expiresAt = user.restriction?.expiresAt;
+  return !!expiresAt && expiresAt <= now.toISOString();
+}
+
+// Why a user may not make a request, or null if they may
+function getAccountRestriction(user, method = "GET", now = new Date()) {
+  const status = user?.accountStatus;
+  const restriction = user?.restriction;
+  if (status === "banned") {
+    return {
+      message: "Your account has been banned",
+      accountStatus: status,
+      reason: restriction?.reason || null,
+    };
+  }
+  if (
+    status === "suspended" &&
+    !isSuspensionOver(user, now) &&
+    !READ_METHODS.includes(method)
+  ) {
+    return {
+      message: "Your account is suspended",
+      accountStatus: status,
+      reason: restriction?.reason || null,
+      expiresAt: restriction?.expiresAt || null,
+    };
+  }
+  return null;
+}
+
+// What admins see of an account after changing it
+function accountSummary(user) {
+  return {
+    email: user.email,
+    accountStatus: user.accountStatus || "active",
+    restriction: user.restriction || null,
+  };
+}
+
+function createAccountService({
+  usersCollection,
+  ticketsCollection,
+  bookingsCollection,
+  closeBooking,
+  refundBooking,
+  notify,
+}) {
+  // Hide an account's listed tickets, marking the ones this hides so
+  // reinstatement leaves tickets hidden for other reasons alone
+  async function hideAccountTickets(email) {
+    const result = await ticketsCollection.updateMany(
+      { vendorEmail: email, isHidden: { $ne: true } },
+      { $set: { isHidden: true, hiddenForAccount: true } }
+    );
+    return result.modifiedCount;
+  }
+
+  async function restrictAccount(user, accountStatus, restriction, fields) {
+    const updated = await usersCollection.findOneAndUpdate(
+      { email: user.email },
+      { $set: { ...fields, accountStatus, restriction } },
+      { returnDocument: "after" }
+    );
+    const hiddenTickets = await hideAccountTickets(user.email);
+    return { updated, hiddenTickets };
+  }
+
+  // Suspend an account, until a date if one is given
+  async function suspendAccount(user, { reason, expiresAt = null, by }) {
+    if (user.accountStatus === "banned") {
+      throw new RequestError(400, "Reinstate a banned account to suspend it");
+    }
+    const now = new Date();
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+      throw new RequestError(400, "expiresAt must be a date");
+    }
+    if (expiresAt && new Date(expiresAt) <= now) {
+      throw new RequestError(400, "Suspension must end in the future");
+    }
+
+    const { updated, hiddenTickets } = await restrictAccount(
+      user,
+      "suspended",
+      {
+        reason,
+        by,
+        at: now.toISOString(),
+        expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+      }
+    );
+    return { ...accountSummary(updated), hiddenTickets };
+  }
+
+  // Cancel the open bookings on a vendor's trips that haven't left yet,
+  // refunding paid ones in full. A booking that fails is logged and left
+  // for the next run, so banning again picks it up.
+  async function cancelVendorBookings(vendorEmail, by) {
+    const note =
+      "The operator of this trip is no longer selling tickets on TicketBari.";
+    const tickets = await ticketsCollection
+      .find({ vendorEmail }, { projection: { _id: 1 } })
+      .toArray();
+    const bookings = await bookingsCollection
+      .find({
+        ticketId: { $in: tickets.map((t) => t._id) },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      })
+      .toArray();
+
+    const result = { cancelledBookings: 0, refundedAmount: 0, failed: 0 };
+    for (const booking of bookings) {
+      if (hasDeparted(booking)) continue;
+      const transition = {
+        actor: "admin",
+        actorEmail: by,
+        note,
+        fields: { cancelledAt: new Date().toISOString() },
+      };
+      try {
+        let closed;
+        let refundAmount = 0;
+        if (booking.status === "paid") {
+          ({ closed, refundAmount } = await refundBooking(booking, {
+            refundAmount: booking.totalPrice || 0,
+            refundPercent: 100,
+            reason: "vendor_banned",
+            transition,
+          }));
+        } else {
+          closed = await closeBooking(booking, "cancelled", transition);
+        }
+        if (!closed) continue;
+
+        result.cancelledBookings++;
+        result.refundedAmount += refundAmount;
+        await notify("booking.cancelled", booking.userEmail, {
+          booking,
+          refundAmount,
+          note,
+        });
+      } catch (error) {
+        console.error(`Failed to cancel booking ${booking._id}`, error);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+
+  // Ban an account until an admin reinstates it. Fraud bans also flag the
+  // account for the fraud report.
+  async function banAccount(user, { reason, by, fraud = false }) {
+    const { updated, hiddenTickets } = await restrictAccount(
+      user,
+      "banned",
+      { reason, by, at: new Date().toISOString(), expiresAt: null },
+      fraud ? { isFraud: true } : {}
+    );
+    const bookings = await cancelVendorBookings(user.email, by);
+    return { ...accountSummary(updated), hiddenTickets, ...bookings };
+  }
+
+  // Make the account matching filter active again and bring back the
+  // tickets its restriction hid
+  async function liftRestriction(filter) {
+    const updated = await usersCollection.findOneAndUpdate(
+      filter,
+      {
+        $set: { accountStatus: "active", isFraud: false },
+        $unset: { restriction: "" },
+      },
+      { returnDocument: "after" }
+    );
+    if (!updated) return null;
+    const restored = await ticketsCollection.updateMany(
+      { vendorEmail: updated.email, hiddenForAccount: true },
+      { $set: { isHidden: false }, $unset: { hiddenForAccount: "" } }
+    );
+    return {
+      ...accountSummary(updated),
+      restoredTickets: restored.modifiedCount,
+    };
+  }
+
+  async function reinstateAccount(user) {
+    return liftRestriction({ email: user.email });
+  }
+
+  // Reinstate accounts whose suspension has run out, unless something
+  // else changed them first
+  async function liftExpiredSuspensions() {
+    const filter = {
+      accountStatus: "suspended",
+      "restriction.expiresAt": { $lte: new Date().toISOString() },
+    };
+    const expired = await usersCollection.find(filter).toArray();
+    let reinstated = 0;
+    for (const user of expired) {
+      if (await liftRestriction({ ...filter, email: user.email })) {
+        reinstated++;
+      }
+    }
+    return { reinstated };
+  }
+
+  return {
+    suspendAccount,
+    banAccount,
+    reinstateAccount,
+    liftExpiredSuspensions,
+  };
+}
+
+module.exports = {
+  getAccountRestriction,
+  accountSummary,
+  createAccountService,
+};
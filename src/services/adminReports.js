@@ -0,0 +1,382 @@
+const { dateRangeExpr, periodExpr, parseReportRange } = require("./reporting");
+const {
+  SOLD_STATUSES,
+  currencyExpr,
+  primaryTotals,
+  salesGroup,
+  salesProjection,
+} = require("./revenue");
+
+// Columns of each report in its CSV export
+const REPORT_COLUMNS = {
+  gmv: [
+    { key: "period", header: "Period" },
+    { key: "currency", header: "Currency" },
+    { key: "payments", header: "Payments" },
+    { key: "grossVolume", header: "Gross volume" },
+    { key: "refunded", header: "Refunded" },
+    { key: "netVolume", header: "Net volume" },
+  ],
+  bookings: [
+    { key: "status", header: "Status" },
+    { key: "count", header: "Bookings" },
+  ],
+  vendors: [
+    { key: "vendorEmail", header: "Vendor" },
+    { key: "currency", header: "Currency" },
+    { key: "paidBookings", header: "Paid bookings" },
+    { key: "ticketsSold", header: "Tickets sold" },
+    { key: "grossRevenue", header: "Gross revenue" },
+    { key: "totalRefunded", header: "Refunded" },
+    { key: "netRevenue", header: "Net revenue" },
+  ],
+  routes: [
+    { key: "from", header: "From" },
+    { key: "to", header: "To" },
+    { key: "currency", header: "Currency" },
+    { key: "paidBookings", header: "Paid bookings" },
+    { key: "ticketsSold", header: "Tickets sold" },
+    { key: "grossRevenue", header: "Gross revenue" },
+    { key: "totalRefunded", header: "Refunded" },
+    { key: "netRevenue", header: "Net revenue" },
+  ],
+  users: [
+    { key: "period", header: "Period" },
+    { key: "count", header: "New users" },
+  ],
+  payments: [
+    { key: "paymentDate", header: "Payment date" },
+    { key: "transactionId", header: "Transaction ID" },
+    { key: "bookingId", header: "Booking ID" },
+    { key: "bookingReference", header: "Booking reference" },
+    { key: "userEmail", header: "Customer" },
+    { key: "currency", header: "Currency" },
+    { key: "amount", header: "Amount" },
+    { key: "refundedAmount", header: "Refunded" },
+    { key: "status", header: "Status" },
+    { key: "paymentMethod", header: "Payment method" },
+  ],
+};
+
+const TOP_LIMIT = 10;
+
+function createAdminReportService({
+  ticketsCollection,
+  usersCollection,
+  bookingsCollection,
+  paymentCollection,
+  refundsCollection,
+}) {
+  // Match documents whose date field falls in the range
+  function inRange(field, range) {
+    return {
+      [field]: { $exists: true },
+      $expr: dateRangeExpr(`$${field}`, range),
+    };
+  }
+
+  // Payment volume from the payments ledger per currency, per period and
+  // in total
+  async function getGmv(range) {
+    const volumeGroup = (keys = {}) => ({
+      _id: { ...keys, currency: "$currency" },
+      payments: { $sum: 1 },
+      grossVolume: { $sum: "$amount" },
+      refunded: { $sum: "$refunded" },
+    });
+    const [result] = await paymentCollection
+      .aggregate([
+        { $match: inRange("paymentDate", range) },
+        {
+          $project: {
+            paymentDate: 1,
+            currency: currencyExpr,
+            amount: { $ifNull: ["$amount", 0] },
+            refunded: { $ifNull: ["$refundedAmount", 0] },
+          },
+        },
+        {
+          $facet: {
+            totals: [
+              { $group: volumeGroup() },
+              { $sort: { "_id.currency": 1 } },
+            ],
+            series: [
+              {
+                $group: volumeGroup({
+                  period: periodExpr("$paymentDate", range),
+                }),
+              },
+              { $sort: { "_id.period": 1, "_id.currency": 1 } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    const withNet = (row) => ({
+      currency: row._id.currency,
+      payments: row.payments,
+      grossVolume: row.grossVolume,
+      refunded: row.refunded,
+      netVolume: row.grossVolume - row.refunded,
+    });
+    const totals = result.totals.map(withNet);
+    return {
+      totals: primaryTotals(totals, {
+        payments: 0,
+        grossVolume: 0,
+        refunded: 0,
+        netVolume: 0,
+      }),
+      totalsByCurrency: totals,
+      series: result.series.map((row) => ({
+        period: row._id.period,
+        ...withNet(row),
+      })),
+    };
+  }
+
+  async function getBookingsByStatus(range) {
+    return bookingsCollection
+      .aggregate([
+        { $match: inRange("createdAt", range) },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, status: "$_id", count: 1 } },
+      ])
+      .toArray();
+  }
+
+  // Paid bookings in the range with their refunds and the selling vendor
+  function paidSalesStages(range) {
+    return [
+      { $match: inRange("paidAt", range) },
+      {
+        $lookup: {
+          from: refundsCollection.collectionName,
+          localField: "_id",
+          foreignField: "bookingId",
+          as: "refunds",
+        },
+      },
+      {
+        $lookup: {
+          from: ticketsCollection.collectionName,
+          localField: "ticketId",
+          foreignField: "_id",
+          pipeline: [{ $project: { vendorEmail: 1 } }],
+          as: "ticket",
+        },
+      },
+      {
+        $project: {
+          vendorEmail: { $first: "$ticket.vendorEmail" },
+          from: 1,
+          to: 1,
+          currency: currencyExpr,
+          gross: { $ifNull: ["$totalPrice", 0] },
+          refunded: { $sum: "$refunds.amount" },
+          sold: {
+            $cond: [{ $in: ["$status", SOLD_STATUSES] }, "$quantity", 0],
+          },
+        },
+      },
+    ];
+  }
+
+  // The best sellers in each currency, as their revenue can't be compared
+  function topPerCurrency(sort, limit) {
+    return [
+      { $sort: { "_id.currency": 1, ...sort } },
+      { $group: { _id: "$_id.currency", rows: { $push: "$$ROOT" } } },
+      { $sort: { _id: 1 } },
+      { $project: { rows: { $slice: ["$rows", limit] } } },
+      { $unwind: "$rows" },
+      { $replaceWith: "$rows" },
+    ];
+  }
+
+  async function getTopVendors(range, limit = TOP_LIMIT) {
+    return bookingsCollection
+      .aggregate([
+        ...paidSalesStages(range),
+        { $group: salesGroup({ vendorEmail: "$vendorEmail" }) },
+        ...topPerCurrency({ grossRevenue: -1, "_id.vendorEmail": 1 }, limit),
+        { $project: { vendorEmail: "$_id.vendorEmail", ...salesProjection } },
+      ])
+      .toArray();
+  }
+
+  async function getTopRoutes(range, limit = TOP_LIMIT) {
+    return bookingsCollection
+      .aggregate([
+        ...paidSalesStages(range),
+        { $group: salesGroup({ from: "$from", to: "$to" }) },
+        ...topPerCurrency(
+          { grossRevenue: -1, "_id.from": 1, "_id.to": 1 },
+          limit
+        ),
+        {
+          $project: { from: "$_id.from", to: "$_id.to", ...salesProjection },
+        },
+      ])
+      .toArray();
+  }
+
+  async function getNewUsers(range) {
+    const [result] = await usersCollection
+      .aggregate([
+        { $match: inRange("created_at", range) },
+        {
+          $facet: {
+            byRole: [
+              { $group: { _id: "$role", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+              { $project: { _id: 0, role: "$_id", count: 1 } },
+            ],
+            series: [
+              {
+                $group: {
+                  _id: periodExpr("$created_at", range),
+                  count: { $sum: 1 },
+                },
+              },
+              { $sort: { _id: 1 } },
+              { $project: { _id: 0, period: "$_id", count: 1 } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    return {
+      total: result.byRole.reduce((sum, row) => sum + row.count, 0),
+      byRole: result.byRole,
+      series: result.series,
+    };
+  }
+
+  // Tickets waiting for an admin to approve or reject them
+  async function getVerificationBacklog() {
+    const [backlog] = await ticketsCollection
+      .aggregate([
+        { $match: { verificationStatus: "pending" } },
+        {
+          $group: {
+            _id: null,
+            pending: { $sum: 1 },
+            oldestCreatedAt: { $min: "$createdAt" },
+          },
+        },
+        { $project: { _id: 0, pending: 1, oldestCreatedAt: 1 } },
+      ])
+      .toArray();
+    return backlog || { pending: 0, oldestCreatedAt: null };
+  }
+
+  async function getFraudVendors() {
+    return usersCollection
+      .aggregate([
+        { $match: { isFraud: true } },
+        {
+          $lookup: {
+            from: ticketsCollection.collectionName,
+            localField: "email",
+            foreignField: "vendorEmail",
+            pipeline: [{ $project: { isHidden: 1 } }],
+            as: "tickets",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            email: 1,
+            name: 1,
+            role: 1,
+            totalTickets: { $size: "$tickets" },
+            hiddenTickets: {
+              $size: {
+                $filter: {
+                  input: "$tickets",
+                  cond: { $eq: ["$$this.isHidden", true] },
+                },
+              },
+            },
+          },
+        },
+        { $sort: { email: 1 } },
+      ])
+      .toArray();
+  }
+
+  // Every KPI for the admin dashboard over one range
+  async function getPlatformStats(query) {
+    const range = parseReportRange(query);
+    const limit = Number(query.limit) || TOP_LIMIT;
+
+    const [
+      gmv,
+      bookingsByStatus,
+      topVendors,
+      topRoutes,
+      newUsers,
+      verificationBacklog,
+      fraudVendors,
+    ] = await Promise.all([
+      getGmv(range),
+      getBookingsByStatus(range),
+      getTopVendors(range, limit),
+      getTopRoutes(range, limit),
+      getNewUsers(range),
+      getVerificationBacklog(),
+      getFraudVendors(),
+    ]);
+
+    return {
+      range: {
+        startDate: range.startDate || null,
+        endDate: range.endDate || null,
+      },
+      interval: range.interval,
+      timezone: range.timezone,
+      gmv,
+      bookingsByStatus,
+      topVendors,
+      topRoutes,
+      newUsers,
+      verificationBacklog,
+      fraudVendors,
+    };
+  }
+
+  // Rows for one report's CSV export. Payments are streamed from a cursor
+  // so finance can reconcile every payment in the range.
+  async function getReportRows(report, query) {
+    const range = parseReportRange(query);
+    const limit = Number(query.limit) || TOP_LIMIT;
+
+    switch (report) {
+      case "gmv":
+        return (await getGmv(range)).series;
+      case "bookings":
+        return getBookingsByStatus(range);
+      case "vendors":
+        return getTopVendors(range, limit);
+      case "routes":
+        return getTopRoutes(range, limit);
+      case "users":
+        return (await getNewUsers(range)).series;
+      case "payments":
+        return paymentCollection
+          .find(inRange("paymentDate", range))
+          .sort({ paymentDate: 1, _id: 1 });
+      default:
+        throw new Error(`Unknown report ${report}`);
+    }
+  }
+
+  return { getPlatformStats, getReportRows };
+}
+
+module.exports = { REPORT_COLUMNS, createAdminReportService };
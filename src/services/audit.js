@@ -0,0 +1,94 @@
+const { isDeepStrictEqual } = require("node:util");
+const { dateRangeFilter, parseReportRange } = require("./reporting");
+const { parsePagination } = require("./ticketSearch");
+
+// Audit log
+// Every change an admin or vendor makes, and every booking a customer makes
+// or cancels, is appended to the audit log: who made it, from which
+// address, what it was made to and the fields it changed. Reads, such as a
+// customer checking their seat hold, aren't recorded. Entries are only ever
+// inserted, never updated or removed.
+
+// The fields that differ between two versions of a document, with their
+// old and new values. A created document has no before and a deleted one
+// no after.
+function diffDocuments(before, after) {
+  const changes = { before: {}, after: {} };
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (field === "_id") continue;
+    const from = before?.[field];
+    const to = after?.[field];
+    if (isDeepStrictEqual(from, to)) continue;
+    if (from !== undefined) changes.before[field] = from;
+    if (to !== undefined) changes.after[field] = to;
+  }
+  return changes;
+}
+
+function createAuditService({ auditLogCollection }) {
+  // Record a change made by the user behind req. Never throws: the change
+  // has already been made, so a failed write is logged rather than turning
+  // it into an error for the caller.
+  async function recordAudit(req, { action, target, before, after }) {
+    try {
+      const entry = {
+        actor: req.tokenEmail,
+        // Routes open to several roles skip the role middlewares, so take
+        // the role from the user verifyJWT loaded
+        actorRole: req.user?.role || req.userRole || null,
+        action,
+        target: { type: target.type, id: String(target.id) },
+        ...diffDocuments(before, after),
+        ip: req.ip || null,
+        userAgent: req.get("user-agent") || null,
+        createdAt: new Date().toISOString(),
+      };
+      await auditLogCollection.insertOne(entry);
+      return entry;
+    } catch (error) {
+      console.error(`Failed to record ${action} audit entry`, error);
+      return null;
+    }
+  }
+
+  // Newest entries first, optionally for one actor, target or action and
+  // within a range of days
+  async function listAuditLog(query = {}) {
+    const range = parseReportRange(query);
+    const filter = {};
+    if (range.startDate || range.endDate) {
+      filter.createdAt = dateRangeFilter(range);
+    }
+    if (query.actor) filter.actor = query.actor;
+    if (query.action) filter.action = query.action;
+    if (query.targetType) filter["target.type"] = query.targetType;
+    if (query.targetId) filter["target.id"] = query.targetId;
+    const { page, limit, skip } = parsePagination(query);
+
+    const [entries, total] = await Promise.all([
+      auditLogCollection
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      auditLogCollection.countDocuments(filter),
+    ]);
+
+    return {
+      entries,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  return { recordAudit, listAuditLog };
+}
+
+module.exports = { diffDocuments, createAuditService };
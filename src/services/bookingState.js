@@ -0,0 +1,94 @@
+const { RequestError } = require("../errors");
+
+// Booking state machine
+// Each allowed transition lists the actors who may make it: the customer
+// who booked, the vendor who owns the ticket, an admin closing a banned
+// vendor's trips, the payment flow (Stripe) and the server itself.
+const BOOKING_TRANSITIONS = {
+  pending: {
+    accepted: ["vendor"],
+    rejected: ["vendor"],
+    cancelled: ["customer", "admin"],
+    expired: ["system"],
+  },
+  accepted: {
+    paid: ["payment"],
+    rejected: ["vendor"],
+    cancelled: ["customer", "admin"],
+    expired: ["system"],
+  },
+  paid: {
+    completed: ["system"],
+    cancelled: ["customer", "admin"],
+    refunded: ["customer", "payment", "admin"],
+  },
+  completed: {},
+  rejected: {},
+  cancelled: {},
+  expired: {},
+  refunded: {},
+};
+
+// Bookings in these statuses keep their seats
+const ACTIVE_BOOKING_STATUSES = ["pending", "accepted", "paid"];
+
+function isClosedBooking(booking) {
+  return Object.keys(BOOKING_TRANSITIONS[booking.status] || {}).length === 0;
+}
+
+function assertTransition(from, to, actor) {
+  const actors = BOOKING_TRANSITIONS[from]?.[to];
+  if (!actors) {
+    throw new RequestError(400, `Booking cannot go from ${from} to ${to}`);
+  }
+  if (!actors.includes(actor)) {
+    throw new RequestError(
+      403,
+      `Only the ${actors.join(" or ")} can mark a booking ${to}`
+    );
+  }
+}
+
+function createBookingStateService({ bookingsCollection }) {
+  // Move a booking to a new status and log it in its status history. Only
+  // applies if the booking is still in the status it was read with, so
+  // returns false when something else changed it first.
+  async function transitionBooking(
+    booking,
+    to,
+    { actor, actorEmail = null, note = null, fields = {} },
+    session
+  ) {
+    assertTransition(booking.status, to, actor);
+
+    const at = new Date().toISOString();
+    const result = await bookingsCollection.updateOne(
+      { _id: booking._id, status: booking.status },
+      {
+        $set: { ...fields, status: to, updatedAt: at },
+        $push: {
+          statusHistory: {
+            from: booking.status,
+            to,
+            actor,
+            actorEmail,
+            note,
+            at,
+          },
+        },
+      },
+      { session }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return { transitionBooking };
+}
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  ACTIVE_BOOKING_STATUSES,
+  isClosedBooking,
+  assertTransition,
+  createBookingStateService,
+};
@@ -0,0 +1,143 @@
+const { getDepartureDate } = require("./tripSchedule");
+
+// Departure housekeeping run by the scheduler: reminders before a trip,
+// completing bookings once it has left and keeping sold out or departed
+// tickets out of the public listings. Trips are found by departureAt, which
+// setupDatabase fills in for documents written before it existed.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reminders go out this many hours before departure, closest first
+const REMINDER_HOURS = [2, 24];
+
+function isoAt(time) {
+  return new Date(time).toISOString();
+}
+
+// The closest reminder that is due for a departure, if any
+function dueReminder(departure, now = Date.now()) {
+  const hoursLeft = (departure - now) / HOUR_MS;
+  if (hoursLeft <= 0) return null;
+  return REMINDER_HOURS.find((hours) => hoursLeft <= hours) ?? null;
+}
+
+function createDepartureService({
+  bookingsCollection,
+  ticketsCollection,
+  transitionBooking,
+  notify,
+}) {
+  // Remind customers with paid bookings about their trip. Each reminder is
+  // marked on the booking before it is queued so it is only sent once; a
+  // customer who paid inside the 24 hour window only gets the 2 hour one.
+  async function sendDepartureReminders() {
+    const now = Date.now();
+    const bookings = await bookingsCollection
+      .find({
+        status: "paid",
+        departureAt: {
+          $gt: isoAt(now),
+          $lte: isoAt(now + Math.max(...REMINDER_HOURS) * HOUR_MS),
+        },
+        "reminders.2h": { $exists: false },
+      })
+      .toArray();
+
+    let sent = 0;
+    for (const booking of bookings) {
+      const hours = dueReminder(getDepartureDate(booking), now);
+      if (!hours || booking.reminders?.[`${hours}h`]) continue;
+
+      // Mark this reminder and any earlier one it replaces
+      const sentAt = new Date(now).toISOString();
+      const marks = {};
+      for (const h of REMINDER_HOURS.filter((h) => h >= hours)) {
+        marks[`reminders.${h}h`] = booking.reminders?.[`${h}h`] || sentAt;
+      }
+      const marked = await bookingsCollection.updateOne(
+        { _id: booking._id, status: "paid", [`reminders.${hours}h`]: null },
+        { $set: marks }
+      );
+      if (!marked.modifiedCount) continue;
+
+      await notify("booking.reminder", booking.userEmail, {
+        booking,
+        hoursBefore: hours,
+      });
+      sent++;
+    }
+    return { sent };
+  }
+
+  // Paid bookings are completed once their trip has left
+  async function completeDepartedBookings() {
+    const now = Date.now();
+    const bookings = await bookingsCollection
+      .find({ status: "paid", departureAt: { $lte: isoAt(now) } })
+      .toArray();
+
+    let completed = 0;
+    for (const booking of bookings) {
+      const changed = await transitionBooking(booking, "completed", {
+        actor: "system",
+        fields: { completedAt: new Date(now).toISOString() },
+      });
+      if (changed) completed++;
+    }
+    return { completed };
+  }
+
+  // Take sold out and departed tickets off the public listings, and put
+  // back ones that have had seats returned or been moved to a later date.
+  // unavailableReason is separate from isHidden, which admins use for fraud.
+  async function updateTicketAvailability() {
+    const now = Date.now();
+
+    const restocked = await ticketsCollection.updateMany(
+      { unavailableReason: "sold_out", quantity: { $gt: 0 } },
+      { $unset: { unavailableReason: "" } }
+    );
+    const soldOut = await ticketsCollection.updateMany(
+      { unavailableReason: null, quantity: { $lte: 0 } },
+      { $set: { unavailableReason: "sold_out" } }
+    );
+
+    const departed = await ticketsCollection.updateMany(
+      {
+        unavailableReason: { $ne: "departed" },
+        departureAt: { $lte: isoAt(now) },
+      },
+      { $set: { unavailableReason: "departed" } }
+    );
+
+    // Tickets a vendor has moved to a later date are listed again unless
+    // they have no seats left
+    const rescheduled = await ticketsCollection.updateMany(
+      { unavailableReason: "departed", departureAt: { $gt: isoAt(now) } },
+      [
+        {
+          $set: {
+            unavailableReason: {
+              $cond: [{ $gt: ["$quantity", 0] }, "$$REMOVE", "sold_out"],
+            },
+          },
+        },
+      ]
+    );
+
+    return {
+      restocked: restocked.modifiedCount,
+      soldOut: soldOut.modifiedCount,
+      departed: departed.modifiedCount,
+      rescheduled: rescheduled.modifiedCount,
+    };
+  }
+
+  return {
+    sendDepartureReminders,
+    completeDepartedBookings,
+    updateTicketAvailability,
+  };
+}
+
+module.exports = { REMINDER_HOURS, dueReminder, createDepartureService };
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { formatMoney } = require("../money");
+
+// E-tickets
+// The QR code on an e-ticket carries a token naming the booking, signed
+// with the server's secret so check-in can trust it without the customer
+// being signed in: <base64url payload>.<base64url HMAC-SHA256>
+
+const TOKEN_VERSION = 1;
+
+function sign(payload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+function signTicketToken(booking, secret) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      v: TOKEN_VERSION,
+      b: booking._id.toString(),
+      r: booking.bookingReference,
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { bookingId, bookingReference }, or null for a token that was
+// not signed by this server
+function verifyTicketToken(token, secret) {
+  const [payload, signature, extra] = String(token).split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const { v, b, r } = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf-8")
+    );
+    if (v !== TOKEN_VERSION) return null;
+    return { bookingId: b, bookingReference: r };
+  } catch {
+    return null;
+  }
+}
+
+function field(doc, label, value, x, y, width) {
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#6b7280")
+    .text(label.toUpperCase(), x, y, { width });
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .fillColor("#111827")
+    .text(value || "N/A", x, y + 13, { width });
+}
+
+// Render a booking's e-ticket. Returns the PDF document, already ended,
+// for the caller to pipe to the response.
+async function renderETicket(booking, passenger, token) {
+  const qrCode = await QRCode.toBuffer(token, {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: 220,
+  });
+
+  const doc = new PDFDocument({
+    size: "A5",
+    layout: "landscape",
+    margin: 36,
+    info: {
+      Title: `E-ticket ${booking.bookingReference}`,
+      Author: "TicketBari",
+    },
+  });
+
+  const left = 36;
+  const column = 150;
+
+  doc.rect(0, 0, doc.page.width, 64).fill("#0f766e");
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .fillColor("#ffffff")
+    .text("TicketBari E-Ticket", left, 22);
+  doc
+    .font("Helvetica")
+    .fontSize(11)
+    .text(booking.bookingReference, left, 27, {
+      width: doc.page.width - left * 2,
+      align: "right",
+    });
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor("#111827")
+    .text(`${booking.from} to ${booking.to}`, left, 84, { width: 340 });
+  doc
+    .font("Helvetica")
+    .fontSize(11)
+    .fillColor("#374151")
+    .text(
+      `${booking.ticketTitle || ""} · ${booking.transportType || "bus"}`,
+      left,
+      108,
+      { width: 340 }
+    );
+
+  // Named passengers when the booking has them, otherwise the buyer
+  const passengerNames = (booking.passengers || []).map((p) => p.name);
+  field(
+    doc,
+    passengerNames.length > 1 ? "Passengers" : "Passenger",
+    passengerNames.join(", ") || passenger.name || passenger.email,
+    left,
+    136,
+    280
+  );
+  field(doc, "Departure date", booking.departureDate, left, 176, column);
+  field(doc, "Departure time", booking.departureTime, left + column, 176, 130);
+  field(doc, "Arrival", booking.arrivalTime, left, 216, column);
+  field(
+    doc,
+    "Seat(s)",
+    (booking.seatNumbers || []).join(", ") || booking.seatNumber,
+    left + column,
+    216,
+    130
+  );
+  field(doc, "Tickets", String(booking.quantity), left, 256, column);
+  field(
+    doc,
+    "Total paid",
+    // The built-in PDF fonts have no taka sign
+    formatMoney(booking.totalPrice, booking.currency, "code") || "",
+    left + column,
+    256,
+    130
+  );
+
+  const qrX = doc.page.width - 36 - 170;
+  doc.image(qrCode, qrX, 84, { width: 170 });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#6b7280")
+    .text("Show this code when boarding", qrX, 260, {
+      width: 170,
+      align: "center",
+    });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { signTicketToken, verifyTicketToken, renderETicket };
@@ -0,0 +1,54 @@
+// Seat holds
+// A pending booking keeps its seats while the vendor decides, until the
+// acceptance deadline. Accepting it starts the shorter hold the customer
+// has to pay in. Both deadlines are kept in holdExpiresAt.
+
+// When a hold started now for the given number of minutes runs out
+function getHoldExpiry(minutes, from = Date.now()) {
+  return new Date(from + minutes * 60 * 1000).toISOString();
+}
+
+function isHoldExpired(booking) {
+  if (booking.status === "expired") return true;
+  return (
+    ["pending", "accepted"].includes(booking.status) &&
+    !!booking.holdExpiresAt &&
+    booking.holdExpiresAt <= new Date().toISOString()
+  );
+}
+
+function createHoldService({ config, bookingsCollection, closeBooking }) {
+  function holdExpiryFromNow() {
+    return getHoldExpiry(config.seatHoldMinutes);
+  }
+
+  function acceptanceExpiryFromNow() {
+    return getHoldExpiry(config.vendorAcceptanceMinutes);
+  }
+
+  // Expire unpaid bookings whose hold has lapsed, and requests the vendor
+  // didn't answer in time, which releases their seats from the active seat
+  // index and returns their stock
+  async function expireStaleHolds(filter = {}) {
+    const now = new Date().toISOString();
+    const staleBookings = await bookingsCollection
+      .find({
+        ...filter,
+        status: { $in: ["pending", "accepted"] },
+        holdExpiresAt: { $lte: now },
+      })
+      .toArray();
+
+    for (const booking of staleBookings) {
+      await closeBooking(booking, "expired", {
+        actor: "system",
+        fields: { expiredAt: now },
+      });
+    }
+    return staleBookings.length;
+  }
+
+  return { holdExpiryFromNow, acceptanceExpiryFromNow, expireStaleHolds };
+}
+
+module.exports = { getHoldExpiry, isHoldExpired, createHoldService };
@@ -0,0 +1,68 @@
+const { RequestError } = require("../errors");
+
+// Bookings take stock when created. Bookings from before that took it
+// when they were paid.
+function holdsStock(booking) {
+  return booking.stockReserved === true || booking.status === "paid";
+}
+
+// Stock changes and the booking updates that cause them share a transaction
+function createInventoryService({
+  client,
+  ticketsCollection,
+  transitionBooking,
+  releasePromoCode,
+}) {
+  async function withTransaction(callback) {
+    const session = client.startSession();
+    try {
+      return await session.withTransaction(() => callback(session));
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Take stock for a booking, failing with 409 if not enough is left
+  async function reserveStock(ticketId, quantity, session) {
+    const ticket = await ticketsCollection.findOneAndUpdate(
+      { _id: ticketId, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { session }
+    );
+    if (!ticket) throw new RequestError(409, "Sold out");
+    return ticket;
+  }
+
+  // Move an open booking to a closed status and return its stock, both in
+  // one transaction. Returns false if the booking changed status meanwhile.
+  // An unpaid booking also gives back its promo code use.
+  // afterClose runs inside the same transaction once the booking is closed
+  async function closeBooking(booking, status, transition, afterClose) {
+    return withTransaction(async (session) => {
+      const closed = await transitionBooking(
+        booking,
+        status,
+        transition,
+        session
+      );
+      if (!closed) return false;
+
+      if (holdsStock(booking)) {
+        await ticketsCollection.updateOne(
+          { _id: booking.ticketId },
+          { $inc: { quantity: booking.quantity } },
+          { session }
+        );
+      }
+      if (booking.promoCodeId && booking.status !== "paid") {
+        await releasePromoCode(booking, session);
+      }
+      if (afterClose) await afterClose(session);
+      return true;
+    });
+  }
+
+  return { withTransaction, reserveStock, closeBooking };
+}
+
+module.exports = { holdsStock, createInventoryService };
@@ -0,0 +1,168 @@
+const sharp = require("sharp");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+
+// Sizes each kind of image is stored at. Every upload is re-encoded, which
+// also strips its metadata.
+const IMAGE_VARIANTS = {
+  avatar: {
+    full: { width: 512, height: 512, fit: "cover" },
+    thumbnail: { width: 128, height: 128, fit: "cover" },
+  },
+  ticketCover: {
+    full: { width: 1600, height: 1600, fit: "inside" },
+    thumbnail: { width: 480, height: 270, fit: "cover" },
+  },
+  vendorLogo: {
+    full: { width: 512, height: 512, fit: "inside" },
+    thumbnail: { width: 128, height: 128, fit: "inside" },
+  },
+  vendorDocument: {
+    full: { width: 2000, height: 2000, fit: "inside" },
+    thumbnail: { width: 320, height: 320, fit: "inside" },
+  },
+};
+
+// Kinds only admins may see, which GET /media/:id doesn't serve
+const PRIVATE_MEDIA_KINDS = ["vendorDocument"];
+
+const MEDIA_CONTENT_TYPE = "image/webp";
+const PDF_CONTENT_TYPE = "application/pdf";
+
+function mediaUrl(baseUrl, mediaId, variant = "full") {
+  const url = `${baseUrl}/media/${mediaId}`;
+  return variant === "full" ? url : `${url}?variant=${variant}`;
+}
+
+// Absolute URLs, since the client is served from another domain
+function getBaseUrl(req, config) {
+  return config.publicUrl || `${req.protocol}://${req.get("host")}`;
+}
+
+// Fields saved on a user or ticket that shows this media
+function imageFields(baseUrl, media) {
+  return {
+    image: mediaUrl(baseUrl, media._id),
+    imageThumbnail: mediaUrl(baseUrl, media._id, "thumbnail"),
+    imageMediaId: media._id,
+  };
+}
+
+async function resizeImage(buffer, size) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize({ ...size, withoutEnlargement: size.fit === "inside" })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+  } catch {
+    throw new RequestError(400, "Image file could not be read");
+  }
+}
+
+function createMediaService({ mediaCollection, storage }) {
+  // Resize an uploaded file into every variant for its kind and store them
+  async function saveImage(file, { kind, ownerEmail }) {
+    const mediaId = new ObjectId();
+    const variants = {};
+
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS[kind])) {
+      const { data, info } = await resizeImage(file.buffer, size);
+      const key = `${kind}/${mediaId}/${name}.webp`;
+      await storage.put(key, data, MEDIA_CONTENT_TYPE);
+      variants[name] = {
+        key,
+        width: info.width,
+        height: info.height,
+        size: info.size,
+      };
+    }
+
+    const media = {
+      _id: mediaId,
+      kind,
+      ownerEmail,
+      contentType: MEDIA_CONTENT_TYPE,
+      originalName: file.originalname,
+      variants,
+      createdAt: new Date().toISOString(),
+    };
+    await mediaCollection.insertOne(media);
+    return media;
+  }
+
+  // Store a document as uploaded when it's a PDF, which has no variants to
+  // resize into, or as an image otherwise
+  async function saveDocument(file, { kind, ownerEmail }) {
+    if (file.mimetype !== PDF_CONTENT_TYPE) {
+      return saveImage(file, { kind, ownerEmail });
+    }
+    if (!file.buffer.subarray(0, 5).equals(Buffer.from("%PDF-"))) {
+      throw new RequestError(400, "PDF file could not be read");
+    }
+
+    const mediaId = new ObjectId();
+    const key = `${kind}/${mediaId}/full.pdf`;
+    await storage.put(key, file.buffer, PDF_CONTENT_TYPE);
+    const media = {
+      _id: mediaId,
+      kind,
+      ownerEmail,
+      contentType: PDF_CONTENT_TYPE,
+      originalName: file.originalname,
+      variants: { full: { key, size: file.buffer.length } },
+      createdAt: new Date().toISOString(),
+    };
+    await mediaCollection.insertOne(media);
+    return media;
+  }
+
+  // Returns null when the media or the variant doesn't exist, or the media
+  // is private and allowPrivate isn't set
+  async function openMedia(
+    mediaId,
+    variant = "full",
+    { allowPrivate = false } = {}
+  ) {
+    const media = await mediaCollection.findOne({
+      _id: new ObjectId(mediaId),
+    });
+    if (!allowPrivate && PRIVATE_MEDIA_KINDS.includes(media?.kind)) {
+      return null;
+    }
+    const stored = media?.variants[variant];
+    if (!stored) return null;
+
+    const stream = await storage.get(stored.key);
+    if (!stream) return null;
+    return { media, variant: stored, stream };
+  }
+
+  // Delete media and its stored files. Failures are logged rather than
+  // thrown: a leftover file must not fail the request that replaced it.
+  async function removeMedia(mediaId) {
+    if (!mediaId) return;
+    try {
+      const media = await mediaCollection.findOne({
+        _id: new ObjectId(mediaId),
+      });
+      if (!media) return;
+      for (const stored of Object.values(media.variants)) {
+        await storage.remove(stored.key);
+      }
+      await mediaCollection.deleteOne({ _id: media._id });
+    } catch (error) {
+      console.error("Media cleanup error", mediaId, error);
+    }
+  }
+
+  return { saveImage, saveDocument, openMedia, removeMedia };
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  mediaUrl,
+  getBaseUrl,
+  imageFields,
+  createMediaService,
+};
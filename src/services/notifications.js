@@ -0,0 +1,153 @@
+const { renderMessage } = require("../mail/templates");
+
+// Email notifications
+// Messages are written to the notifications collection first and sent by
+// processOutbox, so a slow or failing mail server never fails the request
+// that triggered the email and messages survive a restart.
+
+// Which opt-out category each notification belongs to
+const NOTIFICATION_CATEGORIES = {
+  "booking.created": "bookings",
+  "booking.accepted": "bookings",
+  "booking.rejected": "bookings",
+  "booking.cancelled": "bookings",
+  "booking.paid": "payments",
+  "booking.reminder": "reminders",
+  "ticket.approved": "tickets",
+  "ticket.rejected": "tickets",
+  "schedule.approved": "tickets",
+  "schedule.rejected": "tickets",
+  "vendorApplication.approved": "account",
+  "vendorApplication.rejected": "account",
+};
+
+// Wait before each retry of a failed send; a message is given up on once
+// these run out
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length;
+
+// A message stuck in "sending" this long belongs to a worker that died
+const SENDING_LOCK_MS = 10 * 60 * 1000;
+
+// Users are opted in to every category until they turn it off
+function wantsNotification(user, category) {
+  return user?.notificationPreferences?.[category] !== false;
+}
+
+function createNotificationService({
+  usersCollection,
+  notificationsCollection,
+  transport,
+  config,
+}) {
+  // Queue an email for a user. Never throws: a notification that can't be
+  // queued is logged rather than failing the action that triggered it.
+  async function notify(type, email, data) {
+    try {
+      const category = NOTIFICATION_CATEGORIES[type];
+      if (!category) throw new Error(`Unknown notification type ${type}`);
+
+      const user = await usersCollection.findOne({ email });
+      if (!wantsNotification(user, category)) return null;
+
+      const message = renderMessage(type, data, user?.name);
+      const now = new Date().toISOString();
+      const notification = {
+        type,
+        category,
+        to: email,
+        from: config.mailFrom,
+        ...message,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+      };
+      await notificationsCollection.insertOne(notification);
+      return notification;
+    } catch (error) {
+      console.error(`Failed to queue ${type} notification`, error);
+      return null;
+    }
+  }
+
+  // Claim the next message that is due, so two workers never send it twice
+  async function claimNext() {
+    const now = new Date();
+    return notificationsCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now.toISOString() } },
+          {
+            status: "sending",
+            lockedAt: {
+              $lte: new Date(now.getTime() - SENDING_LOCK_MS).toISOString(),
+            },
+          },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: now.toISOString() } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  // Send queued messages that are due. Returns how many were sent and how
+  // many failed this round.
+  async function processOutbox({ limit = 50 } = {}) {
+    const result = { sent: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const notification = await claimNext();
+      if (!notification) break;
+
+      try {
+        await transport.send({
+          from: notification.from,
+          to: notification.to,
+          subject: notification.subject,
+          text: notification.text,
+          html: notification.html,
+        });
+        await notificationsCollection.updateOne(
+          { _id: notification._id },
+          {
+            $set: { status: "sent", sentAt: new Date().toISOString() },
+            $inc: { attempts: 1 },
+            $unset: { lockedAt: "" },
+          }
+        );
+        result.sent++;
+      } catch (error) {
+        const attempts = notification.attempts + 1;
+        const retry = attempts < MAX_ATTEMPTS;
+        await notificationsCollection.updateOne(
+          { _id: notification._id },
+          {
+            $set: {
+              status: retry ? "pending" : "failed",
+              attempts,
+              lastError: error.message,
+              ...(retry && {
+                nextAttemptAt: new Date(
+                  Date.now() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000
+                ).toISOString(),
+              }),
+            },
+            $unset: { lockedAt: "" },
+          }
+        );
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  return { notify, processOutbox };
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  wantsNotification,
+  createNotificationService,
+};
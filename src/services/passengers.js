@@ -0,0 +1,99 @@
+const { RequestError } = require("../errors");
+const { normalizeSeatNumber } = require("./seats");
+
+// Passenger details
+// A booking lists one passenger per seat so operators can print a manifest.
+// Passengers either all name their seat or leave seat choice to the
+// seatNumbers field (or to automatic allocation), in which case they are
+// seated in the order given.
+
+// Check a booking's passengers and return the seats they ask for, if any
+function resolvePassengerSeats(passengers, quantity, requestedSeats) {
+  if (passengers.length !== quantity) {
+    throw new RequestError(
+      400,
+      `Add details for exactly ${quantity} passenger(s)`
+    );
+  }
+
+  const named = passengers
+    .filter((passenger) => passenger.seatNumber)
+    .map((passenger) => normalizeSeatNumber(passenger.seatNumber));
+  if (!named.length) return requestedSeats;
+  if (named.length !== passengers.length) {
+    throw new RequestError(400, "Choose a seat for every passenger or none");
+  }
+
+  const requested = (requestedSeats || []).map(normalizeSeatNumber);
+  if (
+    requestedSeats &&
+    (requested.length !== named.length ||
+      requested.some((seat) => !named.includes(seat)))
+  ) {
+    throw new RequestError(400, "Passenger seats must match the chosen seats");
+  }
+  return named;
+}
+
+// Seat each passenger. seatNumbers comes from allocateSeats, which keeps
+// the order seats were requested in.
+function assignPassengerSeats(passengers, seatNumbers) {
+  return passengers.map((passenger, i) => ({
+    seatNumber: seatNumbers[i],
+    name: passenger.name,
+    age: passenger.age ?? null,
+    gender: passenger.gender || null,
+    idNumber: passenger.idNumber || null,
+  }));
+}
+
+const MANIFEST_COLUMNS = [
+  { key: "seatNumber", header: "Seat" },
+  { key: "name", header: "Passenger" },
+  { key: "age", header: "Age" },
+  { key: "gender", header: "Gender" },
+  { key: "idNumber", header: "ID number" },
+  { key: "bookingReference", header: "Booking reference" },
+  { key: "status", header: "Status" },
+  { key: "contactEmail", header: "Contact email" },
+  { key: "boardedAt", header: "Boarded at" },
+];
+
+// Seats in cabin order: by row, then column letter
+function compareSeats(a, b) {
+  const [, rowA = "", letterA = ""] = /^(\d+)(.*)$/.exec(a) || [];
+  const [, rowB = "", letterB = ""] = /^(\d+)(.*)$/.exec(b) || [];
+  return Number(rowA) - Number(rowB) || letterA.localeCompare(letterB);
+}
+
+// One manifest row per seat. Bookings made before passenger details were
+// collected still hold their seats, with the passenger left blank.
+function buildManifest(bookings) {
+  const rows = [];
+  for (const booking of bookings) {
+    const passengers = booking.passengers?.length
+      ? booking.passengers
+      : (booking.seatNumbers || []).map((seatNumber) => ({ seatNumber }));
+    for (const passenger of passengers) {
+      rows.push({
+        seatNumber: passenger.seatNumber,
+        name: passenger.name || null,
+        age: passenger.age ?? null,
+        gender: passenger.gender || null,
+        idNumber: passenger.idNumber || null,
+        bookingReference: booking.bookingReference,
+        status: booking.status,
+        contactEmail: booking.userEmail,
+        boardedAt: booking.boardedAt || null,
+      });
+    }
+  }
+  return rows.sort((a, b) => compareSeats(a.seatNumber, b.seatNumber));
+}
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  resolvePassengerSeats,
+  assignPassengerSeats,
+  buildManifest,
+};
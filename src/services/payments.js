@@ -0,0 +1,450 @@
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { isHoldExpired } = require("./holds");
+
+// A payment arriving for a booking in one of these is returned
+const CLOSED_STATUSES = ["cancelled", "rejected", "expired", "refunded"];
+
+// A refund Stripe keeps failing is retried after 5, 10, 20 and 40 minutes,
+// then left for an admin as needs_attention
+const MAX_REFUND_ATTEMPTS = 5;
+const REFUND_RETRY_DELAY = 5 * 60 * 1000;
+
+// Payments
+// Booking totals are already in minor units, which is what Stripe charges
+// in. A payment has to match both the amount and the booking's currency.
+function matchesBookingTotal(paymentIntent, booking, amount) {
+  return (
+    amount === booking.totalPrice &&
+    paymentIntent.currency === booking.currency.toLowerCase()
+  );
+}
+
+function createPaymentService({
+  stripe,
+  bookingsCollection,
+  paymentCollection,
+  withTransaction,
+  transitionBooking,
+  reserveStock,
+  closeBooking,
+  saveRefund,
+  notify,
+}) {
+  // Mark a booking paid and save its payment in one transaction
+  async function recordBookingPayment(
+    booking,
+    { transactionId, amount, paymentMethod }
+  ) {
+    const paymentDate = new Date().toISOString();
+
+    // Save payment history
+    const payment = {
+      userEmail: booking.userEmail,
+      bookingId: booking._id,
+      transactionId,
+      amount,
+      currency: booking.currency,
+      ticketTitle: booking.ticketTitle,
+      from: booking.from,
+      to: booking.to,
+      departureDate: booking.departureDate,
+      departureTime: booking.departureTime,
+      departureAt: booking.departureAt,
+      seatNumber: booking.seatNumber,
+      bookingReference: booking.bookingReference,
+      paymentMethod: paymentMethod || "Credit Card",
+      paymentDate,
+      status: "completed",
+      createdAt: paymentDate,
+    };
+
+    await withTransaction(async (session) => {
+      // Update booking unless it changed status meanwhile
+      const updated = await transitionBooking(
+        booking,
+        "paid",
+        {
+          actor: "payment",
+          fields: {
+            paymentStatus: "succeeded",
+            transactionId,
+            paymentMethod: paymentMethod || "Credit Card",
+            paymentDate,
+            paidAt: paymentDate,
+            stockReserved: true,
+          },
+        },
+        session
+      );
+      if (!updated) {
+        throw new RequestError(409, "Booking was updated, please retry");
+      }
+
+      // Older bookings take their stock at payment time
+      if (!booking.stockReserved) {
+        await reserveStock(booking.ticketId, booking.quantity, session);
+      }
+
+      await paymentCollection.insertOne(payment, { session });
+    });
+
+    await notify("booking.paid", booking.userEmail, {
+      booking,
+      amount,
+      transactionId,
+    });
+  }
+
+  // Close a paid booking and refund refundAmount of its payment. The
+  // booking is closed first, so a booking that changed status meanwhile
+  // (closed is false) is never refunded; with nothing to refund it is only
+  // cancelled. A refund Stripe doesn't take is left pending on the booking
+  // for retryPendingRefunds.
+  async function refundBooking(
+    booking,
+    { refundAmount, refundPercent, reason, transition }
+  ) {
+    const payment = await paymentCollection.findOne({
+      bookingId: booking._id,
+      transactionId: booking.transactionId,
+    });
+    const refunding = refundAmount > 0 && payment;
+    const refunded = refunding ? refundAmount : 0;
+
+    const fields = {
+      ...transition.fields,
+      refundAmount: refunded,
+      refundPercent,
+    };
+    if (refunding) {
+      fields.refundReason = reason;
+      fields.refundStatus = "pending";
+    }
+    const closed = await closeBooking(
+      booking,
+      refunding ? "refunded" : "cancelled",
+      { ...transition, fields }
+    );
+    if (!closed || !refunding) return { closed, refundAmount: 0 };
+
+    try {
+      await issueRefund({ ...booking, ...fields }, payment);
+    } catch (error) {
+      console.error(`Refund for booking ${booking._id} failed`, error);
+      await recordRefundFailure({ ...booking, ...fields }, error.message);
+    }
+    return { closed, refundAmount: refunded };
+  }
+
+  // Count a failed refund attempt and schedule the next one, or give up
+  // once it has failed MAX_REFUND_ATTEMPTS times
+  async function recordRefundFailure(booking, message, { final } = {}) {
+    const attempts = (booking.refundAttempts || 0) + 1;
+    const giveUp = final || attempts >= MAX_REFUND_ATTEMPTS;
+    const delay = REFUND_RETRY_DELAY * 2 ** (attempts - 1);
+    await bookingsCollection.updateOne(
+      { _id: booking._id, refundStatus: { $in: ["pending", "failed"] } },
+      {
+        $set: {
+          refundStatus: giveUp ? "needs_attention" : "failed",
+          refundError: message,
+          refundAttempts: attempts,
+          nextRefundAttemptAt: new Date(Date.now() + delay).toISOString(),
+        },
+      }
+    );
+    return giveUp;
+  }
+
+  // Refund a closed booking in Stripe and record it. A refund Stripe
+  // already made for the booking is reused, so a retry after a lost
+  // response never refunds twice even once the idempotency key has
+  // expired, and the booking's refundStatus keeps it from being recorded
+  // twice.
+  async function issueRefund(booking, payment) {
+    const { refundAmount, refundPercent, refundReason: reason } = booking;
+    const bookingId = booking._id.toString();
+    const { data: existing } = await stripe.refunds.list({
+      payment_intent: payment.transactionId,
+      limit: 100,
+    });
+    const refunds = existing.filter(
+      (r) => !["failed", "canceled"].includes(r.status)
+    );
+    let refund = refunds.find((r) => r.metadata?.bookingId === bookingId);
+    if (!refund) {
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: payment.transactionId,
+          amount: refundAmount,
+          metadata: { bookingId, reason },
+        },
+        { idempotencyKey: `${reason}-${booking._id}` }
+      );
+      refunds.push(refund);
+    }
+
+    await withTransaction(async (session) => {
+      const { modifiedCount } = await bookingsCollection.updateOne(
+        { _id: booking._id, refundStatus: { $in: ["pending", "failed"] } },
+        {
+          $set: {
+            refundStatus: "succeeded",
+            stripeRefundId: refund.id,
+            refundedAt: new Date().toISOString(),
+          },
+          $unset: { refundError: "" },
+        },
+        { session }
+      );
+      if (!modifiedCount) return;
+
+      await saveRefund(
+        payment,
+        refund,
+        { ticketId: booking.ticketId, refundPercent, reason },
+        session
+      );
+      await setRefundedAmount(
+        payment,
+        refunds.reduce((sum, r) => sum + r.amount, 0),
+        session
+      );
+    });
+  }
+
+  // Record how much of a payment Stripe has refunded in total. Stripe's
+  // figures only grow, so an older one arriving late never lowers it.
+  async function setRefundedAmount(payment, amountRefunded, session) {
+    await paymentCollection.updateOne(
+      { _id: payment._id },
+      [
+        {
+          $set: {
+            refundedAmount: {
+              $max: [{ $ifNull: ["$refundedAmount", 0] }, amountRefunded],
+            },
+            updatedAt: new Date().toISOString(),
+          },
+        },
+        {
+          $set: {
+            status: {
+              $cond: [
+                { $gte: ["$refundedAmount", "$amount"] },
+                "refunded",
+                "partially_refunded",
+              ],
+            },
+          },
+        },
+      ],
+      { session }
+    );
+  }
+
+  // Issue the refunds of closed bookings that failed and are due another
+  // attempt, or that were left pending when a request died between closing
+  // the booking and Stripe. Returns how many went through and how many
+  // were given up on.
+  async function retryPendingRefunds() {
+    const now = new Date().toISOString();
+    const stale = new Date(Date.now() - REFUND_RETRY_DELAY).toISOString();
+    const bookings = await bookingsCollection
+      .find({
+        status: "refunded",
+        $or: [
+          {
+            refundStatus: "failed",
+            nextRefundAttemptAt: { $not: { $gt: now } },
+          },
+          { refundStatus: "pending", updatedAt: { $lt: stale } },
+        ],
+      })
+      .toArray();
+
+    let refunded = 0;
+    let needsAttention = 0;
+    for (const booking of bookings) {
+      const payment = await paymentCollection.findOne({
+        bookingId: booking._id,
+        transactionId: booking.transactionId,
+      });
+      if (!payment) {
+        console.error(`No payment to refund for booking ${booking._id}`);
+        await recordRefundFailure(booking, "Payment not found", {
+          final: true,
+        });
+        needsAttention++;
+        continue;
+      }
+      try {
+        await issueRefund(booking, payment);
+        refunded++;
+      } catch (error) {
+        console.error(`Refund for booking ${booking._id} failed`, error);
+        if (await recordRefundFailure(booking, error.message)) {
+          needsAttention++;
+        }
+      }
+    }
+    return {
+      refunded,
+      failed: bookings.length - refunded - needsAttention,
+      needsAttention,
+    };
+  }
+
+  // Refunds that ran out of attempts, for an admin to settle in Stripe
+  async function listStuckRefunds() {
+    return bookingsCollection
+      .find({ refundStatus: "needs_attention" })
+      .sort({ updatedAt: -1 })
+      .toArray();
+  }
+
+  async function findBookingForIntent(paymentIntent) {
+    const bookingId = paymentIntent.metadata?.bookingId;
+    if (!ObjectId.isValid(bookingId)) return null;
+    return bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+  }
+
+  async function handlePaymentSucceeded(paymentIntent) {
+    const booking = await findBookingForIntent(paymentIntent);
+    if (!booking) {
+      console.warn("Stripe payment for unknown booking", paymentIntent.id);
+      return;
+    }
+    if (booking.status === "paid") return;
+
+    if (
+      !matchesBookingTotal(
+        paymentIntent,
+        booking,
+        paymentIntent.amount_received
+      )
+    ) {
+      console.error("Stripe amount mismatch for booking", booking._id);
+      await bookingsCollection.updateOne(
+        { _id: booking._id },
+        { $set: { paymentStatus: "amount_mismatch" } }
+      );
+      return;
+    }
+
+    try {
+      if (isHoldExpired(booking)) {
+        throw new RequestError(410, "Seat hold expired");
+      }
+      await recordBookingPayment(booking, {
+        transactionId: paymentIntent.id,
+        amount: booking.totalPrice,
+        paymentMethod: paymentIntent.payment_method_types?.[0] || "card",
+      });
+    } catch (error) {
+      if (!(error instanceof RequestError)) throw error;
+
+      // POST /payments often records the same payment at the same time
+      const current = await bookingsCollection.findOne({ _id: booking._id });
+      if (current?.paidAt) {
+        if (current.transactionId === paymentIntent.id) return;
+        console.error("Second payment for booking", booking._id);
+      } else if (
+        error.status !== 410 &&
+        !CLOSED_STATUSES.includes(current?.status)
+      ) {
+        // Still open, so Stripe's retry of the event tries again
+        throw error;
+      }
+
+      // The booking closed before the money arrived, or was already paid
+      // with another intent, so give it back
+      await stripe.refunds.create(
+        {
+          payment_intent: paymentIntent.id,
+          metadata: { bookingId: booking._id.toString() },
+        },
+        { idempotencyKey: `booking-closed-${paymentIntent.id}` }
+      );
+      await bookingsCollection.updateOne(
+        { _id: booking._id },
+        { $set: { paymentStatus: "refunded_late_payment" } }
+      );
+    }
+  }
+
+  async function handlePaymentFailed(paymentIntent) {
+    const booking = await findBookingForIntent(paymentIntent);
+    if (!booking || booking.status === "paid") return;
+
+    await bookingsCollection.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          paymentStatus: "failed",
+          paymentError: paymentIntent.last_payment_error?.message || null,
+          updatedAt: new Date().toISOString(),
+        },
+      }
+    );
+  }
+
+  async function handleChargeRefunded(charge) {
+    const payment = await paymentCollection.findOne({
+      transactionId: charge.payment_intent,
+    });
+    if (!payment) return;
+
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+    await setRefundedAmount(payment, charge.amount_refunded);
+
+    const booking = await bookingsCollection.findOne({
+      _id: payment.bookingId,
+    });
+
+    // Refunds issued from the Stripe dashboard are recorded here too. Newer
+    // API versions leave the refunds list out of the event payload.
+    const refunds =
+      charge.refunds?.data ||
+      (await stripe.refunds.list({ payment_intent: charge.payment_intent }))
+        .data;
+    for (const refund of refunds) {
+      await saveRefund(payment, refund, {
+        ticketId: booking?.ticketId,
+        reason: refund.metadata?.reason || "stripe_refund",
+      });
+    }
+
+    if (fullyRefunded && booking?.status === "paid") {
+      await closeBooking(booking, "refunded", {
+        actor: "payment",
+        note: "Refunded in Stripe",
+        fields: { refundedAt: new Date().toISOString() },
+      });
+    }
+  }
+
+  async function handleStripeEvent(event) {
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        return handlePaymentSucceeded(event.data.object);
+      case "payment_intent.payment_failed":
+        return handlePaymentFailed(event.data.object);
+      case "charge.refunded":
+        return handleChargeRefunded(event.data.object);
+      default:
+        return;
+    }
+  }
+
+  return {
+    recordBookingPayment,
+    refundBooking,
+    retryPendingRefunds,
+    listStuckRefunds,
+    handleStripeEvent,
+  };
+}
+
+module.exports = { matchesBookingTotal, createPaymentService };
@@ -0,0 +1,194 @@
+const { percentOf } = require("../money");
+const { getDepartureDate } = require("./tripSchedule");
+
+// Pricing
+// A booking's price is built up as line items: a fare per seat, priced by
+// the seat's fare class, then child fares, the best matching time-based
+// rule and finally a promo code. The total is what the customer pays.
+// Amounts are in the ticket currency's minor units.
+
+const TIME_RULE_TYPES = ["early_bird", "last_minute"];
+const TIME_RULE_LABELS = {
+  early_bird: "Early bird",
+  last_minute: "Last minute",
+};
+
+const isPercent = (value) =>
+  Number.isFinite(value) && value >= 0 && value <= 100;
+
+// Validate a vendor's fare rules against the ticket's seat layout and
+// return them normalized. Fare classes price the seat classes on the
+// layout; seats outside them pay the ticket's base price.
+function normalizeFareRules(input, layout) {
+  if (!input || typeof input !== "object") {
+    return { error: "Fare rules must be an object" };
+  }
+
+  const seatClassNames = layout.seatClasses.map((c) => c.name);
+  const fareClasses = [];
+  for (const fareClass of input.fareClasses || []) {
+    const name = String(fareClass?.name || "").trim();
+    const price = Number(fareClass?.price);
+    if (!seatClassNames.includes(name)) {
+      return { error: `Fare class ${name} is not a seat class on the layout` };
+    }
+    if (fareClasses.some((c) => c.name === name)) {
+      return { error: `Fare class ${name} is listed twice` };
+    }
+    if (!Number.isInteger(price) || price < 0) {
+      return {
+        error: `Fare class ${name} needs a price in whole minor units`,
+      };
+    }
+    fareClasses.push({ name, price });
+  }
+
+  let childFare = null;
+  if (input.childFare) {
+    const maxAge = Number(input.childFare.maxAge);
+    const percentOff = Number(input.childFare.percentOff);
+    if (!Number.isInteger(maxAge) || maxAge < 0 || maxAge > 17) {
+      return { error: "Child fare maxAge must be between 0 and 17" };
+    }
+    if (!isPercent(percentOff)) {
+      return { error: "Child fare percentOff must be between 0 and 100" };
+    }
+    childFare = { maxAge, percentOff };
+  }
+
+  const timeRules = [];
+  for (const rule of input.timeRules || []) {
+    const hoursBefore = Number(rule?.hoursBefore);
+    const percentOff = Number(rule?.percentOff);
+    if (!TIME_RULE_TYPES.includes(rule?.type)) {
+      return {
+        error: `Time rule type must be one of ${TIME_RULE_TYPES.join(", ")}`,
+      };
+    }
+    if (!Number.isFinite(hoursBefore) || hoursBefore <= 0) {
+      return { error: "Time rule hoursBefore must be more than zero" };
+    }
+    if (!isPercent(percentOff)) {
+      return { error: "Time rule percentOff must be between 0 and 100" };
+    }
+    timeRules.push({ type: rule.type, hoursBefore, percentOff });
+  }
+
+  return { fareRules: { fareClasses, childFare, timeRules } };
+}
+
+// The biggest time-based discount that applies when booking at now.
+// Early-bird rules apply at least hoursBefore departure, last-minute rules
+// within hoursBefore of it.
+function findTimeRule(ticket, now) {
+  const departure = getDepartureDate(ticket);
+  if (!departure) return null;
+  const hoursLeft = (departure - now) / (60 * 60 * 1000);
+
+  let best = null;
+  for (const rule of ticket.fareRules?.timeRules || []) {
+    const applies =
+      rule.type === "early_bird"
+        ? hoursLeft >= rule.hoursBefore
+        : hoursLeft <= rule.hoursBefore;
+    if (applies && (!best || rule.percentOff > best.percentOff)) best = rule;
+  }
+  return best;
+}
+
+// What a promo code takes off an amount
+function promoDiscount(promo, amount) {
+  const discount =
+    promo.type === "percent" ? percentOf(amount, promo.value) : promo.value;
+  const capped =
+    promo.maxDiscount !== undefined && promo.maxDiscount !== null
+      ? Math.min(discount, promo.maxDiscount)
+      : discount;
+  return Math.min(capped, amount);
+}
+
+// Work out what a booking costs. seats are entries from the ticket's seat
+// map, passengers (if any) are seated in the same order and promo is a
+// checked promo code.
+function priceBooking(
+  ticket,
+  { seats, passengers = [], promo = null, now = new Date() }
+) {
+  const fareRules = ticket.fareRules || {};
+  const lines = [];
+
+  const fares = seats.map((seat) => {
+    const fareClass = fareRules.fareClasses?.find(
+      (c) => c.name === seat.seatClass
+    );
+    const amount = fareClass ? fareClass.price : ticket.price;
+    lines.push({
+      type: "fare",
+      label: fareClass
+        ? `Seat ${seat.seatNumber} (${fareClass.name})`
+        : `Seat ${seat.seatNumber}`,
+      amount,
+    });
+    return amount;
+  });
+  const subtotal = fares.reduce((sum, fare) => sum + fare, 0);
+  let total = subtotal;
+
+  const { childFare } = fareRules;
+  if (childFare) {
+    passengers.forEach((passenger, i) => {
+      if (passenger.age === null || passenger.age > childFare.maxAge) return;
+      const discount = percentOf(fares[i], childFare.percentOff);
+      if (!discount) return;
+      lines.push({
+        type: "discount",
+        label: `Child fare, seat ${seats[i].seatNumber}`,
+        amount: -discount,
+      });
+      total -= discount;
+    });
+  }
+
+  const timeRule = findTimeRule(ticket, now);
+  if (timeRule) {
+    const discount = percentOf(total, timeRule.percentOff);
+    lines.push({
+      type: "discount",
+      label: `${TIME_RULE_LABELS[timeRule.type]} (${timeRule.percentOff}% off)`,
+      amount: -discount,
+    });
+    total -= discount;
+  }
+
+  if (promo) {
+    const discount = promoDiscount(promo, total);
+    lines.push({
+      type: "promo",
+      label: `Promo code ${promo.code}`,
+      amount: -discount,
+    });
+    total -= discount;
+  }
+
+  return {
+    unitPrice: ticket.price,
+    subtotal,
+    discount: subtotal - total,
+    totalPrice: total,
+    lines,
+  };
+}
+
+function generateBookingReference() {
+  return `BK${Date.now()}${Math.random()
+    .toString(36)
+    .substr(2, 6)
+    .toUpperCase()}`;
+}
+
+module.exports = {
+  normalizeFareRules,
+  promoDiscount,
+  priceBooking,
+  generateBookingReference,
+};
@@ -0,0 +1,231 @@
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { DEFAULT_CURRENCY } = require("../money");
+
+// Promo codes
+// Admins create codes that work on every ticket; vendors create codes for
+// their own tickets, optionally limited to some of them. A code can expire
+// and cap how often it is used overall and per customer. Each booking that
+// uses a code has a redemption, which is given back if the booking closes
+// before it is paid. Fixed discounts and caps are minor units of the code's
+// currency, so a code only applies to tickets sold in that currency.
+
+function normalizePromoCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Times are stored as UTC ISO strings so they compare as text
+function toTimestamp(value, field) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RequestError(400, `${field} must be a date or timestamp`);
+  }
+  return date.toISOString();
+}
+
+function createPromoCodeService({
+  promoCodesCollection,
+  promoRedemptionsCollection,
+  ticketsCollection,
+}) {
+  // Vendor codes may only name the vendor's own tickets
+  async function checkTicketScope(ticketIds, vendorEmail) {
+    if (!ticketIds?.length || !vendorEmail) return;
+    const owned = await ticketsCollection.countDocuments({
+      _id: { $in: ticketIds.map((id) => new ObjectId(id)) },
+      vendorEmail,
+    });
+    if (owned !== new Set(ticketIds).size) {
+      throw new RequestError(400, "Promo codes can only cover your tickets");
+    }
+  }
+
+  // Percentages are capped at 100, fixed amounts are whole minor units
+  function checkValue(type, value) {
+    if (type === "percent" && value > 100) {
+      throw new RequestError(400, "A percentage discount can't exceed 100");
+    }
+    if (type === "fixed" && !Number.isInteger(value)) {
+      throw new RequestError(400, "A fixed discount must be in minor units");
+    }
+  }
+
+  async function createPromoCode(input, { vendorEmail = null, createdBy }) {
+    checkValue(input.type, input.value);
+    await checkTicketScope(input.ticketIds, vendorEmail);
+
+    const now = new Date().toISOString();
+    const promo = {
+      code: normalizePromoCode(input.code),
+      description: input.description || null,
+      type: input.type,
+      value: input.value,
+      currency: input.currency || DEFAULT_CURRENCY,
+      maxDiscount: input.maxDiscount ?? null,
+      vendorEmail,
+      ticketIds: (input.ticketIds || []).map((id) => new ObjectId(id)),
+      startsAt: toTimestamp(input.startsAt, "startsAt") ?? null,
+      expiresAt: toTimestamp(input.expiresAt, "expiresAt") ?? null,
+      usageLimit: input.usageLimit ?? null,
+      perUserLimit: input.perUserLimit ?? null,
+      usedCount: 0,
+      active: input.active ?? true,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+    };
+    try {
+      const { insertedId } = await promoCodesCollection.insertOne(promo);
+      return { _id: insertedId, ...promo };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new RequestError(409, "That promo code already exists");
+      }
+      throw error;
+    }
+  }
+
+  // Codes an owner may see: a vendor's own, or every code for admins
+  async function listPromoCodes(owner = {}) {
+    const filter = owner.vendorEmail ? { vendorEmail: owner.vendorEmail } : {};
+    return promoCodesCollection.find(filter).sort({ createdAt: -1 }).toArray();
+  }
+
+  // A code its owner may change
+  async function getPromoCode(id, owner = {}) {
+    const filter = { _id: new ObjectId(id) };
+    if (owner.vendorEmail) filter.vendorEmail = owner.vendorEmail;
+    const promo = await promoCodesCollection.findOne(filter);
+    if (!promo) throw new RequestError(404, "Promo code not found");
+    return promo;
+  }
+
+  async function updatePromoCode(id, changes, owner = {}) {
+    const promo = await getPromoCode(id, owner);
+
+    checkValue(changes.type ?? promo.type, changes.value ?? promo.value);
+    await checkTicketScope(changes.ticketIds, promo.vendorEmail);
+
+    const update = { ...changes, updatedAt: new Date().toISOString() };
+    for (const field of ["startsAt", "expiresAt"]) {
+      if (changes[field]) update[field] = toTimestamp(changes[field], field);
+    }
+    if (changes.ticketIds) {
+      update.ticketIds = changes.ticketIds.map((tid) => new ObjectId(tid));
+    }
+    return promoCodesCollection.findOneAndUpdate(
+      { _id: promo._id },
+      { $set: update },
+      { returnDocument: "after" }
+    );
+  }
+
+  // Find a code a customer can use on a ticket right now, or explain why
+  // they can't. Limits are checked again when the code is redeemed.
+  async function checkPromoCode(code, { ticket, email, now = new Date() }) {
+    const promo = await promoCodesCollection.findOne({
+      code: normalizePromoCode(code),
+      active: true,
+    });
+    const coversTicket =
+      promo &&
+      promo.currency === ticket.currency &&
+      (!promo.vendorEmail || promo.vendorEmail === ticket.vendorEmail) &&
+      (!promo.ticketIds.length ||
+        promo.ticketIds.some((id) => id.equals(ticket._id)));
+    if (!coversTicket) {
+      throw new RequestError(400, "Promo code is not valid for this trip");
+    }
+
+    const at = now.toISOString();
+    if (promo.startsAt && promo.startsAt > at) {
+      throw new RequestError(400, "Promo code is not active yet");
+    }
+    if (promo.expiresAt && promo.expiresAt <= at) {
+      throw new RequestError(400, "Promo code has expired");
+    }
+    if (promo.usageLimit !== null && promo.usedCount >= promo.usageLimit) {
+      throw new RequestError(400, "Promo code has been fully used");
+    }
+    if (promo.perUserLimit !== null) {
+      const used = await promoRedemptionsCollection.countDocuments({
+        promoCodeId: promo._id,
+        userEmail: email,
+      });
+      if (used >= promo.perUserLimit) {
+        throw new RequestError(400, "You have already used this promo code");
+      }
+    }
+    return promo;
+  }
+
+  // Count a booking against its code's limits. Runs in the booking's
+  // transaction; concurrent redemptions of a code all write its document,
+  // so they can't both pass the same last free use.
+  async function redeemPromoCode(promo, booking, session) {
+    const claimed = await promoCodesCollection.findOneAndUpdate(
+      {
+        _id: promo._id,
+        active: true,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+        ],
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+    if (!claimed) throw new RequestError(409, "Promo code has been fully used");
+
+    if (promo.perUserLimit !== null) {
+      const used = await promoRedemptionsCollection.countDocuments(
+        { promoCodeId: promo._id, userEmail: booking.userEmail },
+        { session }
+      );
+      if (used >= promo.perUserLimit) {
+        throw new RequestError(400, "You have already used this promo code");
+      }
+    }
+
+    await promoRedemptionsCollection.insertOne(
+      {
+        promoCodeId: promo._id,
+        code: promo.code,
+        currency: promo.currency,
+        userEmail: booking.userEmail,
+        bookingId: booking._id,
+        discount: -booking.pricing.lines.find((l) => l.type === "promo").amount,
+        createdAt: new Date().toISOString(),
+      },
+      { session }
+    );
+  }
+
+  // Give a closed, unpaid booking's code use back
+  async function releasePromoCode(booking, session) {
+    const { deletedCount } = await promoRedemptionsCollection.deleteOne(
+      { bookingId: booking._id },
+      { session }
+    );
+    if (deletedCount) {
+      await promoCodesCollection.updateOne(
+        { _id: booking.promoCodeId },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+  }
+
+  return {
+    createPromoCode,
+    listPromoCodes,
+    getPromoCode,
+    updatePromoCode,
+    checkPromoCode,
+    redeemPromoCode,
+    releasePromoCode,
+  };
+}
+
+module.exports = { normalizePromoCode, createPromoCodeService };
@@ -0,0 +1,99 @@
+const { percentOf } = require("../money");
+const { getDepartureDate } = require("./tripSchedule");
+
+// Cancellation policies
+// Rules are checked from the earliest cutoff; the first one whose
+// hoursBefore fits the time left before departure sets the refund.
+const DEFAULT_CANCELLATION_POLICY = {
+  rules: [
+    { hoursBefore: 48, refundPercent: 100 },
+    { hoursBefore: 12, refundPercent: 50 },
+    { hoursBefore: 0, refundPercent: 0 },
+  ],
+};
+
+// Validate a vendor-supplied cancellation policy and return it normalized
+function normalizeCancellationPolicy(input) {
+  if (!input || !Array.isArray(input.rules) || !input.rules.length) {
+    return { error: "Cancellation policy needs at least one rule" };
+  }
+
+  const rules = [];
+  for (const rule of input.rules) {
+    const hoursBefore = Number(rule?.hoursBefore);
+    const refundPercent = Number(rule?.refundPercent);
+    if (!Number.isFinite(hoursBefore) || hoursBefore < 0) {
+      return { error: "Rule hoursBefore must be zero or more" };
+    }
+    if (
+      !Number.isFinite(refundPercent) ||
+      refundPercent < 0 ||
+      refundPercent > 100
+    ) {
+      return { error: "Rule refundPercent must be between 0 and 100" };
+    }
+    rules.push({ hoursBefore, refundPercent });
+  }
+
+  rules.sort((a, b) => b.hoursBefore - a.hoursBefore);
+  return { policy: { rules } };
+}
+
+// Work out how much of a paid booking is refunded if cancelled now
+function calculateRefund(booking, now = new Date()) {
+  const policy = booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+  const departure = getDepartureDate(booking);
+  // An unreadable departure is treated as far away rather than penalising
+  // the customer for a vendor's free-form date
+  const hoursBeforeDeparture = departure
+    ? (departure - now) / (60 * 60 * 1000)
+    : Infinity;
+
+  const rule =
+    hoursBeforeDeparture < 0
+      ? null
+      : policy.rules.find((r) => hoursBeforeDeparture >= r.hoursBefore);
+  const refundPercent = rule ? rule.refundPercent : 0;
+  const paidAmount = booking.totalPrice || 0;
+
+  return {
+    refundPercent,
+    refundAmount: percentOf(paidAmount, refundPercent),
+    hoursBeforeDeparture: departure ? Math.floor(hoursBeforeDeparture) : null,
+  };
+}
+
+function createRefundService({ refundsCollection }) {
+  // Record a Stripe refund against its payment. Keyed by the Stripe refund
+  // ID, so the webhook and the cancel route can both report the same one.
+  async function saveRefund(payment, refund, details, session) {
+    await refundsCollection.updateOne(
+      { stripeRefundId: refund.id },
+      {
+        $setOnInsert: {
+          stripeRefundId: refund.id,
+          paymentId: payment._id,
+          bookingId: payment.bookingId,
+          ticketId: details.ticketId,
+          userEmail: payment.userEmail,
+          amount: refund.amount,
+          currency: payment.currency,
+          refundPercent: details.refundPercent ?? null,
+          reason: details.reason,
+          status: refund.status,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      { upsert: true, session }
+    );
+  }
+
+  return { saveRefund };
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  normalizeCancellationPolicy,
+  calculateRefund,
+  createRefundService,
+};
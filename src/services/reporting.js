@@ -0,0 +1,107 @@
+const { RequestError } = require("../errors");
+const { isValidTimeZone, zonedTimeToUtc } = require("../datetime");
+
+// Aggregation helpers shared by the vendor and admin reports. Dates are
+// stored as ISO strings and grouped in the caller's time zone.
+
+function toDate(field) {
+  return { $toDate: field };
+}
+
+function dayStart(date, timezone) {
+  return { $dateFromString: { dateString: date, timezone } };
+}
+
+// $expr matching an ISO date field against an inclusive YYYY-MM-DD range
+function dateRangeExpr(field, { startDate, endDate, timezone }) {
+  const conditions = [];
+  if (startDate) {
+    conditions.push({ $gte: [toDate(field), dayStart(startDate, timezone)] });
+  }
+  if (endDate) {
+    conditions.push({
+      $lt: [
+        toDate(field),
+        {
+          $dateAdd: {
+            startDate: dayStart(endDate, timezone),
+            unit: "day",
+            amount: 1,
+            timezone,
+          },
+        },
+      ],
+    });
+  }
+  return conditions.length ? { $and: conditions } : true;
+}
+
+// A plain query condition for an ISO date field in an inclusive YYYY-MM-DD
+// range, which unlike dateRangeExpr can use an index on the field. ISO
+// strings in UTC sort by time, so the day bounds are compared as strings.
+function dateRangeFilter({ startDate, endDate, timezone }) {
+  const midnight = { hours: 0, minutes: 0 };
+  const condition = {};
+  if (startDate) {
+    condition.$gte = zonedTimeToUtc(
+      startDate,
+      midnight,
+      timezone
+    ).toISOString();
+  }
+  if (endDate) {
+    const [year, month, day] = endDate.split("-").map(Number);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1))
+      .toISOString()
+      .slice(0, 10);
+    condition.$lt = zonedTimeToUtc(nextDay, midnight, timezone).toISOString();
+  }
+  return condition;
+}
+
+// Start of the day, week or month an ISO date field falls in
+function periodExpr(field, { interval, timezone }) {
+  return {
+    $dateTrunc: {
+      date: toDate(field),
+      unit: interval,
+      timezone,
+      startOfWeek: "monday",
+    },
+  };
+}
+
+function ratio(numerator, denominator) {
+  return {
+    $cond: [
+      { $gt: [denominator, 0] },
+      { $round: [{ $divide: [numerator, denominator] }, 4] },
+      0,
+    ],
+  };
+}
+
+// Read the range, interval and time zone of a report from its query
+function parseReportRange({
+  startDate,
+  endDate,
+  interval = "day",
+  timezone = "UTC",
+} = {}) {
+  if (!isValidTimeZone(timezone)) {
+    throw new RequestError(400, "Unknown time zone");
+  }
+  if (startDate && endDate && startDate > endDate) {
+    throw new RequestError(400, "startDate must not be after endDate");
+  }
+  return { startDate, endDate, interval, timezone };
+}
+
+module.exports = {
+  toDate,
+  dateRangeExpr,
+  dateRangeFilter,
+  periodExpr,
+  ratio,
+  parseReportRange,
+};
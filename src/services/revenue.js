@@ -0,0 +1,314 @@
+const { DEFAULT_CURRENCY } = require("../money");
+const {
+  dateRangeExpr,
+  periodExpr,
+  ratio,
+  parseReportRange,
+} = require("./reporting");
+
+// Bookings in these statuses count as tickets sold
+const SOLD_STATUSES = ["paid", "completed"];
+const CANCELLED_STATUSES = ["cancelled", "refunded"];
+
+// Amounts in different currencies can't be added up, so every figure is
+// per currency. Documents from before currencies were stored are in the
+// default one.
+const currencyExpr = { $ifNull: ["$currency", DEFAULT_CURRENCY] };
+
+// The totals of the only currency, or of the default one when there are
+// several, for clients that read totals as plain numbers. empty is what
+// they are with no sales in that currency.
+function primaryTotals(totals, empty) {
+  const primary =
+    totals.length === 1
+      ? totals[0]
+      : totals.find((t) => t.currency === DEFAULT_CURRENCY);
+  return primary || { currency: DEFAULT_CURRENCY, ...empty };
+}
+
+// Totals and breakdowns over a set of paid bookings, with refunds counted
+// against the booking they were paid back for. keys are what to break the
+// totals down by besides currency.
+function salesGroup(keys = {}) {
+  return {
+    _id: { ...keys, currency: "$currency" },
+    grossRevenue: { $sum: "$gross" },
+    totalRefunded: { $sum: "$refunded" },
+    ticketsSold: { $sum: "$sold" },
+    paidBookings: { $sum: 1 },
+  };
+}
+
+const salesProjection = {
+  _id: 0,
+  currency: "$_id.currency",
+  grossRevenue: 1,
+  totalRefunded: 1,
+  netRevenue: { $subtract: ["$grossRevenue", "$totalRefunded"] },
+  ticketsSold: 1,
+  paidBookings: 1,
+};
+
+function createRevenueService({
+  ticketsCollection,
+  bookingsCollection,
+  refundsCollection,
+}) {
+  function getVendorTicketIds(vendorEmail) {
+    return ticketsCollection.distinct("_id", { vendorEmail });
+  }
+
+  // Revenue stats for a vendor's tickets, net of refunds, per currency
+  async function getVendorRevenue(vendorEmail) {
+    const ticketIds = await getVendorTicketIds(vendorEmail);
+
+    // Every booking that was paid, including ones refunded since
+    const sales = await bookingsCollection
+      .aggregate([
+        {
+          $match: {
+            ticketId: { $in: ticketIds },
+            $or: [{ status: "paid" }, { paidAt: { $exists: true } }],
+          },
+        },
+        {
+          $group: {
+            _id: currencyExpr,
+            grossRevenue: {
+              $sum: { $ifNull: ["$totalPrice", "$amount", 0] },
+            },
+            ticketsSold: {
+              $sum: {
+                $cond: [{ $in: ["$status", SOLD_STATUSES] }, "$quantity", 0],
+              },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ])
+      .toArray();
+    const refunds = await refundsCollection
+      .aggregate([
+        { $match: { ticketId: { $in: ticketIds } } },
+        { $group: { _id: currencyExpr, totalRefunded: { $sum: "$amount" } } },
+      ])
+      .toArray();
+
+    const refunded = new Map(refunds.map((r) => [r._id, r.totalRefunded]));
+    const totals = sales.map(({ _id: currency, grossRevenue, ticketsSold }) => {
+      const totalRefunded = refunded.get(currency) || 0;
+      return {
+        currency,
+        totalRevenue: grossRevenue - totalRefunded,
+        grossRevenue,
+        totalRefunded,
+        totalTicketsSold: ticketsSold,
+      };
+    });
+    const { currency, totalRevenue, grossRevenue, totalRefunded } =
+      primaryTotals(totals, {
+        totalRevenue: 0,
+        grossRevenue: 0,
+        totalRefunded: 0,
+      });
+    return {
+      currency,
+      totalRevenue,
+      grossRevenue,
+      totalRefunded,
+      totalsByCurrency: totals,
+      totalTicketsSold: totals.reduce((sum, t) => sum + t.totalTicketsSold, 0),
+      totalTicketsAdded: ticketIds.length,
+    };
+  }
+
+  // Dashboard figures for a vendor. Sales are dated by payment, cancellation
+  // stats by booking and occupancy by departure, each within the range.
+  async function getVendorAnalytics(vendorEmail, query) {
+    const range = parseReportRange(query);
+    const { startDate, endDate, interval, timezone } = range;
+    const ticketIds = await getVendorTicketIds(vendorEmail);
+
+    const [sales] = await bookingsCollection
+      .aggregate([
+        {
+          $match: {
+            ticketId: { $in: ticketIds },
+            paidAt: { $exists: true },
+            $expr: dateRangeExpr("$paidAt", range),
+          },
+        },
+        {
+          $lookup: {
+            from: refundsCollection.collectionName,
+            localField: "_id",
+            foreignField: "bookingId",
+            as: "refunds",
+          },
+        },
+        {
+          $project: {
+            paidAt: 1,
+            from: 1,
+            to: 1,
+            transportType: { $ifNull: ["$transportType", "bus"] },
+            currency: currencyExpr,
+            gross: { $ifNull: ["$totalPrice", 0] },
+            refunded: { $sum: "$refunds.amount" },
+            sold: {
+              $cond: [{ $in: ["$status", SOLD_STATUSES] }, "$quantity", 0],
+            },
+          },
+        },
+        {
+          $facet: {
+            totals: [
+              { $group: salesGroup() },
+              { $sort: { "_id.currency": 1 } },
+              { $project: salesProjection },
+            ],
+            timeSeries: [
+              { $group: salesGroup({ period: periodExpr("$paidAt", range) }) },
+              { $sort: { "_id.period": 1, "_id.currency": 1 } },
+              { $project: { period: "$_id.period", ...salesProjection } },
+            ],
+            byRoute: [
+              { $group: salesGroup({ from: "$from", to: "$to" }) },
+              { $sort: { "_id.currency": 1, grossRevenue: -1 } },
+              {
+                $project: {
+                  from: "$_id.from",
+                  to: "$_id.to",
+                  ...salesProjection,
+                },
+              },
+            ],
+            byTransportType: [
+              { $group: salesGroup({ transportType: "$transportType" }) },
+              { $sort: { "_id.currency": 1, grossRevenue: -1 } },
+              {
+                $project: {
+                  transportType: "$_id.transportType",
+                  ...salesProjection,
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    const [cancellations] = await bookingsCollection
+      .aggregate([
+        {
+          $match: {
+            ticketId: { $in: ticketIds },
+            $expr: dateRangeExpr("$createdAt", range),
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalBookings: { $sum: 1 },
+            cancelledBookings: {
+              $sum: { $cond: [{ $in: ["$status", CANCELLED_STATUSES] }, 1, 0] },
+            },
+            rejectedBookings: {
+              $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] },
+            },
+            expiredBookings: {
+              $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] },
+            },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            totalBookings: 1,
+            cancelledBookings: 1,
+            rejectedBookings: 1,
+            expiredBookings: 1,
+            cancellationRate: ratio("$cancelledBookings", "$totalBookings"),
+          },
+        },
+      ])
+      .toArray();
+
+    // Departure dates are YYYY-MM-DD strings, so compare them directly
+    const departureMatch = { vendorEmail };
+    if (startDate || endDate) departureMatch.departureDate = {};
+    if (startDate) departureMatch.departureDate.$gte = startDate;
+    if (endDate) departureMatch.departureDate.$lte = endDate;
+
+    const occupancy = await ticketsCollection
+      .aggregate([
+        { $match: departureMatch },
+        {
+          $lookup: {
+            from: bookingsCollection.collectionName,
+            localField: "_id",
+            foreignField: "ticketId",
+            pipeline: [
+              { $match: { status: { $in: SOLD_STATUSES } } },
+              { $group: { _id: null, seatsSold: { $sum: "$quantity" } } },
+            ],
+            as: "sales",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            ticketId: "$_id",
+            title: 1,
+            from: 1,
+            to: 1,
+            departureDate: 1,
+            departureTime: 1,
+            totalSeats: { $ifNull: ["$totalSeats", "$quantity"] },
+            seatsSold: { $ifNull: [{ $first: "$sales.seatsSold" }, 0] },
+          },
+        },
+        {
+          $set: { occupancyRate: ratio("$seatsSold", "$totalSeats") },
+        },
+        { $sort: { departureDate: 1, departureTime: 1 } },
+      ])
+      .toArray();
+
+    return {
+      range: { startDate: startDate || null, endDate: endDate || null },
+      interval,
+      timezone,
+      totals: primaryTotals(sales.totals, {
+        grossRevenue: 0,
+        totalRefunded: 0,
+        netRevenue: 0,
+        ticketsSold: 0,
+        paidBookings: 0,
+      }),
+      totalsByCurrency: sales.totals,
+      timeSeries: sales.timeSeries,
+      byRoute: sales.byRoute,
+      byTransportType: sales.byTransportType,
+      cancellations: cancellations || {
+        totalBookings: 0,
+        cancelledBookings: 0,
+        rejectedBookings: 0,
+        expiredBookings: 0,
+        cancellationRate: 0,
+      },
+      occupancy,
+    };
+  }
+
+  return { getVendorRevenue, getVendorAnalytics };
+}
+
+module.exports = {
+  SOLD_STATUSES,
+  currencyExpr,
+  primaryTotals,
+  salesGroup,
+  salesProjection,
+  createRevenueService,
+};
@@ -0,0 +1,154 @@
+const os = require("os");
+const crypto = require("crypto");
+const { parsePagination } = require("./ticketSearch");
+
+// Scheduled jobs
+// Each job has a document in the jobs collection holding when it next runs
+// and who holds its lock. A runner claims a due job by taking the lock in a
+// single conditional update, so however many instances (or cron calls)
+// poll at once, each job runs once per interval. Every run is logged to the
+// jobRuns collection for admins to inspect.
+
+// How long a run may hold its lock before another runner may take it over
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+
+// Identifies this process in job locks and run history
+const instanceId = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+function createSchedulerService({ jobsCollection, jobRunsCollection, jobs }) {
+  // Take a job's lock if it is due and nobody else is running it
+  async function claimJob(job, now) {
+    // Make sure the job has a state document; racing inserts are fine
+    await jobsCollection
+      .updateOne(
+        { _id: job.name },
+        { $setOnInsert: { nextRunAt: now.toISOString(), lockedUntil: null } },
+        { upsert: true }
+      )
+      .catch((error) => {
+        if (error.code !== 11000) throw error;
+      });
+
+    return jobsCollection.findOneAndUpdate(
+      {
+        _id: job.name,
+        nextRunAt: { $lte: now.toISOString() },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now.toISOString() } },
+        ],
+      },
+      {
+        $set: {
+          lockedUntil: new Date(
+            now.getTime() + (job.lockMs || DEFAULT_LOCK_MS)
+          ).toISOString(),
+          lockedBy: instanceId,
+        },
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  async function runJob(job, trigger) {
+    const startedAt = new Date();
+    const run = {
+      job: job.name,
+      trigger,
+      instance: instanceId,
+      status: "running",
+      startedAt: startedAt.toISOString(),
+    };
+    const { insertedId } = await jobRunsCollection.insertOne(run);
+
+    let outcome;
+    try {
+      const result = await job.run();
+      outcome = { status: "succeeded", result: result ?? null };
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} failed`, error);
+      outcome = { status: "failed", error: error.message };
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+    await jobRunsCollection.updateOne(
+      { _id: insertedId },
+      { $set: { ...outcome, finishedAt: finishedAt.toISOString(), durationMs } }
+    );
+    await jobsCollection.updateOne(
+      { _id: job.name, lockedBy: instanceId },
+      {
+        $set: {
+          nextRunAt: new Date(
+            startedAt.getTime() + job.intervalMinutes * 60 * 1000
+          ).toISOString(),
+          lockedUntil: null,
+          lastRunAt: run.startedAt,
+          lastStatus: outcome.status,
+          lastError: outcome.error || null,
+        },
+      }
+    );
+
+    return { job: job.name, durationMs, ...outcome };
+  }
+
+  // Run every job that is due, one after the other. trigger records what
+  // started the run: the in-process timer or the cron route.
+  async function runDueJobs({ trigger = "timer" } = {}) {
+    const runs = [];
+    for (const job of jobs) {
+      const claimed = await claimJob(job, new Date());
+      if (claimed) runs.push(await runJob(job, trigger));
+    }
+    return runs;
+  }
+
+  // Jobs with their schedule and the state of their last run
+  async function listJobs() {
+    const states = await jobsCollection.find().toArray();
+    const now = new Date().toISOString();
+    return jobs.map(({ name, description, intervalMinutes }) => {
+      const state = states.find((s) => s._id === name) || {};
+      const running = !!state.lockedUntil && state.lockedUntil > now;
+      return {
+        name,
+        description,
+        intervalMinutes,
+        nextRunAt: state.nextRunAt || null,
+        running,
+        lockedBy: running ? state.lockedBy : null,
+        lastRunAt: state.lastRunAt || null,
+        lastStatus: state.lastStatus || null,
+        lastError: state.lastError || null,
+      };
+    });
+  }
+
+  // Run history, newest first
+  async function listJobRuns(query = {}) {
+    const filter = {};
+    if (query.job) filter.job = query.job;
+    if (query.status) filter.status = query.status;
+    const { page, limit, skip } = parsePagination(query);
+
+    const [runs, total] = await Promise.all([
+      jobRunsCollection
+        .find(filter)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      jobRunsCollection.countDocuments(filter),
+    ]);
+
+    return { runs, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+
+  return { runDueJobs, listJobs, listJobRuns };
+}
+
+module.exports = { instanceId, createSchedulerService };
@@ -0,0 +1,459 @@
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { toZonedDateTime } = require("../datetime");
+const { ACTIVE_BOOKING_STATUSES } = require("./bookingState");
+const { buildTripSchedule, hasDeparted } = require("./tripSchedule");
+const { getAccountRestriction } = require("./accounts");
+const { fieldsNeedingReview } = require("./ticketModeration");
+const { parsePagination } = require("./ticketSearch");
+const { vendorSnapshot } = require("./vendors");
+
+// Recurring schedules
+// A vendor running the same trip regularly describes it once: the route,
+// fare and coach, a local departure time and a recurrence rule. Departures
+// are generated from the schedule a few weeks ahead as ordinary tickets,
+// one per date, so each has its own seats and stock and search, booking
+// and the rest work on them as they do on any ticket. Admins review the
+// schedule once rather than every departure.
+
+// Departures are generated this many days ahead
+const GENERATE_DAYS_AHEAD = 30;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri"];
+const FREQUENCIES = ["daily", "weekdays", "weekly", "dates"];
+const MAX_DATES = 366;
+
+// Fields a schedule copies onto its departures
+const TEMPLATE_FIELDS = [
+  "title",
+  "from",
+  "to",
+  "transportType",
+  "price",
+  "currency",
+  "perks",
+  "image",
+  "seatLayout",
+  "cancellationPolicy",
+  "fareRules",
+];
+
+function isValidDate(date) {
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return (
+    !Number.isNaN(parsed.getTime()) &&
+    parsed.toISOString().slice(0, 10) === date
+  );
+}
+
+// Calendar arithmetic on YYYY-MM-DD dates
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function dayName(date) {
+  return DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// A sorted list of distinct dates, or an error message
+function normalizeDates(input, name) {
+  if (!Array.isArray(input)) return { error: `${name} must be a list` };
+  if (input.length > MAX_DATES) {
+    return { error: `${name} can have at most ${MAX_DATES} dates` };
+  }
+  if (!input.every(isValidDate)) {
+    return { error: `${name} must be YYYY-MM-DD dates` };
+  }
+  return { dates: [...new Set(input)].sort() };
+}
+
+// Check a recurrence rule and put it in the stored shape:
+//   { frequency, days, dates, startDate, endDate, exceptions }
+// frequency is "daily", "weekdays" (Monday to Friday), "weekly" on the
+// given days ("mon", "tue"…) or only on the listed dates. Exceptions are
+// dates it doesn't run, and startDate and endDate bound the others.
+function normalizeRecurrence(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "Recurrence must be an object" };
+  }
+  const { frequency } = input;
+  if (!FREQUENCIES.includes(frequency)) {
+    return {
+      error: `Recurrence frequency must be one of ${FREQUENCIES.join(", ")}`,
+    };
+  }
+
+  const recurrence = {
+    frequency,
+    days: null,
+    dates: null,
+    startDate: input.startDate || null,
+    endDate: input.endDate || null,
+    exceptions: [],
+  };
+  for (const field of ["startDate", "endDate"]) {
+    if (recurrence[field] && !isValidDate(recurrence[field])) {
+      return { error: `Recurrence ${field} must be a YYYY-MM-DD date` };
+    }
+  }
+  if (
+    recurrence.startDate &&
+    recurrence.endDate &&
+    recurrence.endDate < recurrence.startDate
+  ) {
+    return { error: "Recurrence can't end before it starts" };
+  }
+
+  if (frequency === "weekly") {
+    const days = Array.isArray(input.days)
+      ? input.days.map((day) => String(day).toLowerCase())
+      : [];
+    if (!days.length || !days.every((day) => DAY_NAMES.includes(day))) {
+      return {
+        error: `Weekly schedules need days from ${DAY_NAMES.join(", ")}`,
+      };
+    }
+    recurrence.days = DAY_NAMES.filter((day) => days.includes(day));
+  }
+  if (frequency === "dates") {
+    const { dates, error } = normalizeDates(input.dates, "Recurrence dates");
+    if (error) return { error };
+    if (!dates.length) return { error: "Recurrence dates can't be empty" };
+    recurrence.dates = dates;
+  }
+  if (input.exceptions !== undefined && input.exceptions !== null) {
+    const { dates, error } = normalizeDates(input.exceptions, "Exceptions");
+    if (error) return { error };
+    recurrence.exceptions = dates;
+  }
+  return { recurrence };
+}
+
+// Whether a schedule runs on a local date
+function runsOn(recurrence, date) {
+  const { frequency, startDate, endDate, exceptions } = recurrence;
+  if (exceptions.includes(date)) return false;
+  if ((startDate && date < startDate) || (endDate && date > endDate)) {
+    return false;
+  }
+  switch (frequency) {
+    case "daily":
+      return true;
+    case "weekdays":
+      return WEEKDAYS.includes(dayName(date));
+    case "weekly":
+      return recurrence.days.includes(dayName(date));
+    default:
+      return recurrence.dates.includes(date);
+  }
+}
+
+// The dates a schedule runs on from one date to another, inclusive
+function listRunDates(recurrence, from, to) {
+  if (recurrence.frequency === "dates") {
+    return recurrence.dates.filter(
+      (date) => date >= from && date <= to && runsOn(recurrence, date)
+    );
+  }
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (runsOn(recurrence, date)) dates.push(date);
+  }
+  return dates;
+}
+
+function createScheduleService({
+  schedulesCollection,
+  ticketsCollection,
+  usersCollection,
+  bookingsCollection,
+  notify,
+}) {
+  const upcoming = (schedule, now = new Date()) => ({
+    scheduleId: schedule._id,
+    departureAt: { $gt: now.toISOString() },
+  });
+
+  // The ticket for one departure of a schedule
+  function buildDeparture(schedule, vendor, date) {
+    const departure = {
+      ...buildTripSchedule({
+        departureDate: date,
+        departureTime: schedule.departureTime,
+        timeZone: schedule.timeZone,
+        durationMinutes: schedule.durationMinutes,
+      }),
+      quantity: schedule.quantity,
+      totalSeats: schedule.totalSeats,
+      vendorEmail: schedule.vendorEmail,
+      scheduleId: schedule._id,
+      verificationStatus: schedule.verificationStatus,
+      review: schedule.review || null,
+      isAdvertised: false,
+      createdAt: new Date().toISOString(),
+    };
+    for (const field of TEMPLATE_FIELDS) {
+      if (schedule[field] !== undefined) departure[field] = schedule[field];
+    }
+    if (vendor?.vendorProfile) {
+      departure.vendor = vendorSnapshot(vendor.vendorProfile);
+      departure.vendorName = vendor.vendorProfile.companyName;
+    }
+    return departure;
+  }
+
+  // Create the departures a schedule is missing up to the horizon. Dates
+  // that already have one are left alone, so this can run any number of
+  // times. Restricted vendors get none until they are reinstated.
+  async function generateDepartures(schedule, now = new Date()) {
+    if (schedule.status !== "active") return 0;
+    const vendor = await usersCollection.findOne({
+      email: schedule.vendorEmail,
+    });
+    if (getAccountRestriction(vendor, "POST", now)) return 0;
+
+    const today = toZonedDateTime(now, schedule.timeZone).date;
+    const dates = listRunDates(
+      schedule.recurrence,
+      today,
+      addDays(today, GENERATE_DAYS_AHEAD)
+    );
+    const operations = [];
+    for (const date of dates) {
+      const departure = buildDeparture(schedule, vendor, date);
+      if (hasDeparted(departure, now)) continue;
+      operations.push({
+        updateOne: {
+          filter: { scheduleId: schedule._id, departureDate: date },
+          update: { $setOnInsert: departure },
+          upsert: true,
+        },
+      });
+    }
+    if (!operations.length) return 0;
+    const result = await ticketsCollection.bulkWrite(operations, {
+      ordered: false,
+    });
+    return result.upsertedCount;
+  }
+
+  // Scheduler job: keep every running schedule generated ahead
+  async function generateScheduledDepartures() {
+    const schedules = await schedulesCollection
+      .find({ status: "active" })
+      .toArray();
+    let generated = 0;
+    let failed = 0;
+    for (const schedule of schedules) {
+      try {
+        generated += await generateDepartures(schedule);
+      } catch (error) {
+        console.error(`Failed to generate schedule ${schedule._id}`, error);
+        failed++;
+      }
+    }
+    return { schedules: schedules.length, generated, failed };
+  }
+
+  // Remove upcoming departures the schedule no longer runs, or all of them
+  // when it has ended. Departures with bookings are kept for the vendor to
+  // deal with, and counted.
+  async function pruneDepartures(schedule) {
+    const departures = await ticketsCollection
+      .find(upcoming(schedule), { projection: { departureDate: 1 } })
+      .toArray();
+    const dropped = departures.filter(
+      (departure) =>
+        schedule.status !== "active" ||
+        !runsOn(schedule.recurrence, departure.departureDate)
+    );
+    const booked = await bookingsCollection.distinct("ticketId", {
+      ticketId: { $in: dropped.map((departure) => departure._id) },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    });
+    const removable = dropped.filter(
+      (departure) => !booked.some((id) => id.equals(departure._id))
+    );
+    if (removable.length) {
+      await ticketsCollection.deleteMany({
+        _id: { $in: removable.map((departure) => departure._id) },
+      });
+    }
+    return { removed: removable.length, kept: booked.length };
+  }
+
+  // Save a new schedule and generate its first departures. Fields are
+  // checked by the route; the departure time is checked here.
+  async function createSchedule(user, fields) {
+    // Any date will do to check the time and get the route length
+    const sample = buildTripSchedule({
+      departureDate:
+        fields.recurrence.startDate || new Date().toISOString().slice(0, 10),
+      departureTime: fields.departureTime,
+      timeZone: fields.timeZone,
+      durationMinutes: fields.durationMinutes,
+      arrivalTime: fields.arrivalTime,
+    });
+
+    const now = new Date().toISOString();
+    const schedule = {
+      ...fields,
+      departureTime: sample.departureTime,
+      timeZone: sample.timeZone,
+      durationMinutes: sample.durationMinutes,
+      vendorEmail: user.email,
+      verificationStatus: "pending",
+      review: null,
+      status: "active",
+      createdAt: now,
+      updatedAt: now,
+    };
+    delete schedule.arrivalTime;
+    const { insertedId } = await schedulesCollection.insertOne(schedule);
+    schedule._id = insertedId;
+    const generated = await generateDepartures(schedule);
+    return { schedule, generated };
+  }
+
+  async function getSchedule(id) {
+    const schedule = await schedulesCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!schedule) throw new RequestError(404, "Schedule not found");
+    return schedule;
+  }
+
+  async function listSchedules(filter, query = {}) {
+    const { page, limit, skip } = parsePagination(query);
+    const [schedules, total] = await Promise.all([
+      schedulesCollection
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      schedulesCollection.countDocuments(filter),
+    ]);
+    return {
+      schedules,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  // Change a schedule and the upcoming departures generated from it. A new
+  // recurrence removes departures it no longer has and adds new ones.
+  // Changes to what customers buy send an approved schedule back for review.
+  async function updateSchedule(schedule, changes) {
+    const update = { ...changes, updatedAt: new Date().toISOString() };
+    if (
+      schedule.verificationStatus === "approved" &&
+      fieldsNeedingReview(schedule, changes).length
+    ) {
+      update.verificationStatus = "pending";
+    }
+    const updated = await schedulesCollection.findOneAndUpdate(
+      { _id: schedule._id },
+      { $set: update },
+      { returnDocument: "after" }
+    );
+
+    const departureChanges = {};
+    for (const field of [...TEMPLATE_FIELDS, "verificationStatus"]) {
+      if (update[field] !== undefined) departureChanges[field] = update[field];
+    }
+    if (Object.keys(departureChanges).length) {
+      await ticketsCollection.updateMany(upcoming(schedule), {
+        $set: departureChanges,
+      });
+    }
+    const pruned = changes.recurrence
+      ? await pruneDepartures(updated)
+      : { removed: 0, kept: 0 };
+    const generated = await generateDepartures(updated);
+    return { before: schedule, after: updated, ...pruned, generated };
+  }
+
+  // Stop generating departures and take down the upcoming ones nobody has
+  // booked
+  async function endSchedule(schedule) {
+    const ended = await schedulesCollection.findOneAndUpdate(
+      { _id: schedule._id },
+      { $set: { status: "ended", updatedAt: new Date().toISOString() } },
+      { returnDocument: "after" }
+    );
+    return {
+      before: schedule,
+      after: ended,
+      ...(await pruneDepartures(ended)),
+    };
+  }
+
+  // Approve or reject a schedule along with its upcoming departures.
+  // Rejections need a reason for the vendor.
+  async function reviewSchedule(id, { decision, reason = null, by }) {
+    if (decision === "rejected" && !reason) {
+      throw new RequestError(400, "Give a reason for rejecting the schedule");
+    }
+    const schedule = await getSchedule(id);
+    const review = {
+      decision,
+      reason,
+      reviewedBy: by,
+      reviewedAt: new Date().toISOString(),
+    };
+    const reviewed = await schedulesCollection.findOneAndUpdate(
+      { _id: schedule._id },
+      { $set: { verificationStatus: decision, review } },
+      { returnDocument: "after" }
+    );
+    await ticketsCollection.updateMany(upcoming(schedule), {
+      $set: { verificationStatus: decision, review },
+    });
+
+    if (schedule.verificationStatus !== decision) {
+      await notify(`schedule.${decision}`, schedule.vendorEmail, {
+        schedule: reviewed,
+      });
+    }
+    return { before: schedule, after: reviewed };
+  }
+
+  // A vendor deleting one generated departure means the schedule skips
+  // that date, so it isn't generated again
+  async function skipScheduledDeparture(ticket) {
+    if (!ticket.scheduleId) return;
+    await schedulesCollection.updateOne(
+      { _id: ticket.scheduleId },
+      { $addToSet: { "recurrence.exceptions": ticket.departureDate } }
+    );
+  }
+
+  return {
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    endSchedule,
+    reviewSchedule,
+    generateDepartures,
+    generateScheduledDepartures,
+    skipScheduledDeparture,
+  };
+}
+
+module.exports = {
+  GENERATE_DAYS_AHEAD,
+  normalizeRecurrence,
+  runsOn,
+  listRunDates,
+  createScheduleService,
+};
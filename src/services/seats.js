@@ -0,0 +1,214 @@
+const { RequestError } = require("../errors");
+const { ACTIVE_BOOKING_STATUSES } = require("./bookingState");
+
+// Seat maps
+// Seats are labelled by row number and column letter, e.g. "12C"
+const SEAT_LETTERS = "ABCDEFGHIJ";
+const MAX_SEAT_ROWS = 100;
+const DEFAULT_SEAT_COLUMNS = 4;
+
+function seatLabel(row, column) {
+  return `${row}${SEAT_LETTERS[column - 1]}`;
+}
+
+function normalizeSeatNumber(seat) {
+  return String(seat).trim().toUpperCase();
+}
+
+// Validate a vendor-supplied seat layout and return it normalized
+function normalizeSeatLayout(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "Seat layout must be an object" };
+  }
+
+  const rows = Number(input.rows);
+  const columns = Number(input.columns);
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_SEAT_ROWS) {
+    return { error: `Seat rows must be between 1 and ${MAX_SEAT_ROWS}` };
+  }
+  if (
+    !Number.isInteger(columns) ||
+    columns < 1 ||
+    columns > SEAT_LETTERS.length
+  ) {
+    return {
+      error: `Seat columns must be between 1 and ${SEAT_LETTERS.length}`,
+    };
+  }
+
+  const isValidSeat = (seat) => {
+    const match = /^(\d+)([A-Z])$/.exec(seat);
+    if (!match) return false;
+    const row = Number(match[1]);
+    const column = SEAT_LETTERS.indexOf(match[2]) + 1;
+    return row >= 1 && row <= rows && column >= 1 && column <= columns;
+  };
+
+  const blockedSeats = [
+    ...new Set((input.blockedSeats || []).map(normalizeSeatNumber)),
+  ];
+  const invalidSeat = blockedSeats.find((seat) => !isValidSeat(seat));
+  if (invalidSeat) {
+    return { error: `Blocked seat ${invalidSeat} is not on the layout` };
+  }
+
+  const seatClasses = [];
+  for (const seatClass of input.seatClasses || []) {
+    const name = String(seatClass?.name || "").trim();
+    const classRows = (seatClass?.rows || []).map(Number);
+    if (!name) return { error: "Seat class name is required" };
+    if (
+      !classRows.length ||
+      classRows.some((row) => !Number.isInteger(row) || row < 1 || row > rows)
+    ) {
+      return { error: `Seat class ${name} has invalid rows` };
+    }
+    seatClasses.push({ name, rows: [...new Set(classRows)] });
+  }
+
+  return { layout: { rows, columns, blockedSeats, seatClasses } };
+}
+
+// Tickets created before seat maps get a plain grid sized to their stock
+function getSeatLayout(ticket) {
+  if (ticket.seatLayout) return ticket.seatLayout;
+  const capacity = Number(ticket.totalSeats || ticket.quantity) || 40;
+  return {
+    rows: Math.min(MAX_SEAT_ROWS, Math.ceil(capacity / DEFAULT_SEAT_COLUMNS)),
+    columns: DEFAULT_SEAT_COLUMNS,
+    blockedSeats: [],
+    seatClasses: [],
+  };
+}
+
+function listSeats(layout) {
+  const seats = [];
+  for (let row = 1; row <= layout.rows; row++) {
+    const seatClass = layout.seatClasses.find((c) => c.rows.includes(row));
+    for (let column = 1; column <= layout.columns; column++) {
+      const seatNumber = seatLabel(row, column);
+      seats.push({
+        seatNumber,
+        row,
+        column,
+        seatClass: seatClass?.name || "standard",
+        blocked: layout.blockedSeats.includes(seatNumber),
+      });
+    }
+  }
+  return seats;
+}
+
+function countBookableSeats(layout) {
+  return layout.rows * layout.columns - layout.blockedSeats.length;
+}
+
+// Work out how an edit changes the seats a ticket sells. quantity is the
+// new capacity, as when the ticket was created, and a new layout without
+// one sets it to the layout's bookable seats. Stock (the ticket's quantity)
+// moves by the change in capacity, so seats sold or held stay taken.
+// Returns null when the edit leaves capacity alone.
+function planCapacityChange(ticket, { quantity, seatLayout }) {
+  if (quantity === undefined && seatLayout === undefined) return null;
+
+  const layout = seatLayout || ticket.seatLayout;
+  let totalSeats;
+  if (quantity !== undefined) {
+    totalSeats = Number(quantity);
+    if (layout && totalSeats > countBookableSeats(layout)) {
+      throw new RequestError(400, "Quantity exceeds seats on the layout");
+    }
+  } else {
+    totalSeats = countBookableSeats(layout);
+  }
+
+  const currentSeats = ticket.totalSeats ?? ticket.quantity;
+  const taken = currentSeats - ticket.quantity;
+  if (totalSeats < taken) {
+    throw new RequestError(
+      400,
+      `${taken} seat(s) are already sold or held, so capacity can't go below that`
+    );
+  }
+  return { totalSeats, stockChange: totalSeats - currentSeats };
+}
+
+// Pick the seats for a new booking from a seat map. Requested seats must
+// all be free; without a request the first free seats are taken.
+function allocateSeats(seats, quantity, requestedSeats) {
+  if (!requestedSeats) {
+    const seatNumbers = seats
+      .filter((s) => s.status === "available")
+      .slice(0, quantity)
+      .map((s) => s.seatNumber);
+    if (seatNumbers.length < quantity) {
+      throw new RequestError(409, "Not enough seats available");
+    }
+    return seatNumbers;
+  }
+
+  const seatNumbers = [...new Set(requestedSeats.map(normalizeSeatNumber))];
+  if (seatNumbers.length !== quantity) {
+    throw new RequestError(400, `Select exactly ${quantity} distinct seat(s)`);
+  }
+
+  const seatsByNumber = new Map(seats.map((s) => [s.seatNumber, s]));
+  for (const seat of seatNumbers) {
+    const status = seatsByNumber.get(seat)?.status;
+    if (!status || status === "blocked") {
+      throw new RequestError(400, `Seat ${seat} does not exist on this ticket`);
+    }
+    if (status !== "available") {
+      throw new RequestError(
+        409,
+        `Seat ${seat} is already booked. Please select another seat.`
+      );
+    }
+  }
+  return seatNumbers;
+}
+
+function createSeatService({ bookingsCollection, expireStaleHolds }) {
+  // Build the current seat map for a ticket from its active bookings
+  async function getSeatMap(ticket) {
+    const layout = getSeatLayout(ticket);
+    await expireStaleHolds({ ticketId: ticket._id });
+    const activeBookings = await bookingsCollection
+      .find({
+        ticketId: ticket._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      })
+      .project({ seatNumbers: 1, status: 1 })
+      .toArray();
+
+    const occupied = new Map();
+    for (const booking of activeBookings) {
+      for (const seatNumber of booking.seatNumbers || []) {
+        occupied.set(seatNumber, booking.status === "paid" ? "booked" : "held");
+      }
+    }
+
+    const seats = listSeats(layout).map(({ blocked, ...seat }) => ({
+      ...seat,
+      status: blocked
+        ? "blocked"
+        : occupied.get(seat.seatNumber) || "available",
+    }));
+
+    return { layout, seats };
+  }
+
+  return { getSeatMap };
+}
+
+module.exports = {
+  MAX_SEAT_ROWS,
+  normalizeSeatNumber,
+  normalizeSeatLayout,
+  getSeatLayout,
+  listSeats,
+  countBookableSeats,
+  planCapacityChange,
+  allocateSeats,
+  createSeatService,
+};
@@ -0,0 +1,180 @@
+const { isDeepStrictEqual } = require("node:util");
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { diffDocuments } = require("./audit");
+
+// Ticket moderation
+// New tickets wait for an admin to approve or reject them, and a rejection
+// comes with a reason the vendor can see. A vendor fixes a rejected ticket
+// and resubmits it; an approved ticket goes back for review when an edit
+// changes what customers are sold. Every version of a ticket is kept as a
+// revision so admins can see what changed between any two.
+
+// Edits to these send an approved ticket back for review
+const REVIEW_FIELDS = [
+  "title",
+  "from",
+  "to",
+  "transportType",
+  "price",
+  "currency",
+  "fareRules",
+  "departureAt",
+  "arrivalAt",
+  "perks",
+  "image",
+];
+
+// The reviewed fields an edit changes
+function fieldsNeedingReview(ticket, changes) {
+  return REVIEW_FIELDS.filter(
+    (field) =>
+      changes[field] !== undefined &&
+      !isDeepStrictEqual(changes[field], ticket[field])
+  );
+}
+
+function createTicketModerationService({
+  ticketsCollection,
+  ticketRevisionsCollection,
+  notify,
+}) {
+  // Keep the version of a ticket a change by the user behind req left it
+  // at. Like the audit log this never throws, as the change has been made.
+  async function recordTicketRevision(req, { action, before, after, note }) {
+    const ticket = after || before;
+    try {
+      const snapshot = after ? { ...after } : null;
+      if (snapshot) delete snapshot._id;
+      const revision = {
+        ticketId: new ObjectId(ticket._id),
+        action,
+        actor: req.tokenEmail,
+        actorRole: req.user?.role || req.userRole || null,
+        verificationStatus: after?.verificationStatus || null,
+        note: note || null,
+        changes: diffDocuments(before, after),
+        snapshot,
+        createdAt: new Date().toISOString(),
+      };
+      await ticketRevisionsCollection.insertOne(revision);
+      return revision;
+    } catch (error) {
+      console.error(`Failed to record ticket ${ticket?._id} revision`, error);
+      return null;
+    }
+  }
+
+  async function findTicket(id) {
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    if (!ticket) throw new RequestError(404, "Ticket not found");
+    return ticket;
+  }
+
+  // Approve or reject a ticket. Rejections need a reason for the vendor.
+  async function reviewTicket(id, { decision, reason = null, by }) {
+    if (decision === "rejected" && !reason) {
+      throw new RequestError(400, "Give a reason for rejecting the ticket");
+    }
+    const ticket = await findTicket(id);
+    const review = {
+      decision,
+      reason,
+      reviewedBy: by,
+      reviewedAt: new Date().toISOString(),
+    };
+    const reviewed = await ticketsCollection.findOneAndUpdate(
+      { _id: ticket._id },
+      { $set: { verificationStatus: decision, review } },
+      { returnDocument: "after" }
+    );
+
+    // Let the vendor know when the decision changed
+    if (ticket.verificationStatus !== decision) {
+      await notify(`ticket.${decision}`, ticket.vendorEmail, {
+        ticket: reviewed,
+      });
+    }
+    return { before: ticket, after: reviewed };
+  }
+
+  // Send a rejected ticket back to the review queue
+  async function resubmitTicket(ticket) {
+    const resubmitted = await ticketsCollection.findOneAndUpdate(
+      { _id: ticket._id, verificationStatus: "rejected" },
+      {
+        $set: {
+          verificationStatus: "pending",
+          resubmittedAt: new Date().toISOString(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!resubmitted) {
+      throw new RequestError(400, "Only rejected tickets can be resubmitted");
+    }
+    return { before: ticket, after: resubmitted };
+  }
+
+  // A ticket's revisions oldest first, numbered from 1
+  async function loadRevisions(id, projection) {
+    const revisions = await ticketRevisionsCollection
+      .find({ ticketId: new ObjectId(id) }, { projection })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    return revisions.map((revision, index) => ({
+      revision: index + 1,
+      ...revision,
+    }));
+  }
+
+  async function listTicketRevisions(id) {
+    return loadRevisions(id, { snapshot: 0 });
+  }
+
+  // What changed from one revision to another. Without from, compare with
+  // the version last approved, or the one before to; to defaults to the
+  // latest revision.
+  async function compareTicketRevisions(id, { from, to } = {}) {
+    const revisions = await loadRevisions(id);
+    if (!revisions.length) {
+      throw new RequestError(404, "This ticket has no revisions");
+    }
+    const target = to ? revisions[to - 1] : revisions[revisions.length - 1];
+    if (!target) throw new RequestError(404, "Revision not found");
+
+    let base;
+    if (from) {
+      base = revisions[from - 1];
+      if (!base) throw new RequestError(404, "Revision not found");
+    } else {
+      // Latest first
+      const earlier = revisions.slice(0, target.revision - 1).reverse();
+      base = earlier.find((r) => r.action === "approved") || earlier[0];
+    }
+
+    return {
+      ticketId: target.ticketId,
+      from: base ? base.revision : null,
+      to: target.revision,
+      // Tickets from before revisions start with a change, not a version
+      ...(base
+        ? diffDocuments(base.snapshot, target.snapshot)
+        : target.changes),
+    };
+  }
+
+  return {
+    recordTicketRevision,
+    reviewTicket,
+    resubmitTicket,
+    listTicketRevisions,
+    compareTicketRevisions,
+  };
+}
+
+module.exports = {
+  REVIEW_FIELDS,
+  fieldsNeedingReview,
+  createTicketModerationService,
+};
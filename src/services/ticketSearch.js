@@ -0,0 +1,110 @@
+const { AMOUNT_FIELDS, withDisplayAmounts } = require("../money");
+
+// Case-insensitive collation shared by ticket search queries and indexes
+const TICKET_SEARCH_COLLATION = { locale: "en", strength: 2 };
+
+// Tickets customers can see: approved, not hidden by an admin and not
+// taken off sale by the scheduler for being sold out or departed
+const PUBLIC_TICKET_FILTER = {
+  verificationStatus: "approved",
+  isHidden: { $ne: true },
+  unavailableReason: null,
+};
+
+// Ticket search helpers
+const ticketSortOptions = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  departure_asc: { departureAt: 1, _id: 1 },
+  departure_desc: { departureAt: -1, _id: -1 },
+};
+
+function parseNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function parsePagination(query) {
+  const page = Math.max(1, Math.floor(parseNumber(query.page) || 1));
+  const limit = Math.min(
+    100,
+    Math.max(1, Math.floor(parseNumber(query.limit) || 12))
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Translate search query params into a MongoDB filter
+function buildTicketFilter(query) {
+  const filter = {};
+
+  for (const field of ["from", "to", "transportType", "currency"]) {
+    if (typeof query[field] === "string" && query[field].trim()) {
+      filter[field] = query[field].trim();
+    }
+  }
+
+  // Departure dates are stored as YYYY-MM-DD strings
+  const departureRange = {};
+  if (typeof query.departureFrom === "string" && query.departureFrom) {
+    departureRange.$gte = query.departureFrom;
+  }
+  if (typeof query.departureTo === "string" && query.departureTo) {
+    departureRange.$lte = query.departureTo;
+  }
+  if (Object.keys(departureRange).length) {
+    filter.departureDate = departureRange;
+  }
+
+  // Prices are minor units, so a price range is best paired with currency
+  const priceRange = {};
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== undefined) priceRange.$gte = minPrice;
+  if (maxPrice !== undefined) priceRange.$lte = maxPrice;
+  if (Object.keys(priceRange).length) filter.price = priceRange;
+
+  return filter;
+}
+
+function createTicketSearchService({ ticketsCollection }) {
+  // Run a filtered, sorted and paginated ticket query
+  async function searchTickets(baseFilter, query = {}) {
+    const filter = { ...buildTicketFilter(query), ...baseFilter };
+    const sort = ticketSortOptions[query.sort] || ticketSortOptions.newest;
+    const { page, limit, skip } = parsePagination(query);
+
+    const [tickets, total] = await Promise.all([
+      ticketsCollection
+        .find(filter, { collation: TICKET_SEARCH_COLLATION })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      ticketsCollection.countDocuments(filter, {
+        collation: TICKET_SEARCH_COLLATION,
+      }),
+    ]);
+
+    return {
+      tickets: tickets.map((ticket) =>
+        withDisplayAmounts(ticket, AMOUNT_FIELDS.ticket)
+      ),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  return { searchTickets };
+}
+
+module.exports = {
+  TICKET_SEARCH_COLLATION,
+  PUBLIC_TICKET_FILTER,
+  buildTicketFilter,
+  parsePagination,
+  createTicketSearchService,
+};
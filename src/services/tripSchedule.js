@@ -0,0 +1,147 @@
+const { RequestError } = require("../errors");
+const {
+  isValidTimeZone,
+  parseClockTime,
+  zonedTimeToUtc,
+  toZonedDateTime,
+  addMinutes,
+} = require("../datetime");
+
+// Trip schedules
+// A ticket's departure is entered as a local date and time in the time zone
+// the trip starts in. The route length is given as a duration, an arrival
+// timestamp or a local arrival time; without one the arrival is unknown.
+
+const DEFAULT_TIME_ZONE = "Asia/Dhaka";
+
+// An ISO timestamp with an explicit offset, so it can't be misread
+const TIMESTAMP_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Work out the stored schedule fields from what a vendor entered. Throws a
+// RequestError for values that don't describe a real trip.
+function buildTripSchedule({
+  departureDate,
+  departureTime,
+  timeZone = DEFAULT_TIME_ZONE,
+  durationMinutes,
+  arrivalAt,
+  arrivalTime,
+}) {
+  if (!isValidTimeZone(timeZone)) {
+    throw new RequestError(400, "Unknown time zone");
+  }
+  const departureClock = parseClockTime(departureTime);
+  if (!departureClock) {
+    throw new RequestError(
+      400,
+      "departureTime must be a time like 9:00 AM or 21:00"
+    );
+  }
+  const departure = zonedTimeToUtc(departureDate, departureClock, timeZone);
+  if (!departure) throw new RequestError(400, "Invalid departure date");
+
+  let arrival = null;
+  if (durationMinutes !== undefined && durationMinutes !== null) {
+    arrival = addMinutes(departure, durationMinutes);
+  } else if (arrivalAt) {
+    arrival = TIMESTAMP_PATTERN.test(arrivalAt) ? new Date(arrivalAt) : null;
+    if (!arrival || Number.isNaN(arrival.getTime())) {
+      throw new RequestError(
+        400,
+        "arrivalAt must be an ISO timestamp with a time zone offset"
+      );
+    }
+  } else if (arrivalTime) {
+    // A local arrival time earlier than departure means the next day
+    const arrivalClock = parseClockTime(arrivalTime);
+    if (!arrivalClock) {
+      throw new RequestError(
+        400,
+        "arrivalTime must be a time like 1:30 PM or 13:30"
+      );
+    }
+    arrival = zonedTimeToUtc(departureDate, arrivalClock, timeZone);
+    if (arrival <= departure) arrival = addMinutes(arrival, 24 * 60);
+  }
+  if (arrival && arrival <= departure) {
+    throw new RequestError(400, "Arrival must be after departure");
+  }
+
+  const local = toZonedDateTime(departure, timeZone);
+  const localArrival = arrival && toZonedDateTime(arrival, timeZone);
+  return {
+    timeZone,
+    departureAt: departure.toISOString(),
+    departureDate: local.date,
+    departureTime: local.time,
+    arrivalAt: arrival ? arrival.toISOString() : null,
+    arrivalDate: localArrival ? localArrival.date : null,
+    arrivalTime: localArrival ? localArrival.time : null,
+    durationMinutes: arrival ? Math.round((arrival - departure) / 60000) : null,
+  };
+}
+
+// Fields a vendor sends that change a ticket's schedule
+const SCHEDULE_FIELDS = [
+  "departureDate",
+  "departureTime",
+  "timeZone",
+  "durationMinutes",
+  "arrivalAt",
+  "arrivalTime",
+];
+const ARRIVAL_FIELDS = ["durationMinutes", "arrivalAt", "arrivalTime"];
+
+// The new schedule for a ticket after a partial update, or null when the
+// update doesn't touch it. The route length is kept unless a new one is
+// given, so moving a departure moves the arrival with it.
+function updateTripSchedule(trip, changes) {
+  if (!SCHEDULE_FIELDS.some((field) => changes[field] !== undefined)) {
+    return null;
+  }
+  const newArrival = ARRIVAL_FIELDS.some(
+    (field) => changes[field] !== undefined
+  );
+  return buildTripSchedule({
+    departureDate: changes.departureDate ?? trip.departureDate,
+    departureTime: changes.departureTime ?? trip.departureTime,
+    timeZone: changes.timeZone ?? trip.timeZone,
+    ...(newArrival
+      ? {
+          durationMinutes: changes.durationMinutes,
+          arrivalAt: changes.arrivalAt,
+          arrivalTime: changes.arrivalTime,
+        }
+      : { durationMinutes: trip.durationMinutes }),
+  });
+}
+
+// When a ticket or booking leaves. Documents from before departureAt are
+// read from their local date and time, or null if those can't be parsed.
+function getDepartureDate(trip) {
+  if (trip.departureAt) return new Date(trip.departureAt);
+
+  const clock = parseClockTime(trip.departureTime);
+  if (!clock || !/^\d{4}-\d{2}-\d{2}$/.test(trip.departureDate || "")) {
+    return null;
+  }
+  return zonedTimeToUtc(
+    trip.departureDate,
+    clock,
+    trip.timeZone || DEFAULT_TIME_ZONE
+  );
+}
+
+function hasDeparted(trip, now = new Date()) {
+  const departure = getDepartureDate(trip);
+  return !!departure && departure <= now;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  buildTripSchedule,
+  updateTripSchedule,
+  getDepartureDate,
+  hasDeparted,
+};
@@ -0,0 +1,212 @@
+const { ObjectId } = require("mongodb");
+const { RequestError } = require("../errors");
+const { parsePagination } = require("./ticketSearch");
+
+// Vendor onboarding
+// Everyone signs up as a customer. To sell tickets a customer applies with
+// their business details and documents, and an admin approves or rejects
+// the application. Approval makes them a vendor with a vendor profile
+// taken from the application, which their tickets show to customers.
+
+// Profile fields a vendor can change
+const PROFILE_FIELDS = [
+  "companyName",
+  "contactName",
+  "contactPhone",
+  "contactEmail",
+];
+
+// The part of a vendor profile shown on their tickets
+function vendorSnapshot(profile) {
+  if (!profile) return null;
+  return {
+    companyName: profile.companyName,
+    contactPhone: profile.contactPhone || null,
+    contactEmail: profile.contactEmail || null,
+    logo: profile.logo || null,
+    logoThumbnail: profile.logoThumbnail || null,
+  };
+}
+
+function createVendorService({
+  usersCollection,
+  ticketsCollection,
+  vendorApplicationsCollection,
+  notify,
+}) {
+  // documents are media saved from the uploaded files
+  async function submitVendorApplication(user, details, documents = []) {
+    if (user?.role !== "customer") {
+      throw new RequestError(400, "Only customers can apply to become vendors");
+    }
+
+    const now = new Date().toISOString();
+    const application = {
+      userEmail: user.email,
+      companyName: details.companyName,
+      contactName: details.contactName,
+      contactPhone: details.contactPhone,
+      contactEmail: details.contactEmail || user.email,
+      address: details.address || null,
+      tradeLicenseNumber: details.tradeLicenseNumber || null,
+      description: details.description || null,
+      documents: documents.map((media) => ({
+        mediaId: media._id,
+        name: media.originalName,
+      })),
+      status: "pending",
+      reviewNote: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    try {
+      const { insertedId } = await vendorApplicationsCollection.insertOne(
+        application
+      );
+      return { _id: insertedId, ...application };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new RequestError(
+          409,
+          "You already have an application under review"
+        );
+      }
+      throw error;
+    }
+  }
+
+  async function listOwnApplications(email) {
+    return vendorApplicationsCollection
+      .find({ userEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  // The review queue: pending applications oldest first, or any status
+  async function listVendorApplications(query = {}) {
+    const filter = { status: query.status || "pending" };
+    const { page, limit, skip } = parsePagination(query);
+
+    const [applications, total] = await Promise.all([
+      vendorApplicationsCollection
+        .find(filter)
+        .sort({ createdAt: filter.status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      vendorApplicationsCollection.countDocuments(filter),
+    ]);
+
+    return {
+      applications,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  async function getVendorApplication(id) {
+    const application = await vendorApplicationsCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!application) throw new RequestError(404, "Application not found");
+    return application;
+  }
+
+  // Approve or reject a pending application. Approving promotes the
+  // applicant to vendor with a profile from their business details.
+  async function reviewVendorApplication(id, { decision, note = null, by }) {
+    const application = await getVendorApplication(id);
+    const reviewedAt = new Date().toISOString();
+    const reviewed = await vendorApplicationsCollection.findOneAndUpdate(
+      { _id: application._id, status: "pending" },
+      {
+        $set: {
+          status: decision,
+          reviewNote: note,
+          reviewedBy: by,
+          reviewedAt,
+          updatedAt: reviewedAt,
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!reviewed) {
+      throw new RequestError(
+        409,
+        `Application has already been ${application.status}`
+      );
+    }
+
+    if (decision === "approved") {
+      const profile = {};
+      for (const field of PROFILE_FIELDS) profile[field] = reviewed[field];
+      profile.logo = null;
+      profile.logoThumbnail = null;
+      profile.logoMediaId = null;
+      profile.approvedAt = reviewedAt;
+      await usersCollection.updateOne(
+        { email: reviewed.userEmail },
+        { $set: { vendorProfile: profile } }
+      );
+      // Anyone made an admin since applying keeps that role
+      await usersCollection.updateOne(
+        { email: reviewed.userEmail, role: "customer" },
+        { $set: { role: "vendor" } }
+      );
+    }
+
+    await notify(`vendorApplication.${decision}`, reviewed.userEmail, {
+      application: reviewed,
+    });
+    return { before: application, after: reviewed };
+  }
+
+  // Change a vendor's profile and show it on all their tickets. logo is
+  // the image fields of a newly uploaded logo.
+  // Vendors from before applications start their profile here.
+  async function updateVendorProfile(user, changes, logo) {
+    const profile = { ...user.vendorProfile };
+    for (const field of PROFILE_FIELDS) {
+      if (changes[field] !== undefined) profile[field] = changes[field];
+    }
+    if (!profile.companyName) {
+      throw new RequestError(400, "A vendor profile needs a company name");
+    }
+    if (logo) {
+      profile.logo = logo.image;
+      profile.logoThumbnail = logo.imageThumbnail;
+      profile.logoMediaId = logo.imageMediaId;
+    }
+    profile.updatedAt = new Date().toISOString();
+
+    await usersCollection.updateOne(
+      { email: user.email },
+      { $set: { vendorProfile: profile } }
+    );
+    await ticketsCollection.updateMany(
+      { vendorEmail: user.email },
+      {
+        $set: {
+          vendor: vendorSnapshot(profile),
+          vendorName: profile.companyName,
+        },
+      }
+    );
+    return profile;
+  }
+
+  return {
+    submitVendorApplication,
+    listOwnApplications,
+    listVendorApplications,
+    getVendorApplication,
+    reviewVendorApplication,
+    updateVendorProfile,
+  };
+}
+
+module.exports = { vendorSnapshot, createVendorService };
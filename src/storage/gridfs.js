@@ -0,0 +1,32 @@
+const { GridFSBucket } = require("mongodb");
+
+// Stores files in MongoDB, so deployments without a writable disk (Vercel)
+// keep their uploads
+function createGridFSStorage(db, bucketName = "media") {
+  const bucket = new GridFSBucket(db, { bucketName });
+
+  return {
+    put(key, buffer, contentType) {
+      return new Promise((resolve, reject) => {
+        bucket
+          .openUploadStream(key, { metadata: { contentType } })
+          .on("finish", resolve)
+          .on("error", reject)
+          .end(buffer);
+      });
+    },
+
+    async get(key) {
+      const file = await bucket.find({ filename: key }).next();
+      if (!file) return null;
+      return bucket.openDownloadStream(file._id);
+    },
+
+    async remove(key) {
+      const files = await bucket.find({ filename: key }).toArray();
+      for (const file of files) await bucket.delete(file._id);
+    },
+  };
+}
+
+module.exports = { createGridFSStorage };
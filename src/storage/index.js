@@ -0,0 +1,21 @@
+const { createGridFSStorage } = require("./gridfs");
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+// Every backend stores buffers by key:
+//   put(key, buffer, contentType), get(key) -> readable stream or null,
+//   remove(key)
+function createStorage(config, db) {
+  switch (config.mediaStorage) {
+    case "local":
+      return createLocalStorage(config.mediaDir);
+    case "s3":
+      return createS3Storage(config.s3);
+    case "gridfs":
+      return createGridFSStorage(db);
+    default:
+      throw new Error(`Unknown media storage "${config.mediaStorage}"`);
+  }
+}
+
+module.exports = { createStorage };
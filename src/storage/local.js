@@ -0,0 +1,32 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stores files under a directory on the server's own disk
+function createLocalStorage(directory) {
+  const root = path.resolve(directory);
+  const resolveKey = (key) => path.join(root, ...key.split("/"));
+
+  return {
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = resolveKey(key);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,58 @@
+// Stores files in an S3 bucket, or any S3-compatible service when an
+// endpoint is given (R2, MinIO, Spaces)
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+}) {
+  // Only loaded when S3 storage is configured
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const s3 = new S3Client({
+    region: region || "auto",
+    endpoint,
+    forcePathStyle: !!endpoint,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  return {
+    async put(key, buffer, contentType) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async get(key) {
+      try {
+        const object = await s3.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return object.Body;
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,514 @@
+const { ObjectId } = require("mongodb");
+const { CURRENCIES } = require("./money");
+const { isValidDate } = require("./datetime");
+
+// Request validation
+// Schemas map field names to rules. Fields not in a body schema are dropped,
+// so routes only ever see whitelisted, type-checked values.
+const rules = {
+  string: (opts = {}) => ({ type: "string", ...opts }),
+  number: (opts = {}) => ({ type: "number", ...opts }),
+  integer: (opts = {}) => ({ type: "number", integer: true, ...opts }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+  objectId: (opts = {}) => ({ type: "objectId", ...opts }),
+  email: (opts = {}) => ({
+    type: "string",
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: "must be a valid email",
+    ...opts,
+  }),
+  date: (opts = {}) => ({
+    type: "string",
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    patternMessage: "must be a YYYY-MM-DD date",
+    check: isValidDate,
+    ...opts,
+  }),
+  array: (items, opts = {}) => ({ type: "array", items, ...opts }),
+  object: (opts = {}) => ({ type: "object", ...opts }),
+};
+
+// Multipart forms send objects and arrays as JSON text. Text that isn't
+// JSON is left for the rule to reject. Only the top-level fields of a
+// multipart body are decoded; a JSON body already carries real objects.
+function parseJsonText(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// Check one value against a rule. Returns the cleaned value, or pushes an
+// error and returns undefined. jsonText marks a value from a multipart form.
+function checkValue(rule, value, field, errors, { jsonText } = {}) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string");
+      const text = value.trim();
+      if (rule.min !== undefined && text.length < rule.min)
+        return fail(`must be at least ${rule.min} characters`);
+      if (rule.max !== undefined && text.length > rule.max)
+        return fail(`must be at most ${rule.max} characters`);
+      if (rule.enum && !rule.enum.includes(text))
+        return fail(`must be one of ${rule.enum.join(", ")}`);
+      if (rule.pattern && !rule.pattern.test(text))
+        return fail(rule.patternMessage || "has an invalid format");
+      if (rule.check && !rule.check(text))
+        return fail(rule.patternMessage || "has an invalid format");
+      return text;
+    }
+    case "number": {
+      // Query strings and multipart forms send numbers as text
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number))
+        return fail("must be a number");
+      if (rule.integer && !Number.isInteger(number))
+        return fail("must be a whole number");
+      if (rule.min !== undefined && number < rule.min)
+        return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max)
+        return fail(`must be at most ${rule.max}`);
+      return number;
+    }
+    case "boolean":
+      if (value === "true" || value === true) return true;
+      if (value === "false" || value === false) return false;
+      return fail("must be true or false");
+    case "objectId":
+      if (typeof value !== "string" || !ObjectId.isValid(value))
+        return fail("must be a valid ID");
+      return value;
+    case "array": {
+      if (jsonText) value = parseJsonText(value);
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.min !== undefined && value.length < rule.min)
+        return fail(`must have at least ${rule.min} item(s)`);
+      if (rule.max !== undefined && value.length > rule.max)
+        return fail(`must have at most ${rule.max} item(s)`);
+      const items = value.map((item, i) =>
+        checkValue(rule.items, item, `${field}[${i}]`, errors)
+      );
+      return items;
+    }
+    case "object":
+      if (jsonText) value = parseJsonText(value);
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        return fail("must be an object");
+      return rule.schema
+        ? checkFields(rule.schema, value, field, errors)
+        : value;
+    default:
+      return value;
+  }
+}
+
+function checkFields(schema, input, prefix, errors, options) {
+  const values = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const value = input?.[name];
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+    const cleaned = checkValue(rule, value, field, errors, options);
+    if (cleaned !== undefined) values[name] = cleaned;
+  }
+  return values;
+}
+
+// Make every rule in a schema optional, for partial updates
+function partial(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, rule]) => [
+      name,
+      { ...rule, required: false },
+    ])
+  );
+}
+
+// Middleware validating req.params, req.query and req.body. The body is
+// replaced by its whitelisted values; params and query are only checked.
+function validate({ params, query, body }) {
+  return (req, res, next) => {
+    const errors = [];
+    if (params) checkFields(params, req.params, "params", errors);
+    if (query) checkFields(query, req.query, "query", errors);
+    const jsonText = !!req.is("multipart/form-data");
+    const cleanBody = body
+      ? checkFields(body, req.body, "body", errors, { jsonText })
+      : null;
+
+    if (errors.length) {
+      return res.status(400).send({ message: "Validation failed", errors });
+    }
+    if (cleanBody) req.body = cleanBody;
+    next();
+  };
+}
+
+const idParams = { id: rules.objectId({ required: true }) };
+
+const passengerSchema = {
+  name: rules.string({ required: true, min: 2, max: 100 }),
+  age: rules.integer({ required: true, min: 0, max: 120 }),
+  gender: rules.string({ enum: ["male", "female", "other"] }),
+  idNumber: rules.string({ max: 50 }),
+  seatNumber: rules.string({ max: 5 }),
+};
+
+const phoneRule = (opts = {}) =>
+  rules.string({
+    max: 30,
+    pattern: /^\+?[\d\s-()]+$/,
+    patternMessage: "must be a valid phone number",
+    ...opts,
+  });
+
+// Business details on a vendor application, and the profile they become
+const vendorProfileFields = {
+  companyName: rules.string({ required: true, min: 2, max: 150 }),
+  contactName: rules.string({ required: true, min: 2, max: 100 }),
+  contactPhone: phoneRule({ required: true }),
+  contactEmail: rules.email(),
+};
+
+const ticketSearchQuery = {
+  from: rules.string({ max: 100 }),
+  to: rules.string({ max: 100 }),
+  transportType: rules.string({ max: 50 }),
+  departureFrom: rules.date(),
+  departureTo: rules.date(),
+  currency: rules.string({ enum: CURRENCIES }),
+  minPrice: rules.integer({ min: 0 }),
+  maxPrice: rules.integer({ min: 0 }),
+  sort: rules.string({
+    enum: [
+      "newest",
+      "price_asc",
+      "price_desc",
+      "departure_asc",
+      "departure_desc",
+    ],
+  }),
+  page: rules.integer({ min: 1 }),
+  limit: rules.integer({ min: 1, max: 100 }),
+};
+
+// Date range and grouping for analytics reports
+const reportQuery = {
+  startDate: rules.date(),
+  endDate: rules.date(),
+  interval: rules.string({ enum: ["day", "week", "month"] }),
+  timezone: rules.string({ max: 64 }),
+};
+
+// Fields a vendor may write on a ticket. Moderation, advertising and
+// ownership fields are set by the server only.
+const ticketBody = {
+  title: rules.string({ required: true, min: 3, max: 150 }),
+  from: rules.string({ required: true, max: 100 }),
+  to: rules.string({ required: true, max: 100 }),
+  transportType: rules.string({ required: true, max: 50 }),
+  // Prices are whole minor units (poisha for BDT) of the ticket's currency
+  price: rules.integer({ required: true, min: 0 }),
+  currency: rules.string({ enum: CURRENCIES }),
+  quantity: rules.integer({ required: true, min: 1, max: 1000 }),
+  departureDate: rules.date({ required: true }),
+  departureTime: rules.string({ required: true, max: 20 }),
+  // IANA time zone the departure date and time are in
+  timeZone: rules.string({ max: 64 }),
+  // Route length, as a duration, an arrival timestamp or a local time
+  durationMinutes: rules.integer({ min: 1, max: 7 * 24 * 60 }),
+  arrivalAt: rules.string({ max: 40 }),
+  arrivalTime: rules.string({ max: 20 }),
+  perks: rules.array(rules.string({ max: 50 }), { max: 20 }),
+  image: rules.string({ max: 2048 }),
+  vendorName: rules.string({ max: 100 }),
+  seatLayout: rules.object(),
+  cancellationPolicy: rules.object(),
+  fareRules: rules.object(),
+};
+
+// A recurring trip takes its dates from its recurrence rule, so it has a
+// departure time but no departure date
+const scheduleBody = {
+  ...Object.fromEntries(
+    Object.entries(ticketBody).filter(
+      ([name]) => !["departureDate", "arrivalAt", "vendorName"].includes(name)
+    )
+  ),
+  recurrence: rules.object({ required: true }),
+};
+
+// Seats and times are fixed once departures exist; a vendor ends the
+// schedule and starts a new one to change them
+const scheduleChanges = Object.fromEntries(
+  Object.entries(partial(scheduleBody)).filter(
+    ([name]) =>
+      ![
+        "quantity",
+        "seatLayout",
+        "departureTime",
+        "timeZone",
+        "durationMinutes",
+        "arrivalTime",
+      ].includes(name)
+  )
+);
+
+// Promo code settings; times are ISO dates or timestamps
+const promoCodeFields = {
+  description: rules.string({ max: 200 }),
+  type: rules.string({ required: true, enum: ["percent", "fixed"] }),
+  // A percentage, or minor units of currency for fixed discounts
+  value: rules.number({ required: true, min: 0.01 }),
+  currency: rules.string({ enum: CURRENCIES }),
+  maxDiscount: rules.integer({ min: 0 }),
+  ticketIds: rules.array(rules.objectId(), { max: 100 }),
+  startsAt: rules.string({ max: 40 }),
+  expiresAt: rules.string({ max: 40 }),
+  usageLimit: rules.integer({ min: 1 }),
+  perUserLimit: rules.integer({ min: 1 }),
+  active: rules.boolean(),
+};
+
+const schemas = {
+  createUser: {
+    body: {
+      email: rules.email({ required: true }),
+      name: rules.string({ max: 100 }),
+      image: rules.string({ max: 2048 }),
+      created_at: rules.string({ max: 40 }),
+    },
+  },
+  updateProfile: {
+    body: {
+      name: rules.string({ required: true, min: 2, max: 100 }),
+      phone: phoneRule(),
+      location: rules.string({ max: 200 }),
+      imageURL: rules.string({ max: 2048 }),
+      // Email categories the user wants; leaving one out keeps its setting
+      notificationPreferences: rules.object({
+        schema: {
+          bookings: rules.boolean(),
+          payments: rules.boolean(),
+          reminders: rules.boolean(),
+          tickets: rules.boolean(),
+          account: rules.boolean(),
+        },
+      }),
+    },
+  },
+  createBooking: {
+    body: {
+      ticketId: rules.objectId({ required: true }),
+      quantity: rules.integer({ required: true, min: 1, max: 20 }),
+      seatNumbers: rules.array(rules.string({ max: 5 }), { min: 1, max: 20 }),
+      seatNumber: rules.string({ max: 5 }),
+      passengers: rules.array(rules.object({ schema: passengerSchema }), {
+        min: 1,
+        max: 20,
+      }),
+      promoCode: rules.string({ max: 20 }),
+    },
+  },
+  bookingId: { params: idParams },
+  updateBookingStatus: {
+    params: idParams,
+    body: {
+      status: rules.string({
+        required: true,
+        enum: ["accepted", "rejected", "cancelled"],
+      }),
+      note: rules.string({ max: 500 }),
+    },
+  },
+  createPaymentIntent: {
+    body: { bookingId: rules.objectId({ required: true }) },
+  },
+  savePayment: {
+    body: {
+      bookingId: rules.objectId({ required: true }),
+      transactionId: rules.string({ required: true, max: 255 }),
+      amount: rules.integer({ required: true, min: 0 }),
+      paymentMethod: rules.string({ max: 50 }),
+    },
+  },
+  searchTickets: { query: ticketSearchQuery },
+  ticketId: { params: idParams },
+  createTicket: { body: ticketBody },
+  updateTicket: { params: idParams, body: partial(ticketBody) },
+  verifyTicket: {
+    params: idParams,
+    body: {
+      verificationStatus: rules.string({
+        required: true,
+        enum: ["approved", "rejected"],
+      }),
+      // Shown to the vendor; required when rejecting
+      reason: rules.string({ max: 500 }),
+    },
+  },
+  resubmitTicket: {
+    params: idParams,
+    body: { note: rules.string({ max: 500 }) },
+  },
+  ticketRevisions: { params: idParams },
+  compareTicketRevisions: {
+    params: idParams,
+    query: { from: rules.integer({ min: 1 }), to: rules.integer({ min: 1 }) },
+  },
+  createSchedule: { body: scheduleBody },
+  updateSchedule: { params: idParams, body: scheduleChanges },
+  scheduleId: { params: idParams },
+  schedules: {
+    query: {
+      status: rules.string({ enum: ["active", "ended"] }),
+      verificationStatus: rules.string({
+        enum: ["pending", "approved", "rejected"],
+      }),
+      page: rules.integer({ min: 1 }),
+      limit: rules.integer({ min: 1, max: 100 }),
+    },
+  },
+  scheduleDepartures: { params: idParams, query: ticketSearchQuery },
+  verifySchedule: {
+    params: idParams,
+    body: {
+      verificationStatus: rules.string({
+        required: true,
+        enum: ["approved", "rejected"],
+      }),
+      reason: rules.string({ max: 500 }),
+    },
+  },
+  updateUserRole: {
+    params: { email: rules.email({ required: true }) },
+    body: {
+      role: rules.string({
+        required: true,
+        enum: ["customer", "vendor", "admin"],
+      }),
+    },
+  },
+  userEmail: { params: { email: rules.email({ required: true }) } },
+  suspendUser: {
+    params: { email: rules.email({ required: true }) },
+    body: {
+      reason: rules.string({ required: true, min: 3, max: 500 }),
+      // Left out, the suspension lasts until an admin lifts it
+      expiresAt: rules.string({ max: 40 }),
+    },
+  },
+  banUser: {
+    params: { email: rules.email({ required: true }) },
+    body: { reason: rules.string({ required: true, min: 3, max: 500 }) },
+  },
+  vendorAnalytics: { query: reportQuery },
+  checkIn: { body: { token: rules.string({ required: true, max: 1000 }) } },
+  createPromoCode: {
+    body: {
+      code: rules.string({
+        required: true,
+        pattern: /^[A-Za-z0-9_-]{3,20}$/,
+        patternMessage: "must be 3 to 20 letters, digits, - or _",
+      }),
+      ...promoCodeFields,
+    },
+  },
+  updatePromoCode: { params: idParams, body: partial(promoCodeFields) },
+  ticketManifest: {
+    params: idParams,
+    query: { format: rules.string({ enum: ["json", "csv"] }) },
+  },
+  adminStats: {
+    query: { ...reportQuery, limit: rules.integer({ min: 1, max: 100 }) },
+  },
+  adminStatsExport: {
+    query: {
+      ...reportQuery,
+      limit: rules.integer({ min: 1, max: 100 }),
+      report: rules.string({
+        required: true,
+        enum: ["gmv", "bookings", "vendors", "routes", "users", "payments"],
+      }),
+    },
+  },
+  jobRuns: {
+    query: {
+      job: rules.string({ max: 100 }),
+      status: rules.string({ enum: ["running", "succeeded", "failed"] }),
+      page: rules.integer({ min: 1 }),
+      limit: rules.integer({ min: 1, max: 100 }),
+    },
+  },
+  createVendorApplication: {
+    body: {
+      ...vendorProfileFields,
+      address: rules.string({ max: 300 }),
+      tradeLicenseNumber: rules.string({ max: 50 }),
+      description: rules.string({ max: 2000 }),
+    },
+  },
+  vendorApplications: {
+    query: {
+      status: rules.string({ enum: ["pending", "approved", "rejected"] }),
+      page: rules.integer({ min: 1 }),
+      limit: rules.integer({ min: 1, max: 100 }),
+    },
+  },
+  reviewVendorApplication: {
+    params: idParams,
+    body: {
+      decision: rules.string({
+        required: true,
+        enum: ["approved", "rejected"],
+      }),
+      note: rules.string({ max: 500 }),
+    },
+  },
+  vendorApplicationDocument: {
+    params: { ...idParams, mediaId: rules.objectId({ required: true }) },
+    query: { variant: rules.string({ enum: ["full", "thumbnail"] }) },
+  },
+  updateVendorProfile: { body: partial(vendorProfileFields) },
+  auditLog: {
+    query: {
+      actor: rules.email(),
+      action: rules.string({ max: 50 }),
+      targetType: rules.string({
+        enum: [
+          "ticket",
+          "user",
+          "booking",
+          "promoCode",
+          "vendorApplication",
+          "schedule",
+        ],
+      }),
+      targetId: rules.string({ max: 200 }),
+      startDate: rules.date(),
+      endDate: rules.date(),
+      timezone: rules.string({ max: 64 }),
+      page: rules.integer({ min: 1 }),
+      limit: rules.integer({ min: 1, max: 100 }),
+    },
+  },
+  getMedia: {
+    params: idParams,
+    query: { variant: rules.string({ enum: ["full", "thumbnail"] }) },
+  },
+};
+
+module.exports = { rules, validate, partial, schemas };
@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  departingIn,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("account restrictions", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  const changeAccount = (email, action, body = {}) =>
+    request(server.app)
+      .patch(`/admin/users/${email}/${action}`)
+      .set(auth(ADMIN))
+      .send(body);
+  const findTicket = (ticket) =>
+    server.db.collection("tickets").findOne({ _id: ticket._id });
+  const findBooking = (booking) =>
+    server.db.collection("bookings").findOne({ _id: booking._id });
+
+  it("lets a suspended account read but not write until it ends", async () => {
+    const ticket = await seedTicket(server.db);
+    let res = await changeAccount(VENDOR, "suspend", {
+      reason: "Unpaid platform fees",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accountStatus, "suspended");
+    assert.equal(res.body.hiddenTickets, 1);
+    assert.equal((await findTicket(ticket)).isHidden, true);
+
+    res = await request(server.app).get("/vendor/tickets").set(auth(VENDOR));
+    assert.equal(res.status, 200);
+    res = await request(server.app)
+      .delete(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Your account is suspended");
+    assert.equal(res.body.reason, "Unpaid platform fees");
+
+    // The suspension runs out
+    await server.db
+      .collection("users")
+      .updateOne(
+        { email: VENDOR },
+        { $set: { "restriction.expiresAt": new Date(0).toISOString() } }
+      );
+    await server.runDueJobs();
+    const vendor = await server.db
+      .collection("users")
+      .findOne({ email: VENDOR });
+    assert.equal(vendor.accountStatus, "active");
+    assert.equal((await findTicket(ticket)).isHidden, false);
+  });
+
+  it("bans a vendor and closes their upcoming bookings", async () => {
+    const upcoming = await seedTicket(server.db);
+    const departed = await seedTicket(server.db, departingIn(-2));
+    const pulled = await seedTicket(server.db, { isHidden: true });
+    const paid = await seedBooking(server.db, upcoming, {
+      status: "paid",
+      transactionId: "pi_ban_1",
+    });
+    await server.db.collection("payments").insertOne({
+      bookingId: paid._id,
+      userEmail: CUSTOMER,
+      transactionId: "pi_ban_1",
+      amount: paid.totalPrice,
+      currency: paid.currency,
+      status: "completed",
+    });
+    const unpaid = await seedBooking(server.db, upcoming, {
+      seatNumbers: ["1B"],
+      seatNumber: "1B",
+    });
+    const travelled = await seedBooking(server.db, departed, {
+      status: "paid",
+    });
+
+    let res = await changeAccount(VENDOR, "ban", { reason: "Fake trips" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cancelledBookings, 2);
+    assert.equal(res.body.refundedAmount, paid.totalPrice);
+
+    assert.equal((await findBooking(paid)).status, "refunded");
+    assert.equal((await findBooking(unpaid)).status, "cancelled");
+    assert.equal((await findBooking(travelled)).status, "paid");
+    assert.deepEqual(
+      server.stripe.issuedRefunds.map((r) => [r.amount, r.metadata.reason]),
+      [[paid.totalPrice, "vendor_banned"]]
+    );
+    const payment = await server.db
+      .collection("payments")
+      .findOne({ bookingId: paid._id });
+    assert.equal(payment.status, "refunded");
+
+    res = await request(server.app).get("/user/role").set(auth(VENDOR));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Your account has been banned");
+
+    res = await changeAccount(VENDOR, "reinstate");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.restoredTickets, 2);
+    assert.equal((await findTicket(upcoming)).isHidden, false);
+    assert.equal((await findTicket(pulled)).isHidden, true);
+    res = await request(server.app).get("/user/role").set(auth(VENDOR));
+    assert.equal(res.status, 200);
+  });
+
+  it("keeps customers off hidden tickets", async () => {
+    const ticket = await seedTicket(server.db);
+    await changeAccount(VENDOR, "fraud");
+    const res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "This trip is not on sale");
+  });
+
+  it("checks the account and the reason", async () => {
+    let res = await changeAccount(ADMIN, "ban", { reason: "Testing" });
+    assert.equal(res.status, 400);
+    res = await changeAccount("nobody@example.com", "ban", {
+      reason: "Testing",
+    });
+    assert.equal(res.status, 404);
+    res = await changeAccount(CUSTOMER, "suspend", {});
+    assert.equal(res.status, 400);
+    res = await changeAccount(CUSTOMER, "suspend", {
+      reason: "Chargebacks",
+      expiresAt: "2020-01-01",
+    });
+    assert.equal(res.body.message, "Suspension must end in the future");
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("admin stats", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  async function seedPlatform() {
+    await server.db
+      .collection("users")
+      .updateMany({}, { $set: { created_at: "2030-03-01T08:00:00.000Z" } });
+    await server.db.collection("users").insertOne({
+      email: "fraud@example.com",
+      name: "Fraud",
+      role: "vendor",
+      isFraud: true,
+      created_at: "2030-03-05T08:00:00.000Z",
+    });
+    await seedTicket(server.db, {
+      vendorEmail: "fraud@example.com",
+      isHidden: true,
+    });
+    await seedTicket(server.db, {
+      verificationStatus: "pending",
+      createdAt: "2030-02-20T08:00:00.000Z",
+    });
+
+    const ticket = await seedTicket(server.db);
+    const booking = await seedBooking(server.db, ticket, {
+      status: "paid",
+      quantity: 2,
+      seatNumbers: ["1A", "1B"],
+      totalPrice: 1500,
+      paidAt: "2030-03-02T10:00:00.000Z",
+      createdAt: "2030-03-02T09:50:00.000Z",
+    });
+    await seedBooking(server.db, ticket, {
+      status: "cancelled",
+      seatNumbers: ["1C"],
+      createdAt: "2030-03-03T09:50:00.000Z",
+    });
+    await server.db.collection("payments").insertMany([
+      {
+        bookingId: booking._id,
+        userEmail: CUSTOMER,
+        transactionId: "pi_stats_1",
+        bookingReference: "=BK1",
+        amount: 1500,
+        refundedAmount: 500,
+        status: "partially_refunded",
+        paymentDate: "2030-03-02T10:00:00.000Z",
+      },
+      {
+        bookingId: booking._id,
+        userEmail: CUSTOMER,
+        transactionId: "pi_stats_old",
+        amount: 900,
+        status: "completed",
+        paymentDate: "2029-12-31T10:00:00.000Z",
+      },
+    ]);
+  }
+
+  it("is for admins only", async () => {
+    const res = await request(server.app).get("/admin/stats").set(auth(VENDOR));
+    assert.equal(res.status, 403);
+  });
+
+  it("reports KPIs for a date range", async () => {
+    await seedPlatform();
+    const res = await request(server.app)
+      .get("/admin/stats?startDate=2030-03-01&endDate=2030-03-31")
+      .set(auth(ADMIN));
+    assert.equal(res.status, 200);
+
+    const bdt = {
+      currency: "BDT",
+      payments: 1,
+      grossVolume: 1500,
+      refunded: 500,
+      netVolume: 1000,
+    };
+    assert.deepEqual(res.body.gmv.totalsByCurrency, [bdt]);
+    assert.deepEqual(res.body.gmv.totals, bdt);
+    assert.deepEqual(
+      res.body.bookingsByStatus.map((b) => [b.status, b.count]).sort(),
+      [
+        ["cancelled", 1],
+        ["paid", 1],
+      ]
+    );
+    assert.equal(res.body.topVendors[0].vendorEmail, VENDOR);
+    assert.equal(res.body.topVendors[0].ticketsSold, 2);
+    assert.equal(res.body.topRoutes[0].to, "Chattogram");
+    assert.equal(res.body.newUsers.total, 4);
+    assert.deepEqual(res.body.verificationBacklog, {
+      pending: 1,
+      oldestCreatedAt: "2030-02-20T08:00:00.000Z",
+    });
+    assert.deepEqual(res.body.fraudVendors, [
+      {
+        email: "fraud@example.com",
+        name: "Fraud",
+        role: "vendor",
+        totalTickets: 1,
+        hiddenTickets: 1,
+      },
+    ]);
+  });
+
+  it("exports the payments ledger as CSV", async () => {
+    await seedPlatform();
+    const res = await request(server.app)
+      .get(
+        "/admin/stats/export?report=payments&startDate=2030-03-01&endDate=2030-03-31"
+      )
+      .set(auth(ADMIN));
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    assert.match(
+      res.headers["content-disposition"],
+      /ticketbari-payments-2030-03-01_2030-03-31\.csv/
+    );
+
+    const lines = res.text.trim().split("\r\n");
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^Payment date,Transaction ID,/);
+    assert.match(lines[1], /pi_stats_1/);
+    assert.match(lines[1], /,'=BK1,/);
+  });
+
+  it("exports a dashboard report as CSV", async () => {
+    await seedPlatform();
+    const res = await request(server.app)
+      .get("/admin/stats/export?report=gmv&interval=month")
+      .set(auth(ADMIN));
+    assert.equal(
+      res.text,
+      "Period,Currency,Payments,Gross volume,Refunded,Net volume\r\n" +
+        "2029-12-01T00:00:00.000Z,BDT,1,900,0,900\r\n" +
+        "2030-03-01T00:00:00.000Z,BDT,1,1500,500,1000\r\n"
+    );
+  });
+
+  it("reports each currency separately", async () => {
+    await seedPlatform();
+    const ticket = await seedTicket(server.db, {
+      currency: "USD",
+      price: 2500,
+      to: "Sylhet",
+    });
+    const booking = await seedBooking(server.db, ticket, {
+      status: "paid",
+      totalPrice: 2500,
+      paidAt: "2030-03-04T10:00:00.000Z",
+      createdAt: "2030-03-04T09:50:00.000Z",
+    });
+    await server.db.collection("payments").insertOne({
+      bookingId: booking._id,
+      userEmail: CUSTOMER,
+      transactionId: "pi_stats_usd",
+      amount: 2500,
+      currency: "USD",
+      status: "completed",
+      paymentDate: "2030-03-04T10:00:00.000Z",
+    });
+
+    let res = await request(server.app)
+      .get("/admin/stats?startDate=2030-03-01&endDate=2030-03-31&limit=1")
+      .set(auth(ADMIN));
+    assert.deepEqual(
+      res.body.gmv.totalsByCurrency.map((t) => [t.currency, t.grossVolume]),
+      [
+        ["BDT", 1500],
+        ["USD", 2500],
+      ]
+    );
+    // totals stays the default currency's, as before currencies
+    assert.equal(res.body.gmv.totals.currency, "BDT");
+    assert.equal(res.body.gmv.totals.grossVolume, 1500);
+    // The top sellers of each currency, however small the limit
+    assert.deepEqual(
+      res.body.topRoutes.map((r) => [r.currency, r.to, r.grossRevenue]),
+      [
+        ["BDT", "Chattogram", 1500],
+        ["USD", "Sylhet", 2500],
+      ]
+    );
+
+    res = await request(server.app)
+      .get(
+        "/admin/stats/export?report=vendors&startDate=2030-03-01&endDate=2030-03-31"
+      )
+      .set(auth(ADMIN));
+    assert.equal(
+      res.text,
+      "Vendor,Currency,Paid bookings,Tickets sold,Gross revenue,Refunded,Net revenue\r\n" +
+        `${VENDOR},BDT,1,2,1500,0,1500\r\n` +
+        `${VENDOR},USD,1,1,2500,0,2500\r\n`
+    );
+  });
+
+  it("requires a known report", async () => {
+    const res = await request(server.app)
+      .get("/admin/stats/export?report=everything")
+      .set(auth(ADMIN));
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("vendor analytics", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  async function seedSales() {
+    const bus = await seedTicket(server.db, { departureDate: "2030-03-10" });
+    const train = await seedTicket(server.db, {
+      from: "Dhaka",
+      to: "Sylhet",
+      transportType: "train",
+      departureDate: "2030-03-20",
+    });
+
+    await seedBooking(server.db, bus, {
+      status: "paid",
+      quantity: 2,
+      seatNumbers: ["1A", "1B"],
+      totalPrice: 1500,
+      paidAt: "2030-03-01T10:00:00.000Z",
+      createdAt: "2030-03-01T09:50:00.000Z",
+    });
+    const refunded = await seedBooking(server.db, bus, {
+      status: "refunded",
+      quantity: 1,
+      seatNumbers: ["1C"],
+      totalPrice: 750,
+      paidAt: "2030-03-02T10:00:00.000Z",
+      createdAt: "2030-03-02T09:50:00.000Z",
+    });
+    await server.db.collection("refunds").insertOne({
+      stripeRefundId: "re_analytics",
+      bookingId: refunded._id,
+      ticketId: bus._id,
+      userEmail: CUSTOMER,
+      amount: 375,
+      createdAt: "2030-03-03T10:00:00.000Z",
+    });
+    await seedBooking(server.db, train, {
+      status: "paid",
+      quantity: 1,
+      totalPrice: 750,
+      paidAt: "2030-03-02T12:00:00.000Z",
+      createdAt: "2030-03-02T11:50:00.000Z",
+    });
+    await seedBooking(server.db, train, {
+      status: "expired",
+      seatNumbers: ["1B"],
+      createdAt: "2030-03-02T08:00:00.000Z",
+    });
+  }
+
+  it("is for vendors only", async () => {
+    const res = await request(server.app)
+      .get("/vendor/analytics")
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 403);
+  });
+
+  it("reports revenue per day, route and transport type", async () => {
+    await seedSales();
+    const res = await request(server.app)
+      .get("/vendor/analytics?startDate=2030-03-01&endDate=2030-03-31")
+      .set(auth(VENDOR));
+    assert.equal(res.status, 200);
+
+    const bdt = {
+      currency: "BDT",
+      grossRevenue: 3000,
+      totalRefunded: 375,
+      netRevenue: 2625,
+      ticketsSold: 3,
+      paidBookings: 3,
+    };
+    assert.deepEqual(res.body.totalsByCurrency, [bdt]);
+    assert.deepEqual(res.body.totals, bdt);
+    assert.deepEqual(
+      res.body.timeSeries.map((p) => [
+        p.period,
+        p.currency,
+        p.netRevenue,
+        p.ticketsSold,
+      ]),
+      [
+        ["2030-03-01T00:00:00.000Z", "BDT", 1500, 2],
+        ["2030-03-02T00:00:00.000Z", "BDT", 1125, 1],
+      ]
+    );
+
+    const dhakaSylhet = res.body.byRoute.find((r) => r.to === "Sylhet");
+    assert.equal(dhakaSylhet.grossRevenue, 750);
+    const train = res.body.byTransportType.find(
+      (t) => t.transportType === "train"
+    );
+    assert.equal(train.ticketsSold, 1);
+  });
+
+  it("keeps revenue in each currency apart", async () => {
+    await seedSales();
+    const ticket = await seedTicket(server.db, {
+      currency: "USD",
+      price: 2500,
+      departureDate: "2030-03-15",
+    });
+    await seedBooking(server.db, ticket, {
+      status: "paid",
+      totalPrice: 2500,
+      paidAt: "2030-03-02T15:00:00.000Z",
+      createdAt: "2030-03-02T14:50:00.000Z",
+    });
+
+    let res = await request(server.app)
+      .get("/vendor/analytics?interval=month")
+      .set(auth(VENDOR));
+    assert.deepEqual(
+      res.body.totalsByCurrency.map((t) => [t.currency, t.netRevenue]),
+      [
+        ["BDT", 2625],
+        ["USD", 2500],
+      ]
+    );
+    assert.equal(res.body.totals.currency, "BDT");
+    assert.equal(res.body.totals.netRevenue, 2625);
+    assert.deepEqual(
+      res.body.timeSeries.map((p) => [p.currency, p.grossRevenue]),
+      [
+        ["BDT", 3000],
+        ["USD", 2500],
+      ]
+    );
+    const chattogram = res.body.byRoute.filter((r) => r.to === "Chattogram");
+    assert.deepEqual(chattogram.map((r) => r.currency).sort(), ["BDT", "USD"]);
+
+    res = await request(server.app).get("/vendor/revenue").set(auth(VENDOR));
+    assert.deepEqual(
+      res.body.totalsByCurrency.map((t) => [t.currency, t.totalRevenue]),
+      [
+        ["BDT", 2625],
+        ["USD", 2500],
+      ]
+    );
+    assert.equal(res.body.currency, "BDT");
+    assert.equal(res.body.totalRevenue, 2625);
+    assert.equal(res.body.totalTicketsSold, 4);
+  });
+
+  it("reports cancellation rate and occupancy per departure", async () => {
+    await seedSales();
+    const res = await request(server.app)
+      .get("/vendor/analytics")
+      .set(auth(VENDOR));
+
+    assert.equal(res.body.cancellations.totalBookings, 4);
+    assert.equal(res.body.cancellations.cancelledBookings, 1);
+    assert.equal(res.body.cancellations.expiredBookings, 1);
+    assert.equal(res.body.cancellations.cancellationRate, 0.25);
+
+    assert.deepEqual(
+      res.body.occupancy.map((d) => [d.departureDate, d.seatsSold]),
+      [
+        ["2030-03-10", 2],
+        ["2030-03-20", 1],
+      ]
+    );
+    assert.equal(res.body.occupancy[0].occupancyRate, 0.25);
+  });
+
+  it("groups by month and filters by date range", async () => {
+    await seedSales();
+    const res = await request(server.app)
+      .get(
+        "/vendor/analytics?interval=month&startDate=2030-03-02&endDate=2030-03-02"
+      )
+      .set(auth(VENDOR));
+
+    assert.equal(res.body.timeSeries.length, 1);
+    assert.equal(res.body.timeSeries[0].period, "2030-03-01T00:00:00.000Z");
+    assert.equal(res.body.totals.paidBookings, 2);
+    assert.deepEqual(res.body.occupancy, []);
+  });
+
+  it("rejects unknown time zones", async () => {
+    const res = await request(server.app)
+      .get("/vendor/analytics?timezone=Mars/Base")
+      .set(auth(VENDOR));
+    assert.equal(res.status, 400);
+  });
+});
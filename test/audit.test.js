@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const { diffDocuments } = require("../src/services/audit");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("audit diffs", () => {
+  it("keeps only the fields that changed", () => {
+    assert.deepEqual(
+      diffDocuments(
+        { _id: 1, title: "Old", price: 500, seatLayout: { rows: 2 } },
+        { _id: 1, title: "New", price: 500, seatLayout: { rows: 2 }, x: 1 }
+      ),
+      { before: { title: "Old" }, after: { title: "New", x: 1 } }
+    );
+    assert.deepEqual(diffDocuments(null, { title: "Created" }), {
+      before: {},
+      after: { title: "Created" },
+    });
+  });
+});
+
+describe("audit log", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  const listAudit = (query) =>
+    request(server.app).get("/admin/audit").query(query).set(auth(ADMIN));
+
+  it("records who changed what on admin and vendor routes", async () => {
+    const ticket = await seedTicket(server.db, {
+      verificationStatus: "pending",
+    });
+    const id = ticket._id.toString();
+
+    await request(server.app)
+      .patch(`/tickets/${id}`)
+      .set(auth(VENDOR))
+      .set("User-Agent", "vendor-app")
+      .send({ title: "Dhaka to Chattogram Night Coach" });
+    await request(server.app)
+      .patch(`/admin/tickets/${id}/verify`)
+      .set(auth(ADMIN))
+      .send({ verificationStatus: "approved" });
+    await request(server.app)
+      .patch(`/admin/users/${CUSTOMER}/role`)
+      .set(auth(ADMIN))
+      .send({ role: "vendor" });
+
+    const res = await listAudit({});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    const [role, verify, update] = res.body.entries;
+
+    assert.equal(update.actor, VENDOR);
+    assert.equal(update.actorRole, "vendor");
+    assert.equal(update.action, "ticket.update");
+    assert.deepEqual(update.target, { type: "ticket", id });
+    assert.deepEqual(update.before, { title: "Dhaka to Chattogram Express" });
+    assert.deepEqual(update.after, {
+      title: "Dhaka to Chattogram Night Coach",
+    });
+    assert.equal(update.userAgent, "vendor-app");
+    assert.ok(update.ip);
+    assert.ok(update.createdAt);
+
+    assert.equal(verify.after.verificationStatus, "approved");
+    assert.equal(verify.after.review.reviewedBy, ADMIN);
+    assert.deepEqual(role.target, { type: "user", id: CUSTOMER });
+    assert.deepEqual(role.before, { role: "customer" });
+  });
+
+  it("records the role on routes open to every signed-in user", async () => {
+    const ticket = await seedTicket(server.db);
+    const booking = await seedBooking(server.db, ticket, {
+      status: "pending",
+    });
+
+    const res = await request(server.app)
+      .patch(`/bookings/${booking._id}/status`)
+      .set(auth(VENDOR))
+      .send({ status: "rejected", note: "Bus is under maintenance" });
+    assert.equal(res.status, 200);
+
+    const [entry] = (await listAudit({ action: "booking.rejected" })).body
+      .entries;
+    assert.equal(entry.actor, VENDOR);
+    assert.equal(entry.actorRole, "vendor");
+  });
+
+  it("records customers' bookings and cancellations", async () => {
+    const ticket = await seedTicket(server.db);
+    let res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    assert.equal(res.status, 201);
+    const id = res.body.insertedId;
+    res = await request(server.app)
+      .delete(`/bookings/${id}`)
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 200);
+
+    res = await listAudit({ actor: CUSTOMER });
+    const [cancel, create] = res.body.entries;
+    assert.equal(create.action, "booking.create");
+    assert.equal(create.actorRole, "customer");
+    assert.deepEqual(create.target, { type: "booking", id });
+    assert.equal(create.after.status, "pending");
+    assert.equal(cancel.action, "booking.cancelled");
+    assert.deepEqual(cancel.before, { status: "pending" });
+    assert.equal(cancel.after.status, "cancelled");
+  });
+
+  it("filters by actor, target and day", async () => {
+    const ticket = await seedTicket(server.db);
+    const id = ticket._id.toString();
+    await request(server.app)
+      .patch(`/admin/tickets/advertise/${id}`)
+      .set(auth(ADMIN));
+    await request(server.app)
+      .patch(`/tickets/${id}`)
+      .set(auth(VENDOR))
+      .send({ quantity: 6 });
+    await request(server.app).delete(`/tickets/${id}`).set(auth(VENDOR));
+    await server.db.collection("auditLog").insertOne({
+      actor: ADMIN,
+      action: "user.fraud",
+      target: { type: "user", id: VENDOR },
+      before: {},
+      after: { isFraud: true },
+      createdAt: "2024-01-10T12:00:00.000Z",
+    });
+
+    let res = await listAudit({ actor: VENDOR });
+    assert.deepEqual(
+      res.body.entries.map((e) => e.action),
+      ["ticket.delete", "ticket.update"]
+    );
+
+    res = await listAudit({ targetType: "ticket", targetId: id });
+    assert.equal(res.body.total, 3);
+
+    res = await listAudit({ startDate: "2024-01-10", endDate: "2024-01-10" });
+    assert.deepEqual(
+      res.body.entries.map((e) => e.action),
+      ["user.fraud"]
+    );
+
+    res = await listAudit({ startDate: "2024-02-01", endDate: "2024-01-01" });
+    assert.equal(res.status, 400);
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(server.app).get("/admin/audit").set(auth(VENDOR));
+    assert.equal(res.status, 403);
+  });
+});
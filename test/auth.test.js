@@ -0,0 +1,79 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+describe("auth middleware", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  it("rejects requests without a bearer token", async () => {
+    const res = await request(server.app).get("/user/profile");
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects tokens the verifier refuses", async () => {
+    const res = await request(server.app)
+      .get("/user/profile")
+      .set(auth("not-an-email"));
+    assert.equal(res.status, 401);
+  });
+
+  describe("verifyADMIN", () => {
+    it("blocks customers and vendors", async () => {
+      for (const email of [CUSTOMER, VENDOR]) {
+        const res = await request(server.app)
+          .get("/admin/users")
+          .set(auth(email));
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, "Admin only Actions!");
+      }
+    });
+
+    it("lets admins through", async () => {
+      const res = await request(server.app)
+        .get("/admin/users")
+        .set(auth(ADMIN));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 3);
+    });
+  });
+
+  describe("verifyVENDOR", () => {
+    it("blocks customers from creating tickets", async () => {
+      const res = await request(server.app)
+        .post("/tickets")
+        .set(auth(CUSTOMER))
+        .send({});
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, "Vendor only Actions!");
+    });
+
+    it("blocks vendors from editing another vendor's ticket", async () => {
+      const ticket = await seedTicket(server.db, {
+        vendorEmail: "other@example.com",
+      });
+      const res = await request(server.app)
+        .patch(`/tickets/${ticket._id}`)
+        .set(auth(VENDOR))
+        .send({ price: 10 });
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+const OTHER_CUSTOMER = "other@example.com";
+
+describe("booking routes", () => {
+  let server;
+  let ticket;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+    ticket = await seedTicket(server.db);
+  });
+
+  const findTicket = () =>
+    server.db.collection("tickets").findOne({ _id: ticket._id });
+  const book = (email, body) =>
+    request(server.app)
+      .post("/bookings")
+      .set(auth(email))
+      .send({ ticketId: ticket._id.toString(), ...body });
+
+  it("books the requested seats and takes stock", async () => {
+    const res = await book(CUSTOMER, {
+      quantity: 2,
+      seatNumbers: ["1a", "1B"],
+    });
+    assert.equal(res.status, 201);
+
+    const booking = await server.db.collection("bookings").findOne({});
+    assert.deepEqual(booking.seatNumbers, ["1A", "1B"]);
+    assert.equal(booking.totalPrice, 1500);
+    assert.equal(booking.status, "pending");
+    assert.equal(booking.statusHistory.length, 1);
+    assert.equal((await findTicket()).quantity, 6);
+  });
+
+  it("assigns free seats when none are chosen", async () => {
+    await seedBooking(server.db, ticket, { seatNumbers: ["1A"] });
+    const res = await book(CUSTOMER, { quantity: 2 });
+    assert.equal(res.status, 201);
+
+    const booking = await server.db
+      .collection("bookings")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.deepEqual(booking.seatNumbers, ["1B", "1C"]);
+  });
+
+  it("rejects invalid quantities", async () => {
+    for (const quantity of [0, -1, "two", 1.5]) {
+      const res = await book(CUSTOMER, { quantity });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, "body.quantity");
+    }
+  });
+
+  it("requires one seat per passenger", async () => {
+    const res = await book(CUSTOMER, { quantity: 2, seatNumbers: ["1A"] });
+    assert.equal(res.status, 400);
+  });
+
+  it("rejects seats that are not on the layout", async () => {
+    const res = await book(CUSTOMER, { quantity: 1, seatNumbers: ["9Z"] });
+    assert.equal(res.status, 400);
+  });
+
+  describe("seat conflicts", () => {
+    it("refuses a seat held by another booking", async () => {
+      await seedBooking(server.db, ticket, {
+        seatNumbers: ["2A"],
+        status: "pending",
+      });
+      const res = await book(OTHER_CUSTOMER, {
+        quantity: 1,
+        seatNumbers: ["2A"],
+      });
+      assert.equal(res.status, 409);
+    });
+
+    it("lets only one of two simultaneous requests win a seat", async () => {
+      const results = await Promise.all([
+        book(CUSTOMER, { quantity: 1, seatNumbers: ["2B"] }),
+        book(OTHER_CUSTOMER, { quantity: 1, seatNumbers: ["2B"] }),
+      ]);
+      assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+      assert.equal((await findTicket()).quantity, 7);
+    });
+
+    it("frees the seats of an expired hold", async () => {
+      await seedBooking(server.db, ticket, {
+        seatNumbers: ["2C"],
+        status: "pending",
+        holdExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+      const res = await book(OTHER_CUSTOMER, {
+        quantity: 1,
+        seatNumbers: ["2C"],
+      });
+      assert.equal(res.status, 201);
+    });
+  });
+
+  describe("passengers", () => {
+    const ADULT = { name: "Rahim Uddin", age: 34, idNumber: "1990123456" };
+    const CHILD = { name: "Nadia Uddin", age: 7, gender: "female" };
+
+    it("seats each passenger and lists them on the manifest", async () => {
+      await seedBooking(server.db, ticket, {
+        seatNumbers: ["1A"],
+        status: "paid",
+      });
+      let res = await book(CUSTOMER, {
+        quantity: 2,
+        passengers: [
+          { ...CHILD, seatNumber: "2a" },
+          { ...ADULT, seatNumber: "1B" },
+        ],
+      });
+      assert.equal(res.status, 201);
+
+      const booking = await server.db
+        .collection("bookings")
+        .findOne({ _id: new ObjectId(res.body.insertedId) });
+      assert.deepEqual(booking.seatNumbers, ["2A", "1B"]);
+      assert.equal(booking.passengers[0].name, "Nadia Uddin");
+      assert.equal(booking.passengers[1].seatNumber, "1B");
+
+      res = await request(server.app)
+        .get(`/vendor/tickets/${ticket._id}/manifest`)
+        .set(auth(VENDOR));
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.passengers.map((p) => [p.seatNumber, p.name]),
+        [
+          ["1A", null],
+          ["1B", "Rahim Uddin"],
+          ["2A", "Nadia Uddin"],
+        ]
+      );
+
+      res = await request(server.app)
+        .get(`/vendor/tickets/${ticket._id}/manifest?format=csv`)
+        .set(auth(VENDOR));
+      assert.match(res.headers["content-type"], /text\/csv/);
+      assert.match(res.text, /\r\n1B,Rahim Uddin,34,,1990123456,/);
+
+      res = await request(server.app)
+        .get(`/vendor/tickets/${ticket._id}/manifest`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.status, 403);
+    });
+
+    it("fills chosen or free seats in passenger order", async () => {
+      const res = await book(CUSTOMER, {
+        quantity: 2,
+        seatNumbers: ["2C", "2D"],
+        passengers: [ADULT, CHILD],
+      });
+      assert.equal(res.status, 201);
+
+      const booking = await server.db.collection("bookings").findOne({});
+      assert.deepEqual(
+        booking.passengers.map((p) => [p.seatNumber, p.name]),
+        [
+          ["2C", "Rahim Uddin"],
+          ["2D", "Nadia Uddin"],
+        ]
+      );
+    });
+
+    it("rejects passenger lists that don't fit the booking", async () => {
+      for (const body of [
+        { quantity: 2, passengers: [ADULT] },
+        {
+          quantity: 2,
+          passengers: [{ ...ADULT, seatNumber: "1A" }, CHILD],
+        },
+        {
+          quantity: 1,
+          seatNumbers: ["1A"],
+          passengers: [{ ...ADULT, seatNumber: "1B" }],
+        },
+        { quantity: 1, passengers: [{ name: "No Age" }] },
+      ]) {
+        const res = await book(CUSTOMER, body);
+        assert.equal(res.status, 400);
+      }
+      assert.equal(await server.db.collection("bookings").countDocuments(), 0);
+    });
+  });
+
+  it("answers 409 when the ticket is sold out", async () => {
+    await server.db
+      .collection("tickets")
+      .updateOne({ _id: ticket._id }, { $set: { quantity: 1 } });
+    const res = await book(CUSTOMER, { quantity: 2 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Sold out");
+    assert.equal((await findTicket()).quantity, 1);
+  });
+
+  it("GET /user/bookings lists the caller's bookings", async () => {
+    await seedBooking(server.db, ticket);
+    await seedBooking(server.db, ticket, {
+      userEmail: OTHER_CUSTOMER,
+      seatNumbers: ["1B"],
+    });
+    const res = await request(server.app)
+      .get("/user/bookings")
+      .set(auth(CUSTOMER));
+    assert.equal(res.body.length, 1);
+  });
+
+  it("GET /bookings/:id/hold reports the time left", async () => {
+    const booking = await seedBooking(server.db, ticket);
+    const res = await request(server.app)
+      .get(`/bookings/${booking._id}/hold`)
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.expired, false);
+    assert.ok(res.body.remainingSeconds > 0);
+  });
+
+  it("holds seats for the vendor's answer, then for payment", async () => {
+    const minutesLeft = (booking) =>
+      (new Date(booking.holdExpiresAt) - Date.now()) / 60000;
+    const res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    assert.equal(res.status, 201);
+    const bookings = server.db.collection("bookings");
+    const booking = await bookings.findOne({
+      _id: new ObjectId(res.body.insertedId),
+    });
+    assert.ok(minutesLeft(booking) > 23 * 60);
+
+    await request(server.app)
+      .patch(`/bookings/${booking._id}/status`)
+      .set(auth(VENDOR))
+      .send({ status: "accepted" });
+    const accepted = await bookings.findOne({ _id: booking._id });
+    assert.ok(minutesLeft(accepted) <= 15);
+    assert.ok(minutesLeft(accepted) > 14);
+  });
+
+  it("expires lapsed holds and returns their stock", async () => {
+    const booking = await seedBooking(server.db, ticket, {
+      status: "pending",
+      holdExpiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    await server.expireStaleHolds();
+
+    const stored = await server.db
+      .collection("bookings")
+      .findOne({ _id: booking._id });
+    assert.equal(stored.status, "expired");
+    assert.equal((await findTicket()).quantity, 9);
+  });
+
+  describe("status changes", () => {
+    const setStatus = (booking, email, status) =>
+      request(server.app)
+        .patch(`/bookings/${booking._id}/status`)
+        .set(auth(email))
+        .send({ status });
+
+    it("lets the ticket's vendor accept and records history", async () => {
+      const booking = await seedBooking(server.db, ticket, {
+        status: "pending",
+      });
+      const res = await setStatus(booking, VENDOR, "accepted");
+      assert.equal(res.status, 200);
+
+      const stored = await server.db
+        .collection("bookings")
+        .findOne({ _id: booking._id });
+      assert.equal(stored.status, "accepted");
+      assert.equal(stored.statusHistory.at(-1).actor, "vendor");
+    });
+
+    it("does not let customers accept their own booking", async () => {
+      const booking = await seedBooking(server.db, ticket, {
+        status: "pending",
+      });
+      const res = await setStatus(booking, CUSTOMER, "accepted");
+      assert.equal(res.status, 403);
+    });
+
+    it("does not allow marking paid through the status route", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const res = await setStatus(booking, VENDOR, "paid");
+      assert.equal(res.status, 400);
+    });
+
+    it("returns stock when the vendor rejects", async () => {
+      const booking = await seedBooking(server.db, ticket, {
+        status: "pending",
+      });
+      const res = await setStatus(booking, VENDOR, "rejected");
+      assert.equal(res.status, 200);
+      assert.equal((await findTicket()).quantity, 9);
+    });
+  });
+});
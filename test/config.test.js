@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigError, loadConfig } = require("../src/config");
+
+const serviceKey = Buffer.from(
+  JSON.stringify({ project_id: "ticketbari-test" })
+).toString("base64");
+
+const baseEnv = {
+  MONGODB_URI: "mongodb://localhost",
+  FB_SERVICE_KEY: serviceKey,
+  TICKET_SIGNING_SECRET: "ticket-secret",
+};
+
+describe("loadConfig", () => {
+  it("fails fast when required variables are missing", () => {
+    for (const name of Object.keys(baseEnv)) {
+      assert.throws(
+        () => loadConfig({ ...baseEnv, [name]: undefined }),
+        (error) => error instanceof ConfigError && error.message.includes(name)
+      );
+    }
+  });
+
+  it("rejects a service key that is not base64 encoded JSON", () => {
+    assert.throws(
+      () => loadConfig({ ...baseEnv, FB_SERVICE_KEY: "not-a-key" }),
+      ConfigError
+    );
+  });
+
+  it("decodes the service key and applies defaults", () => {
+    const config = loadConfig(baseEnv);
+    assert.deepEqual(config.serviceAccount, { project_id: "ticketbari-test" });
+    assert.equal(config.port, 3000);
+    assert.equal(config.seatHoldMinutes, 15);
+    assert.equal(config.vendorAcceptanceMinutes, 1440);
+    assert.equal(config.dbName, "ticketbariDB");
+  });
+
+  it("rejects a non-positive seat hold", () => {
+    assert.throws(
+      () => loadConfig({ ...baseEnv, SEAT_HOLD_MINUTES: "0" }),
+      ConfigError
+    );
+  });
+
+  it("rejects a non-positive vendor acceptance window", () => {
+    assert.throws(
+      () => loadConfig({ ...baseEnv, VENDOR_ACCEPTANCE_MINUTES: "-5" }),
+      ConfigError
+    );
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatCell, csvLine } = require("../src/csv");
+
+describe("csv", () => {
+  it("quotes cells with separators, quotes and line breaks", () => {
+    assert.equal(formatCell("Dhaka, BD"), '"Dhaka, BD"');
+    assert.equal(formatCell('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCell("two\nlines"), '"two\nlines"');
+  });
+
+  it("neutralises cells a spreadsheet would run as formulas", () => {
+    assert.equal(formatCell("=SUM(A1:A9)"), "'=SUM(A1:A9)");
+    assert.equal(formatCell("@cmd"), "'@cmd");
+    assert.equal(formatCell(-25), "-25");
+  });
+
+  it("writes dates as ISO strings and leaves missing values empty", () => {
+    const date = new Date("2030-03-01T00:00:00.000Z");
+    assert.equal(
+      csvLine([date, null, undefined, 1500]),
+      "2030-03-01T00:00:00.000Z,,,1500\r\n"
+    );
+  });
+});
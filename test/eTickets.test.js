@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer, TICKET_SECRET } = require("./support/server");
+const {
+  signTicketToken,
+  verifyTicketToken,
+} = require("../src/services/eTickets");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("e-ticket tokens", () => {
+  const booking = { _id: new ObjectId(), bookingReference: "BK123" };
+
+  it("round-trips a signed booking", () => {
+    const token = signTicketToken(booking, "secret");
+    assert.deepEqual(verifyTicketToken(token, "secret"), {
+      bookingId: booking._id.toString(),
+      bookingReference: "BK123",
+    });
+  });
+
+  it("rejects tampered or foreign tokens", () => {
+    const token = signTicketToken(booking, "secret");
+    const [, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ v: 1, b: new ObjectId().toString(), r: "BK123" })
+    ).toString("base64url");
+
+    assert.equal(verifyTicketToken(`${forged}.${signature}`, "secret"), null);
+    assert.equal(verifyTicketToken(token, "other-secret"), null);
+    assert.equal(verifyTicketToken("garbage", "secret"), null);
+  });
+});
+
+describe("e-tickets and check-in", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  async function seedPaidBooking(overrides = {}) {
+    const ticket = await seedTicket(server.db);
+    const booking = await seedBooking(server.db, ticket, {
+      status: "paid",
+      paidAt: new Date().toISOString(),
+      ...overrides,
+    });
+    return { ticket, booking };
+  }
+
+  it("renders a PDF e-ticket for a paid booking", async () => {
+    const { booking } = await seedPaidBooking();
+    const res = await request(server.app)
+      .get(`/bookings/${booking._id}/ticket.pdf`)
+      .set(auth(CUSTOMER))
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "application/pdf");
+    assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("only issues e-tickets to the owner of a paid booking", async () => {
+    const { ticket, booking } = await seedPaidBooking();
+    let res = await request(server.app)
+      .get(`/bookings/${booking._id}/ticket.pdf`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 403);
+
+    const unpaid = await seedBooking(server.db, ticket, {
+      seatNumbers: ["2A"],
+    });
+    res = await request(server.app)
+      .get(`/bookings/${unpaid._id}/ticket.pdf`)
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 400);
+  });
+
+  it("boards a passenger exactly once", async () => {
+    const { booking } = await seedPaidBooking();
+    const token = signTicketToken(booking, TICKET_SECRET);
+
+    let res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth(VENDOR))
+      .send({ token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.booking.boardedAt);
+
+    res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth(VENDOR))
+      .send({ token });
+    assert.equal(res.status, 409);
+
+    // A boarded passenger can no longer cancel for a refund
+    res = await request(server.app)
+      .delete(`/bookings/${booking._id}`)
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 400);
+  });
+
+  it("boards a passenger scanned after the trip was completed", async () => {
+    const { booking } = await seedPaidBooking({
+      status: "completed",
+      completedAt: new Date().toISOString(),
+    });
+
+    const res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth(VENDOR))
+      .send({ token: signTicketToken(booking, TICKET_SECRET) });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.booking.boardedAt);
+  });
+
+  it("refuses tokens for another vendor's ticket", async () => {
+    await server.db
+      .collection("users")
+      .insertOne({ email: "other@example.com", role: "vendor" });
+    const { booking } = await seedPaidBooking();
+
+    const res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth("other@example.com"))
+      .send({ token: signTicketToken(booking, TICKET_SECRET) });
+    assert.equal(res.status, 403);
+  });
+
+  it("refuses forged and unpaid tickets", async () => {
+    const { ticket, booking } = await seedPaidBooking();
+    let res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth(VENDOR))
+      .send({ token: signTicketToken(booking, "not-the-server-secret") });
+    assert.equal(res.status, 400);
+
+    const cancelled = await seedBooking(server.db, ticket, {
+      status: "cancelled",
+      seatNumbers: ["2A"],
+    });
+    res = await request(server.app)
+      .post("/vendor/checkin")
+      .set(auth(VENDOR))
+      .send({ token: signTicketToken(cancelled, TICKET_SECRET) });
+    assert.equal(res.status, 400);
+  });
+});
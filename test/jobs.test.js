@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer, CRON_SECRET } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  auth,
+  departingIn,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("scheduled jobs", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  // Make every job due again
+  const makeJobsDue = () =>
+    server.db
+      .collection("jobs")
+      .updateMany({}, { $set: { nextRunAt: new Date(0).toISOString() } });
+
+  it("runs each due job once across concurrent runners", async () => {
+    const [first, second] = await Promise.all([
+      server.runDueJobs(),
+      server.runDueJobs(),
+    ]);
+    assert.equal(first.length + second.length, 8);
+    assert.ok([...first, ...second].every((r) => r.status === "succeeded"));
+
+    // Nothing is due until the intervals pass
+    assert.deepEqual(await server.runDueJobs(), []);
+    assert.equal(await server.db.collection("jobRuns").countDocuments(), 8);
+  });
+
+  it("sends each departure reminder once", async () => {
+    const tomorrow = await seedTicket(server.db, departingIn(20));
+    const soon = await seedTicket(server.db, departingIn(1));
+    await seedBooking(server.db, tomorrow, { status: "paid" });
+    await seedBooking(server.db, soon, { status: "paid" });
+
+    await server.runDueJobs();
+    await makeJobsDue();
+    await server.runDueJobs();
+
+    const reminders = await server.db
+      .collection("notifications")
+      .find({ type: "booking.reminder" })
+      .toArray();
+    assert.deepEqual(reminders.map((n) => n.subject.split(":")[0]).sort(), [
+      "Your trip leaves in 2 hours",
+      "Your trip leaves in 24 hours",
+    ]);
+  });
+
+  it("completes departed bookings and hides unavailable tickets", async () => {
+    const departed = await seedTicket(server.db, departingIn(-1));
+    const booking = await seedBooking(server.db, departed, {
+      status: "paid",
+    });
+    const soldOut = await seedTicket(server.db, { quantity: 0 });
+    await seedTicket(server.db);
+
+    await server.runDueJobs();
+
+    const updated = await server.db
+      .collection("bookings")
+      .findOne({ _id: booking._id });
+    assert.equal(updated.status, "completed");
+    assert.equal(updated.statusHistory.at(-1).actor, "system");
+
+    let res = await request(server.app).get("/tickets/all");
+    assert.equal(res.body.total, 1);
+
+    // A sold out ticket is listed again once seats come back
+    await server.db
+      .collection("tickets")
+      .updateOne({ _id: soldOut._id }, { $set: { quantity: 2 } });
+    await makeJobsDue();
+    await server.runDueJobs();
+    res = await request(server.app).get("/tickets/all");
+    assert.equal(res.body.total, 2);
+  });
+
+  it("shows admins the jobs and their runs", async () => {
+    await server.runDueJobs();
+
+    let res = await request(server.app).get("/admin/jobs").set(auth(VENDOR));
+    assert.equal(res.status, 403);
+
+    res = await request(server.app).get("/admin/jobs").set(auth(ADMIN));
+    assert.equal(res.status, 200);
+    const holds = res.body.find((j) => j.name === "expire-holds");
+    assert.equal(holds.lastStatus, "succeeded");
+    assert.equal(holds.running, false);
+
+    res = await request(server.app)
+      .get("/admin/jobs/runs?job=expire-holds")
+      .set(auth(ADMIN));
+    assert.equal(res.body.total, 1);
+    assert.deepEqual(res.body.runs[0].result, { expired: 0 });
+  });
+
+  it("runs jobs from the cron route with the cron secret", async () => {
+    let res = await request(server.app).get("/cron/jobs");
+    assert.equal(res.status, 401);
+
+    res = await request(server.app)
+      .get("/cron/jobs")
+      .set("Authorization", `Bearer ${CRON_SECRET}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.runs.length, 8);
+    assert.ok(res.body.runs.every((r) => r.status === "succeeded"));
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const sharp = require("sharp");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+function makeImage(width = 800, height = 600) {
+  return sharp({
+    create: { width, height, channels: 3, background: "#1e88e5" },
+  })
+    .png()
+    .toBuffer();
+}
+
+// Path and query of a media link, for requesting it from the test app
+function mediaPath(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+describe("media uploads", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  async function uploadAvatar(image) {
+    return request(server.app)
+      .put("/user/profile")
+      .set(auth(CUSTOMER))
+      .field("name", "Customer")
+      .attach("image", image, "avatar.png");
+  }
+
+  it("stores an uploaded avatar with a thumbnail and serves both", async () => {
+    const res = await uploadAvatar(await makeImage());
+    assert.equal(res.status, 200);
+    assert.ok(res.body.imageMediaId);
+
+    const full = await request(server.app).get(mediaPath(res.body.image));
+    assert.equal(full.status, 200);
+    assert.equal(full.headers["content-type"], "image/webp");
+    const fullSize = await sharp(full.body).metadata();
+    assert.deepEqual([fullSize.width, fullSize.height], [512, 512]);
+
+    const thumb = await request(server.app).get(
+      mediaPath(res.body.imageThumbnail)
+    );
+    assert.equal(thumb.status, 200);
+    const thumbSize = await sharp(thumb.body).metadata();
+    assert.deepEqual([thumbSize.width, thumbSize.height], [128, 128]);
+  });
+
+  it("removes the old avatar when it is replaced", async () => {
+    const first = await uploadAvatar(await makeImage());
+    const second = await uploadAvatar(await makeImage(300, 300));
+    assert.equal(second.status, 200);
+    assert.notEqual(second.body.imageMediaId, first.body.imageMediaId);
+
+    const old = await request(server.app).get(mediaPath(first.body.image));
+    assert.equal(old.status, 404);
+    assert.equal(
+      await server.db
+        .collection("media")
+        .countDocuments({ _id: new ObjectId(first.body.imageMediaId) }),
+      0
+    );
+    assert.equal(await server.db.collection("media.files").countDocuments(), 2);
+  });
+
+  it("rejects files that are not readable images", async () => {
+    const res = await request(server.app)
+      .put("/user/profile")
+      .set(auth(CUSTOMER))
+      .field("name", "Customer")
+      .attach("image", Buffer.from("not an image"), {
+        filename: "fake.png",
+        contentType: "image/png",
+      });
+    assert.equal(res.status, 400);
+    assert.equal(await server.db.collection("media").countDocuments(), 0);
+  });
+
+  it("returns 404 for unknown media", async () => {
+    const res = await request(server.app).get(`/media/${new ObjectId()}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("reads seat layouts and other structured fields sent as JSON in a form", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .field("title", "Dhaka to Sylhet")
+      .field("from", "Dhaka")
+      .field("to", "Sylhet")
+      .field("transportType", "bus")
+      .field("price", "600")
+      .field("quantity", "10")
+      .field("departureDate", "2030-01-15")
+      .field("departureTime", "8:00 AM")
+      .field("seatLayout", JSON.stringify({ rows: 3, columns: 4 }))
+      .field(
+        "cancellationPolicy",
+        JSON.stringify({ rules: [{ hoursBefore: 24, refundPercent: 100 }] })
+      )
+      .field("perks", JSON.stringify(["AC", "WiFi"]))
+      .attach("image", await makeImage(), "cover.png");
+    assert.equal(res.status, 200);
+
+    const ticket = await server.db
+      .collection("tickets")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(ticket.seatLayout.rows, 3);
+    assert.equal(ticket.totalSeats, 12);
+    assert.equal(ticket.quantity, 10);
+    assert.deepEqual(ticket.perks, ["AC", "WiFi"]);
+
+    const bad = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .field("title", "Dhaka to Sylhet")
+      .field("seatLayout", "3 rows of 4");
+    assert.equal(bad.status, 400);
+    assert.ok(bad.body.errors.some((e) => e.field === "body.seatLayout"));
+
+    // A JSON body has to send the real object
+    const text = await request(server.app)
+      .patch(`/tickets/${res.body.insertedId}`)
+      .set(auth(VENDOR))
+      .send({ perks: JSON.stringify(["AC"]) });
+    assert.equal(text.status, 400);
+    assert.ok(text.body.errors.some((e) => e.field === "body.perks"));
+  });
+
+  it("runs ticket covers through the same pipeline", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .field("title", "Dhaka to Sylhet")
+      .field("from", "Dhaka")
+      .field("to", "Sylhet")
+      .field("transportType", "bus")
+      .field("price", "600")
+      .field("quantity", "20")
+      .field("departureDate", "2030-01-15")
+      .field("departureTime", "8:00 AM")
+      .attach("image", await makeImage(1200, 800), "cover.png");
+    assert.equal(res.status, 200);
+
+    const ticket = await server.db
+      .collection("tickets")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(ticket.price, 600);
+    const cover = await request(server.app).get(mediaPath(ticket.image));
+    assert.equal(cover.status, 200);
+
+    await request(server.app)
+      .delete(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR))
+      .expect(200);
+    assert.equal(await server.db.collection("media").countDocuments(), 0);
+  });
+
+  it("keeps a ticket's cover when an edit resends the same URL", async () => {
+    const ticket = await seedTicket(server.db);
+    const upload = await request(server.app)
+      .patch(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR))
+      .attach("image", await makeImage(), "cover.png");
+    assert.equal(upload.status, 200);
+    const { image, imageMediaId } = await server.db
+      .collection("tickets")
+      .findOne({ _id: ticket._id });
+
+    await request(server.app)
+      .patch(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR))
+      .send({ title: "Renamed", image })
+      .expect(200);
+    const updated = await server.db
+      .collection("tickets")
+      .findOne({ _id: ticket._id });
+    assert.deepEqual(updated.imageMediaId, imageMediaId);
+  });
+});
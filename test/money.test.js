@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const { formatMoney, withDisplayAmounts } = require("../src/money");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  futureDate,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+describe("money", () => {
+  it("formats minor units in their currency", () => {
+    assert.equal(formatMoney(150050), "৳1,500.50");
+    assert.equal(formatMoney(999, "USD"), "$9.99");
+    assert.equal(formatMoney(150050, "BDT", "code"), "BDT 1,500.50");
+    assert.equal(formatMoney(undefined), null);
+  });
+
+  it("adds display strings without touching the amounts", () => {
+    const booking = withDisplayAmounts(
+      { currency: "EUR", totalPrice: 2500, refundAmount: 0 },
+      ["totalPrice", "refundAmount", "unitPrice"]
+    );
+    assert.equal(booking.totalPrice, 2500);
+    assert.deepEqual(booking.display, {
+      totalPrice: "€25.00",
+      refundAmount: "€0.00",
+    });
+  });
+});
+
+describe("currencies", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  it("sells tickets in taka unless another currency is given", async () => {
+    const ticket = {
+      title: "Dhaka to Sylhet Day Coach",
+      from: "Dhaka",
+      to: "Sylhet",
+      transportType: "bus",
+      price: 65050,
+      quantity: 30,
+      departureDate: futureDate(),
+      departureTime: "8:00 AM",
+    };
+    let res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send(ticket);
+    assert.equal(res.status, 200);
+    res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({ ...ticket, price: 650.5 });
+    assert.equal(res.status, 400);
+
+    const saved = await server.db.collection("tickets").findOne({});
+    assert.equal(saved.currency, "BDT");
+    res = await request(server.app).get(`/tickets/${saved._id}`);
+    assert.equal(res.body.display.price, "৳650.50");
+  });
+
+  it("charges payment intents in the booking's currency", async () => {
+    const ticket = await seedTicket(server.db, {
+      currency: "USD",
+      price: 4999,
+    });
+    let res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    const bookingId = res.body.insertedId;
+    await server.db
+      .collection("bookings")
+      .updateOne({}, { $set: { status: "accepted" } });
+
+    res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId });
+    assert.equal(res.status, 200);
+    const [intent] = server.stripe.intents.values();
+    assert.equal(intent.amount, 4999);
+    assert.equal(intent.currency, "usd");
+  });
+
+  it("migrates float prices to minor units once", async () => {
+    // Written before the validator asked for whole minor units
+    const legacy = { bypassDocumentValidation: true };
+    const { insertedId } = await server.db.collection("tickets").insertOne(
+      {
+        title: "Legacy",
+        from: "Dhaka",
+        to: "Barishal",
+        price: 750.5,
+        quantity: 10,
+        vendorEmail: VENDOR,
+        fareRules: { fareClasses: [{ name: "AC", price: 1200 }] },
+      },
+      legacy
+    );
+    await server.db.collection("bookings").insertOne(
+      {
+        ticketId: insertedId,
+        userEmail: CUSTOMER,
+        quantity: 2,
+        status: "refunded",
+        totalPrice: 1501,
+        refundAmount: 750.5,
+      },
+      legacy
+    );
+    await server.setupDatabase();
+    await server.setupDatabase();
+
+    const ticket = await server.db
+      .collection("tickets")
+      .findOne({ _id: insertedId });
+    assert.equal(ticket.price, 75050);
+    assert.equal(ticket.currency, "BDT");
+    assert.equal(ticket.fareRules.fareClasses[0].price, 120000);
+
+    const booking = await server.db
+      .collection("bookings")
+      .findOne({ ticketId: insertedId });
+    assert.equal(booking.totalPrice, 150100);
+    assert.equal(booking.refundAmount, 75050);
+    assert.equal(booking.unitPrice, undefined);
+    assert.equal(booking.pricing, undefined);
+
+    // Later boots don't look for unconverted documents again
+    const migration = await server.db
+      .collection("migrations")
+      .findOne({ _id: "money-minor-units" });
+    assert.ok(migration.finishedAt);
+    const later = await server.db
+      .collection("tickets")
+      .insertOne({ title: "Later", price: 500, vendorEmail: VENDOR }, legacy);
+    await server.setupDatabase();
+    const untouched = await server.db
+      .collection("tickets")
+      .findOne({ _id: later.insertedId });
+    assert.equal(untouched.price, 500);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const { renderMessage } = require("../src/mail/templates");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+describe("email templates", () => {
+  it("escapes user supplied text in the HTML part", () => {
+    const message = renderMessage(
+      "ticket.rejected",
+      { ticket: { title: "<b>Night</b> coach", from: "Dhaka", to: "Sylhet" } },
+      "Vendor"
+    );
+    assert.equal(message.subject, "Ticket rejected: <b>Night</b> coach");
+    assert.match(message.text, /^Hi Vendor,/);
+    assert.match(message.html, /&lt;b&gt;Night&lt;\/b&gt;/);
+  });
+});
+
+describe("notifications", () => {
+  let server;
+  let ticket;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+    ticket = await seedTicket(server.db);
+  });
+
+  const outbox = () => server.db.collection("notifications");
+
+  async function createBooking() {
+    const res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    assert.equal(res.status, 201);
+    return res.body.insertedId;
+  }
+
+  it("emails the customer as their booking moves along", async () => {
+    const bookingId = await createBooking();
+    const res = await request(server.app)
+      .patch(`/bookings/${bookingId}/status`)
+      .set(auth(VENDOR))
+      .send({ status: "rejected", note: "Coach is full" });
+    assert.equal(res.status, 200);
+
+    assert.deepEqual(await server.processOutbox(), { sent: 2, failed: 0 });
+    assert.deepEqual(
+      server.mail.sent.map((m) => [m.to, m.subject.split(":")[0]]),
+      [
+        [CUSTOMER, "Booking request received"],
+        [CUSTOMER, "Booking not accepted"],
+      ]
+    );
+    assert.match(server.mail.sent[1].text, /Vendor's note: Coach is full/);
+    assert.equal(await outbox().countDocuments({ status: "sent" }), 2);
+  });
+
+  it("tells the vendor when their ticket is reviewed", async () => {
+    const pending = await seedTicket(server.db, {
+      verificationStatus: "pending",
+    });
+    const res = await request(server.app)
+      .patch(`/admin/tickets/${pending._id}/verify`)
+      .set(auth(ADMIN))
+      .send({ verificationStatus: "approved" });
+    assert.equal(res.status, 200);
+
+    await server.processOutbox();
+    assert.equal(server.mail.sent.length, 1);
+    assert.equal(server.mail.sent[0].to, VENDOR);
+    assert.match(server.mail.sent[0].subject, /^Ticket approved/);
+  });
+
+  it("respects a user's opt-out", async () => {
+    const res = await request(server.app)
+      .put("/user/profile")
+      .set(auth(CUSTOMER))
+      .send({ name: "Customer", notificationPreferences: { bookings: false } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.notificationPreferences, { bookings: false });
+
+    await createBooking();
+    assert.equal(await outbox().countDocuments(), 0);
+  });
+
+  it("retries failed sends with a backoff", async () => {
+    await createBooking();
+    server.mail.failing = true;
+    assert.deepEqual(await server.processOutbox(), { sent: 0, failed: 1 });
+
+    let message = await outbox().findOne();
+    assert.equal(message.status, "pending");
+    assert.equal(message.attempts, 1);
+    assert.equal(message.lastError, "Mail server unavailable");
+    assert.ok(message.nextAttemptAt > new Date().toISOString());
+
+    // Not due yet
+    server.mail.failing = false;
+    assert.deepEqual(await server.processOutbox(), { sent: 0, failed: 0 });
+
+    await outbox().updateOne(
+      { _id: message._id },
+      { $set: { nextAttemptAt: new Date(0).toISOString() } }
+    );
+    assert.deepEqual(await server.processOutbox(), { sent: 1, failed: 0 });
+    message = await outbox().findOne();
+    assert.equal(message.status, "sent");
+    assert.equal(message.attempts, 2);
+  });
+
+  it("gives up after the last retry", async () => {
+    await createBooking();
+    server.mail.failing = true;
+
+    for (let i = 0; i < 5; i++) {
+      await outbox().updateMany(
+        {},
+        { $set: { nextAttemptAt: new Date(0).toISOString() } }
+      );
+      await server.processOutbox();
+    }
+
+    const message = await outbox().findOne();
+    assert.equal(message.status, "failed");
+    assert.equal(message.attempts, 5);
+  });
+});
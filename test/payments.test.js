@@ -0,0 +1,489 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer, signWebhook } = require("./support/server");
+const { createPaymentService } = require("../src/services/payments");
+const {
+  ADMIN,
+  CUSTOMER,
+  FIXTURE_BOOKING_ID,
+  FIXTURE_INTENT_ID,
+  auth,
+  departingIn,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+  loadStripeEvent,
+} = require("./support/fixtures");
+
+describe("payment routes", () => {
+  let server;
+  let ticket;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+    ticket = await seedTicket(server.db);
+  });
+
+  const findBooking = (id) =>
+    server.db.collection("bookings").findOne({ _id: id });
+  const findTicket = () =>
+    server.db.collection("tickets").findOne({ _id: ticket._id });
+
+  // Make a failed refund due for retry-refunds, as if its backoff had passed
+  const retryNow = (booking, fields = {}) =>
+    server.db
+      .collection("bookings")
+      .updateOne(
+        { _id: booking._id },
+        { $set: { nextRefundAttemptAt: new Date().toISOString(), ...fields } }
+      );
+
+  // Create an intent for the booking and complete it in the fake Stripe
+  async function payIntent(booking) {
+    const res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString() });
+    assert.equal(res.status, 200);
+    const { paymentIntentId } = await findBooking(booking._id);
+    return server.stripe.succeed(paymentIntentId);
+  }
+
+  it("creates intents for the stored booking total", async () => {
+    const booking = await seedBooking(server.db, ticket, { totalPrice: 750 });
+    const res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString(), amount: 1 });
+    assert.equal(res.status, 200);
+
+    const [intent] = server.stripe.intents.values();
+    assert.equal(intent.amount, 750);
+    assert.equal(intent.currency, "bdt");
+    assert.equal(intent.metadata.bookingId, booking._id.toString());
+  });
+
+  it("waits for the vendor before taking payment", async () => {
+    const booking = await seedBooking(server.db, ticket, {
+      status: "pending",
+    });
+    const res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString() });
+    assert.equal(res.status, 400);
+  });
+
+  it("rejects a payment amount that does not match the booking", async () => {
+    const booking = await seedBooking(server.db, ticket);
+    const intent = await payIntent(booking);
+
+    const res = await request(server.app)
+      .post("/payments")
+      .set(auth(CUSTOMER))
+      .send({
+        bookingId: booking._id.toString(),
+        transactionId: intent.id,
+        amount: 1,
+      });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Payment amount mismatch");
+    assert.equal((await findBooking(booking._id)).status, "accepted");
+  });
+
+  it("refuses transactions Stripe has not confirmed", async () => {
+    const booking = await seedBooking(server.db, ticket);
+    const res = await request(server.app)
+      .post("/payments")
+      .set(auth(CUSTOMER))
+      .send({
+        bookingId: booking._id.toString(),
+        transactionId: "pi_made_up",
+        amount: booking.totalPrice,
+      });
+    assert.equal(res.status, 400);
+  });
+
+  it("refuses payment for an expired hold", async () => {
+    const booking = await seedBooking(server.db, ticket, {
+      holdExpiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    const res = await request(server.app)
+      .post("/payments")
+      .set(auth(CUSTOMER))
+      .send({
+        bookingId: booking._id.toString(),
+        transactionId: "pi_any",
+        amount: booking.totalPrice,
+      });
+    assert.equal(res.status, 410);
+  });
+
+  it("records a confirmed payment once", async () => {
+    const booking = await seedBooking(server.db, ticket);
+    const intent = await payIntent(booking);
+    const body = {
+      bookingId: booking._id.toString(),
+      transactionId: intent.id,
+      amount: booking.totalPrice,
+    };
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(server.app)
+        .post("/payments")
+        .set(auth(CUSTOMER))
+        .send(body);
+      assert.equal(res.status, 200);
+    }
+
+    assert.equal((await findBooking(booking._id)).status, "paid");
+    assert.equal(await server.db.collection("payments").countDocuments(), 1);
+
+    const res = await request(server.app)
+      .get("/user/transactions")
+      .set(auth(CUSTOMER));
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].transactionId, intent.id);
+  });
+
+  describe("cancellation", () => {
+    it("returns stock for an unpaid booking", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const res = await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.status, 200);
+      assert.equal((await findBooking(booking._id)).status, "cancelled");
+      assert.equal((await findTicket()).quantity, 9);
+    });
+
+    it("refunds a paid booking and returns its stock", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const intent = await payIntent(booking);
+      await request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+        bookingId: booking._id.toString(),
+        transactionId: intent.id,
+        amount: booking.totalPrice,
+      });
+
+      let res = await request(server.app)
+        .get(`/bookings/${booking._id}/refund-quote`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.body.refundPercent, 100);
+
+      res = await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refundAmount, booking.totalPrice);
+
+      assert.equal((await findBooking(booking._id)).status, "refunded");
+      assert.equal((await findTicket()).quantity, 9);
+      assert.equal(server.stripe.issuedRefunds.length, 1);
+
+      const payment = await server.db.collection("payments").findOne({});
+      assert.equal(payment.status, "refunded");
+    });
+
+    it("retries a refund Stripe fails once the booking is closed", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const intent = await payIntent(booking);
+      await request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+        bookingId: booking._id.toString(),
+        transactionId: intent.id,
+        amount: booking.totalPrice,
+      });
+
+      server.stripe.failingRefunds = true;
+      let res = await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.status, 200);
+      let closed = await findBooking(booking._id);
+      assert.equal(closed.status, "refunded");
+      assert.equal(closed.refundStatus, "failed");
+      assert.equal((await findTicket()).quantity, 9);
+
+      // Cancelling again doesn't reach Stripe
+      server.stripe.failingRefunds = false;
+      res = await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.status, 400);
+      assert.equal(server.stripe.issuedRefunds.length, 0);
+
+      assert.equal(closed.refundAttempts, 1);
+      await retryNow(booking);
+      await server.runDueJobs();
+      closed = await findBooking(booking._id);
+      assert.equal(closed.refundStatus, "succeeded");
+      assert.equal(server.stripe.issuedRefunds.length, 1);
+      assert.equal(server.stripe.issuedRefunds[0].amount, booking.totalPrice);
+      const payment = await server.db.collection("payments").findOne({});
+      assert.equal(payment.status, "refunded");
+      assert.equal(await server.db.collection("refunds").countDocuments(), 1);
+    });
+
+    it("reuses the refund Stripe made when its response was lost", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const intent = await payIntent(booking);
+      await request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+        bookingId: booking._id.toString(),
+        transactionId: intent.id,
+        amount: booking.totalPrice,
+      });
+
+      server.stripe.losingRefundResponses = true;
+      await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      assert.equal((await findBooking(booking._id)).refundStatus, "failed");
+
+      server.stripe.losingRefundResponses = false;
+      await retryNow(booking);
+      await server.runDueJobs();
+
+      const closed = await findBooking(booking._id);
+      assert.equal(closed.refundStatus, "succeeded");
+      assert.equal(server.stripe.refundCalls.length, 1);
+      assert.equal(closed.stripeRefundId, server.stripe.issuedRefunds[0].id);
+      const payment = await server.db.collection("payments").findOne({});
+      assert.equal(payment.refundedAmount, booking.totalPrice);
+      assert.equal(payment.status, "refunded");
+    });
+
+    it("leaves refunds for an admin once retries run out", async () => {
+      const booking = await seedBooking(server.db, ticket);
+      const intent = await payIntent(booking);
+      await request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+        bookingId: booking._id.toString(),
+        transactionId: intent.id,
+        amount: booking.totalPrice,
+      });
+      server.stripe.failingRefunds = true;
+      await request(server.app)
+        .delete(`/bookings/${booking._id}`)
+        .set(auth(CUSTOMER));
+      await retryNow(booking, { refundAttempts: 4 });
+
+      // A closed booking whose payment record is gone can't be retried
+      const orphan = await seedBooking(server.db, ticket, {
+        status: "refunded",
+        transactionId: "pi_missing",
+        refundStatus: "failed",
+        refundAmount: 1000,
+        refundReason: "customer_cancellation",
+      });
+
+      const [run] = (await server.runDueJobs()).filter(
+        (r) => r.job === "retry-refunds"
+      );
+      assert.deepEqual(run.result, {
+        refunded: 0,
+        failed: 0,
+        needsAttention: 2,
+      });
+      assert.equal(server.stripe.refundCalls.length, 2);
+
+      const stuck = await findBooking(booking._id);
+      assert.equal(stuck.refundStatus, "needs_attention");
+      assert.equal(stuck.refundAttempts, 5);
+      assert.equal(stuck.refundError, "Stripe is unavailable");
+      assert.equal(
+        (await findBooking(orphan._id)).refundError,
+        "Payment not found"
+      );
+
+      const res = await request(server.app)
+        .get("/admin/refunds")
+        .set(auth(ADMIN));
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map((b) => b._id).sort(),
+        [booking._id.toString(), orphan._id.toString()].sort()
+      );
+    });
+
+    it("refunds half of a booking 20 hours before departure", async () => {
+      const booking = await seedBooking(server.db, ticket, {
+        status: "paid",
+        ...departingIn(20),
+      });
+
+      const res = await request(server.app)
+        .get(`/bookings/${booking._id}/refund-quote`)
+        .set(auth(CUSTOMER));
+      assert.equal(res.body.refundPercent, 50);
+      assert.equal(res.body.refundAmount, booking.totalPrice / 2);
+    });
+  });
+
+  describe("Stripe webhook", () => {
+    const postEvent = (
+      payload,
+      signature = signWebhook(server.stripe, payload)
+    ) =>
+      request(server.app)
+        .post("/webhooks/stripe")
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", signature)
+        .send(payload);
+
+    beforeEach(async () => {
+      await seedBooking(server.db, ticket, {
+        _id: FIXTURE_BOOKING_ID,
+        // The recorded events are for 1,500.00 USD
+        currency: "USD",
+        totalPrice: 150000,
+        quantity: 2,
+        seatNumbers: ["1A", "1B"],
+      });
+    });
+
+    it("rejects unsigned events", async () => {
+      const res = await postEvent(
+        loadStripeEvent("payment_intent.succeeded"),
+        "t=1,v1=bad"
+      );
+      assert.equal(res.status, 400);
+    });
+
+    it("marks the booking paid on payment_intent.succeeded", async () => {
+      const res = await postEvent(loadStripeEvent("payment_intent.succeeded"));
+      assert.equal(res.status, 200);
+
+      const booking = await findBooking(FIXTURE_BOOKING_ID);
+      assert.equal(booking.status, "paid");
+      assert.equal(booking.transactionId, FIXTURE_INTENT_ID);
+    });
+
+    it("keeps a payment POST /payments records at the same time", async () => {
+      const event = JSON.parse(loadStripeEvent("payment_intent.succeeded"));
+      server.stripe.intents.set(FIXTURE_INTENT_ID, {
+        ...event.data.object,
+        status: "succeeded",
+      });
+
+      const [confirmed, webhook] = await Promise.all([
+        request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+          bookingId: FIXTURE_BOOKING_ID.toString(),
+          transactionId: FIXTURE_INTENT_ID,
+          amount: 150000,
+        }),
+        postEvent(loadStripeEvent("payment_intent.succeeded")),
+      ]);
+      assert.notEqual(webhook.status, 500);
+      assert.ok([200, 409].includes(confirmed.status));
+
+      const booking = await findBooking(FIXTURE_BOOKING_ID);
+      assert.equal(booking.status, "paid");
+      assert.equal(booking.transactionId, FIXTURE_INTENT_ID);
+      assert.equal(booking.paymentStatus, "succeeded");
+      assert.deepEqual(server.stripe.refundCalls, []);
+      assert.equal(await server.db.collection("payments").countDocuments(), 1);
+    });
+
+    it("handles each event only once", async () => {
+      const payload = loadStripeEvent("payment_intent.succeeded");
+      await postEvent(payload);
+      const res = await postEvent(payload);
+      assert.equal(res.body.duplicate, true);
+      assert.equal(await server.db.collection("payments").countDocuments(), 1);
+    });
+
+    it("records failures on payment_intent.payment_failed", async () => {
+      await postEvent(loadStripeEvent("payment_intent.payment_failed"));
+      const booking = await findBooking(FIXTURE_BOOKING_ID);
+      assert.equal(booking.status, "accepted");
+      assert.equal(booking.paymentStatus, "failed");
+    });
+
+    it("closes the booking on a full charge.refunded", async () => {
+      await postEvent(loadStripeEvent("payment_intent.succeeded"));
+      await postEvent(loadStripeEvent("charge.refunded"));
+
+      const booking = await findBooking(FIXTURE_BOOKING_ID);
+      assert.equal(booking.status, "refunded");
+      assert.equal((await findTicket()).quantity, 10);
+      assert.equal(await server.db.collection("refunds").countDocuments(), 1);
+    });
+  });
+});
+
+describe("payment_intent.succeeded racing other changes", () => {
+  const intent = {
+    id: "pi_race",
+    amount_received: 150000,
+    currency: "usd",
+    metadata: { bookingId: "665f1c2ab4d1f0a1b2c3d4e5" },
+  };
+  const booking = {
+    _id: FIXTURE_BOOKING_ID,
+    status: "accepted",
+    currency: "USD",
+    totalPrice: 150000,
+    holdExpiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+  };
+
+  // The webhook reads the booking open, then finds it changed by the time
+  // it marks it paid
+  function handleWith(current) {
+    const refundCalls = [];
+    const reads = [booking, current];
+    const { handleStripeEvent } = createPaymentService({
+      stripe: {
+        refunds: {
+          async create(params) {
+            refundCalls.push(params);
+            return { id: "re_race", amount: params.amount };
+          },
+        },
+      },
+      bookingsCollection: {
+        findOne: async () => reads.shift(),
+        updateOne: async () => ({ modifiedCount: 1 }),
+      },
+      paymentCollection: {},
+      withTransaction: (fn) => fn({}),
+      transitionBooking: async () => null,
+    });
+    const event = {
+      type: "payment_intent.succeeded",
+      data: { object: intent },
+    };
+    return { refundCalls, handled: handleStripeEvent(event) };
+  }
+
+  it("keeps the money when POST /payments recorded the same intent", async () => {
+    const { refundCalls, handled } = handleWith({
+      ...booking,
+      status: "paid",
+      paidAt: new Date().toISOString(),
+      transactionId: "pi_race",
+    });
+    await handled;
+    assert.deepEqual(refundCalls, []);
+  });
+
+  it("refunds a booking that closed before the money arrived", async () => {
+    const { refundCalls, handled } = handleWith({
+      ...booking,
+      status: "cancelled",
+    });
+    await handled;
+    assert.equal(refundCalls.length, 1);
+    assert.equal(refundCalls[0].payment_intent, "pi_race");
+  });
+
+  it("leaves a booking that is still open for Stripe to retry", async () => {
+    const { refundCalls, handled } = handleWith(booking);
+    await assert.rejects(handled, { status: 409 });
+    assert.deepEqual(refundCalls, []);
+  });
+});
@@ -0,0 +1,244 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const { normalizeFareRules, priceBooking } = require("../src/services/pricing");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  departingIn,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+const LAYOUT = {
+  rows: 4,
+  columns: 4,
+  blockedSeats: [],
+  seatClasses: [{ name: "Business", rows: [1] }],
+};
+
+describe("fare rules", () => {
+  const ticket = {
+    price: 800,
+    seatLayout: LAYOUT,
+    ...departingIn(10 * 24),
+    fareRules: {
+      fareClasses: [{ name: "Business", price: 1500 }],
+      childFare: { maxAge: 11, percentOff: 50 },
+      timeRules: [
+        { type: "early_bird", hoursBefore: 7 * 24, percentOff: 10 },
+        { type: "last_minute", hoursBefore: 6, percentOff: 20 },
+      ],
+    },
+  };
+  const seats = [
+    { seatNumber: "1A", seatClass: "Business" },
+    { seatNumber: "2A", seatClass: "standard" },
+  ];
+
+  it("prices seats by class, then child fares and the time rule", () => {
+    const pricing = priceBooking(ticket, {
+      seats,
+      passengers: [{ age: 40 }, { age: 6 }],
+    });
+    assert.deepEqual(
+      pricing.lines.map((line) => [line.label, line.amount]),
+      [
+        ["Seat 1A (Business)", 1500],
+        ["Seat 2A", 800],
+        ["Child fare, seat 2A", -400],
+        ["Early bird (10% off)", -190],
+      ]
+    );
+    assert.equal(pricing.subtotal, 2300);
+    assert.equal(pricing.totalPrice, 1710);
+    assert.equal(pricing.discount, 590);
+  });
+
+  it("applies a promo code last and never below zero", () => {
+    const lastMinute = { ...ticket, ...departingIn(2) };
+    const percent = priceBooking(lastMinute, {
+      seats: [seats[1]],
+      promo: { code: "EID25", type: "percent", value: 25, maxDiscount: 100 },
+    });
+    assert.equal(percent.totalPrice, 540);
+
+    const fixed = priceBooking(lastMinute, {
+      seats: [seats[1]],
+      promo: { code: "FREE", type: "fixed", value: 5000 },
+    });
+    assert.equal(fixed.totalPrice, 0);
+  });
+
+  it("only prices seat classes that are on the layout", () => {
+    assert.ok(
+      normalizeFareRules({ fareClasses: [{ name: "AC", price: 900 }] }, LAYOUT)
+        .error
+    );
+    assert.ok(
+      normalizeFareRules({ timeRules: [{ type: "weekend" }] }, LAYOUT).error
+    );
+    assert.deepEqual(
+      normalizeFareRules(
+        { fareClasses: [{ name: "Business", price: "1500" }] },
+        LAYOUT
+      ).fareRules,
+      {
+        fareClasses: [{ name: "Business", price: 1500 }],
+        childFare: null,
+        timeRules: [],
+      }
+    );
+  });
+});
+
+describe("promo codes", () => {
+  let server;
+  let ticket;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+    ticket = await seedTicket(server.db, { seatLayout: LAYOUT, quantity: 16 });
+  });
+
+  const createCode = (email, body) =>
+    request(server.app)
+      .post(email === ADMIN ? "/admin/promo-codes" : "/vendor/promo-codes")
+      .set(auth(email))
+      .send(body);
+  const book = (body) =>
+    request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1, ...body });
+
+  it("stores the discounted price and charges it", async () => {
+    let res = await createCode(VENDOR, {
+      code: "save10",
+      type: "percent",
+      value: 10,
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.code, "SAVE10");
+
+    res = await request(server.app)
+      .post("/bookings/quote")
+      .set(auth(CUSTOMER))
+      .send({
+        ticketId: ticket._id.toString(),
+        quantity: 1,
+        promoCode: "SAVE10",
+      });
+    assert.equal(res.body.totalPrice, 675);
+
+    res = await book({ promoCode: "save10" });
+    assert.equal(res.status, 201);
+    const booking = await server.db
+      .collection("bookings")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(booking.totalPrice, 675);
+    assert.equal(booking.promoCode, "SAVE10");
+    assert.equal(booking.pricing.lines.at(-1).amount, -75);
+
+    await server.db
+      .collection("bookings")
+      .updateOne({ _id: booking._id }, { $set: { status: "accepted" } });
+    res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString() });
+    assert.equal(res.status, 200);
+    const [intent] = server.stripe.intents.values();
+    assert.equal(intent.amount, 675);
+  });
+
+  it("enforces usage limits, per-customer caps and expiry", async () => {
+    await createCode(ADMIN, {
+      code: "ONCE",
+      type: "fixed",
+      value: 100,
+      perUserLimit: 1,
+    });
+    await createCode(ADMIN, {
+      code: "OLD",
+      type: "fixed",
+      value: 100,
+      expiresAt: "2020-01-01",
+    });
+
+    let res = await book({ promoCode: "ONCE" });
+    assert.equal(res.status, 201);
+    res = await book({ promoCode: "ONCE" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "You have already used this promo code");
+
+    res = await book({ promoCode: "OLD" });
+    assert.equal(res.body.message, "Promo code has expired");
+  });
+
+  it("gives a use back when an unpaid booking is cancelled", async () => {
+    await createCode(VENDOR, {
+      code: "LAST",
+      type: "percent",
+      value: 50,
+      usageLimit: 1,
+    });
+    let res = await book({ promoCode: "LAST" });
+    assert.equal(res.status, 201);
+    const bookingId = res.body.insertedId;
+
+    res = await book({ promoCode: "LAST" });
+    assert.equal(res.body.message, "Promo code has been fully used");
+
+    res = await request(server.app)
+      .delete(`/bookings/${bookingId}`)
+      .set(auth(CUSTOMER));
+    assert.equal(res.status, 200);
+    res = await book({ promoCode: "LAST" });
+    assert.equal(res.status, 201);
+  });
+
+  it("keeps vendor codes to the vendor's own tickets", async () => {
+    const other = await seedTicket(server.db, {
+      vendorEmail: "someone@example.com",
+    });
+    let res = await createCode(VENDOR, {
+      code: "MINE",
+      type: "fixed",
+      value: 50,
+      ticketIds: [other._id.toString()],
+    });
+    assert.equal(res.status, 400);
+
+    await createCode(VENDOR, { code: "MINE", type: "fixed", value: 50 });
+    res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: other._id.toString(), quantity: 1, promoCode: "MINE" });
+    assert.equal(res.status, 400);
+  });
+
+  it("marks a fully discounted booking paid without Stripe", async () => {
+    const booking = await seedBooking(server.db, ticket, { totalPrice: 0 });
+    const res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString() });
+    assert.equal(res.body.paid, true);
+    assert.equal(server.stripe.intents.size, 0);
+    const paid = await server.db
+      .collection("bookings")
+      .findOne({ _id: booking._id });
+    assert.equal(paid.status, "paid");
+  });
+});
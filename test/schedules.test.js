@@ -0,0 +1,259 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const {
+  normalizeRecurrence,
+  listRunDates,
+} = require("../src/services/schedules");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  futureDate,
+  seedUsers,
+} = require("./support/fixtures");
+
+describe("recurrence rules", () => {
+  const runDates = (input, from, to) =>
+    listRunDates(normalizeRecurrence(input).recurrence, from, to);
+
+  it("lists the dates a schedule runs on", () => {
+    // 2030-01-05 is a Saturday
+    assert.deepEqual(
+      runDates({ frequency: "weekdays" }, "2030-01-04", "2030-01-08"),
+      ["2030-01-04", "2030-01-07", "2030-01-08"]
+    );
+    assert.deepEqual(
+      runDates(
+        { frequency: "weekly", days: ["Sat", "mon"] },
+        "2030-01-01",
+        "2030-01-14"
+      ),
+      ["2030-01-05", "2030-01-07", "2030-01-12", "2030-01-14"]
+    );
+    assert.deepEqual(
+      runDates(
+        {
+          frequency: "daily",
+          startDate: "2030-01-03",
+          endDate: "2030-01-06",
+          exceptions: ["2030-01-04"],
+        },
+        "2030-01-01",
+        "2030-01-31"
+      ),
+      ["2030-01-03", "2030-01-05", "2030-01-06"]
+    );
+    assert.deepEqual(
+      runDates(
+        { frequency: "dates", dates: ["2030-03-01", "2030-01-02"] },
+        "2030-01-01",
+        "2030-02-01"
+      ),
+      ["2030-01-02"]
+    );
+  });
+
+  it("rejects rules that don't describe a schedule", () => {
+    assert.match(normalizeRecurrence({}).error, /frequency/);
+    assert.match(
+      normalizeRecurrence({ frequency: "weekly", days: ["someday"] }).error,
+      /days/
+    );
+    assert.match(
+      normalizeRecurrence({ frequency: "dates", dates: ["2030-02-30"] }).error,
+      /YYYY-MM-DD/
+    );
+    assert.match(
+      normalizeRecurrence({
+        frequency: "daily",
+        startDate: "2030-02-01",
+        endDate: "2030-01-01",
+      }).error,
+      /can't end before/
+    );
+  });
+});
+
+describe("recurring schedules", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  const [first, second, third] = [3, 6, 9].map((days) => futureDate(days));
+
+  const createSchedule = (recurrence) =>
+    request(server.app)
+      .post("/schedules")
+      .set(auth(VENDOR))
+      .send({
+        title: "Dhaka to Chattogram Daily Express",
+        from: "Dhaka",
+        to: "Chattogram",
+        transportType: "bus",
+        price: 120000,
+        quantity: 8,
+        departureTime: "7:30 AM",
+        durationMinutes: 360,
+        seatLayout: { rows: 2, columns: 4 },
+        recurrence,
+      });
+  const departures = (schedule) =>
+    server.db
+      .collection("tickets")
+      .find({ scheduleId: schedule._id })
+      .sort({ departureDate: 1 })
+      .toArray();
+  const findSchedule = (id) =>
+    server.db.collection("schedules").findOne({ _id: new ObjectId(id) });
+
+  it("generates departures that are searched and booked like tickets", async () => {
+    let res = await createSchedule({
+      frequency: "dates",
+      dates: [first, second, third],
+      exceptions: [second],
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.generated, 2);
+    assert.equal(res.body.verificationStatus, "pending");
+    const schedule = await findSchedule(res.body._id);
+
+    const generated = await departures(schedule);
+    assert.deepEqual(
+      generated.map((t) => [t.departureDate, t.departureTime, t.quantity]),
+      [
+        [first, "7:30 AM", 8],
+        [third, "7:30 AM", 8],
+      ]
+    );
+    assert.equal(generated[0].totalSeats, 8);
+    assert.equal(generated[0].durationMinutes, 360);
+
+    // Hidden and not on sale until the schedule is approved
+    res = await request(server.app).get("/tickets/all");
+    assert.equal(res.body.total, 0);
+    res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: generated[0]._id.toString(), quantity: 1 });
+    assert.equal(res.status, 400);
+    res = await request(server.app)
+      .patch(`/admin/schedules/${schedule._id}/verify`)
+      .set(auth(ADMIN))
+      .send({ verificationStatus: "approved" });
+    assert.equal(res.status, 200);
+    res = await request(server.app)
+      .get("/tickets/all")
+      .query({ from: "Dhaka", departureFrom: first, departureTo: first });
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.tickets[0].scheduleId, schedule._id.toString());
+
+    // Each departure has its own seats
+    res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: generated[0]._id.toString(), quantity: 2 });
+    assert.equal(res.status, 201);
+    const [booked, other] = await departures(schedule);
+    assert.equal(booked.quantity, 6);
+    assert.equal(other.quantity, 8);
+
+    res = await request(server.app).get(
+      `/schedules/${schedule._id}/departures`
+    );
+    assert.deepEqual(
+      res.body.tickets.map((t) => t.departureDate),
+      [first, third]
+    );
+
+    // Running the job again doesn't duplicate anything
+    await server.db
+      .collection("jobs")
+      .updateMany({}, { $set: { nextRunAt: new Date(0).toISOString() } });
+    await server.runDueJobs();
+    assert.equal((await departures(schedule)).length, 2);
+  });
+
+  it("follows changes to the schedule", async () => {
+    let res = await createSchedule({
+      frequency: "dates",
+      dates: [first, second, third],
+    });
+    const schedule = await findSchedule(res.body._id);
+    await request(server.app)
+      .patch(`/admin/schedules/${schedule._id}/verify`)
+      .set(auth(ADMIN))
+      .send({ verificationStatus: "approved" });
+    const [booked] = await departures(schedule);
+    res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: booked._id.toString(), quantity: 1 });
+    assert.equal(res.status, 201);
+
+    // Dropping dates keeps the one with a booking
+    res = await request(server.app)
+      .patch(`/schedules/${schedule._id}`)
+      .set(auth(VENDOR))
+      .send({ recurrence: { frequency: "dates", dates: [third] } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.removed, 1);
+    assert.equal(res.body.kept, 1);
+    assert.deepEqual(
+      (await departures(schedule)).map((t) => t.departureDate),
+      [first, third]
+    );
+
+    // A new fare goes back for review along with the departures
+    res = await request(server.app)
+      .patch(`/schedules/${schedule._id}`)
+      .set(auth(VENDOR))
+      .send({ price: 135000 });
+    assert.equal(res.body.verificationStatus, "pending");
+    for (const departure of await departures(schedule)) {
+      assert.equal(departure.price, 135000);
+      assert.equal(departure.verificationStatus, "pending");
+    }
+
+    // Deleting a departure skips its date from then on
+    const [, last] = await departures(schedule);
+    res = await request(server.app)
+      .delete(`/tickets/${last._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 200);
+    assert.deepEqual((await findSchedule(schedule._id)).recurrence.exceptions, [
+      third,
+    ]);
+
+    res = await request(server.app)
+      .delete(`/schedules/${schedule._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ended");
+    assert.equal((await departures(schedule)).length, 1);
+  });
+
+  it("checks the recurrence and the owner", async () => {
+    let res = await createSchedule({ frequency: "monthly" });
+    assert.equal(res.status, 400);
+    res = await createSchedule({ frequency: "daily" });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.generated >= 30);
+
+    res = await request(server.app)
+      .patch(`/schedules/${res.body._id}`)
+      .set(auth(ADMIN))
+      .send({ price: 1 });
+    assert.equal(res.status, 403);
+  });
+});
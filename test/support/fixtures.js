@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { toZonedDateTime } = require("../../src/datetime");
+
+const ADMIN = "admin@example.com";
+const VENDOR = "vendor@example.com";
+const CUSTOMER = "customer@example.com";
+
+async function seedUsers(db) {
+  await db.collection("users").insertMany([
+    { email: ADMIN, name: "Admin", role: "admin" },
+    { email: VENDOR, name: "Vendor", role: "vendor" },
+    { email: CUSTOMER, name: "Customer", role: "customer" },
+  ]);
+}
+
+// A departure far enough ahead for the full-refund rule
+function futureDate(days = 30) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Schedule fields for a trip leaving at the given instant
+function departingAt(date, timeZone = "Asia/Dhaka") {
+  const local = toZonedDateTime(date, timeZone);
+  return {
+    departureAt: date.toISOString(),
+    departureDate: local.date,
+    departureTime: local.time,
+    timeZone,
+  };
+}
+
+// ...or this many hours from now
+function departingIn(hours) {
+  return departingAt(new Date(Date.now() + hours * 60 * 60 * 1000));
+}
+
+async function seedTicket(db, overrides = {}) {
+  const ticket = {
+    title: "Dhaka to Chattogram Express",
+    from: "Dhaka",
+    to: "Chattogram",
+    transportType: "bus",
+    price: 750,
+    currency: "BDT",
+    quantity: 8,
+    totalSeats: 8,
+    ...departingIn(30 * 24),
+    vendorEmail: VENDOR,
+    verificationStatus: "approved",
+    isAdvertised: false,
+    seatLayout: { rows: 2, columns: 4, blockedSeats: [], seatClasses: [] },
+    createdAt: new Date().toISOString(),
+    ...overrides,
+  };
+  const { insertedId } = await db.collection("tickets").insertOne(ticket);
+  return { ...ticket, _id: insertedId };
+}
+
+async function seedBooking(db, ticket, overrides = {}) {
+  const booking = {
+    ticketId: ticket._id,
+    userEmail: CUSTOMER,
+    quantity: 1,
+    currency: ticket.currency,
+    unitPrice: ticket.price,
+    totalPrice: ticket.price,
+    from: ticket.from,
+    to: ticket.to,
+    departureDate: ticket.departureDate,
+    departureTime: ticket.departureTime,
+    departureAt: ticket.departureAt,
+    timeZone: ticket.timeZone,
+    seatNumbers: ["1A"],
+    seatNumber: "1A",
+    bookingReference: "BKTEST",
+    status: "accepted",
+    statusHistory: [],
+    holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+    stockReserved: true,
+    createdAt: new Date().toISOString(),
+    ...overrides,
+  };
+  const { insertedId } = await db.collection("bookings").insertOne(booking);
+  return { ...booking, _id: insertedId };
+}
+
+function loadStripeEvent(name) {
+  return fs.readFileSync(
+    path.join(__dirname, "..", "fixtures", "stripe", `${name}.json`),
+    "utf-8"
+  );
+}
+
+// Booking ID carried in the metadata of the recorded Stripe fixtures
+const FIXTURE_BOOKING_ID = new ObjectId("665f1c2ab4d1f0a1b2c3d4e5");
+const FIXTURE_INTENT_ID = "pi_3QfixtureIntent";
+
+const auth = (email) => ({ Authorization: `Bearer ${email}` });
+
+module.exports = {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  FIXTURE_BOOKING_ID,
+  FIXTURE_INTENT_ID,
+  auth,
+  futureDate,
+  departingAt,
+  departingIn,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+  loadStripeEvent,
+};
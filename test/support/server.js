@@ -0,0 +1,170 @@
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { MongoClient } = require("mongodb");
+const Stripe = require("stripe");
+const { createApp } = require("../../src/app");
+
+const DB_NAME = "ticketbari-test";
+const WEBHOOK_SECRET = "whsec_test_secret";
+const TICKET_SECRET = "ticket_test_secret";
+const CRON_SECRET = "cron_test_secret";
+
+// In tests the bearer token is simply the user's email address
+async function verifyIdToken(token) {
+  if (!token.includes("@")) throw new Error("Invalid token");
+  return { email: token };
+}
+
+// Stand-in for the Stripe client covering the calls the server makes.
+// Webhook signatures use the real library, which works offline. Set
+// failingRefunds to make refunds throw, as an outage would.
+function createFakeStripe() {
+  const intents = new Map();
+  const issuedRefunds = [];
+  const refundCalls = [];
+
+  const stripe = {
+    intents,
+    issuedRefunds,
+    // Every refunds.create call, including ones that failed
+    refundCalls,
+    failingRefunds: false,
+    // Make the refund but fail the call, as when the response is lost
+    losingRefundResponses: false,
+    webhooks: Stripe("sk_test_fake").webhooks,
+    paymentIntents: {
+      async create(params) {
+        const id = `pi_test_${intents.size + 1}`;
+        const intent = {
+          id,
+          client_secret: `${id}_secret`,
+          status: "requires_payment_method",
+          amount_received: 0,
+          ...params,
+        };
+        intents.set(id, intent);
+        return intent;
+      },
+      async retrieve(id) {
+        const intent = intents.get(id);
+        if (!intent) {
+          const error = new Error(`No such payment_intent: ${id}`);
+          error.type = "StripeInvalidRequestError";
+          throw error;
+        }
+        return intent;
+      },
+    },
+    refunds: {
+      async create(params) {
+        refundCalls.push(params);
+        if (stripe.failingRefunds) throw new Error("Stripe is unavailable");
+        const intent = intents.get(params.payment_intent);
+        const refund = {
+          id: `re_test_${issuedRefunds.length + 1}`,
+          amount: params.amount ?? intent?.amount_received ?? 0,
+          payment_intent: params.payment_intent,
+          status: "succeeded",
+          metadata: params.metadata || {},
+        };
+        issuedRefunds.push(refund);
+        if (stripe.losingRefundResponses) throw new Error("Connection reset");
+        return refund;
+      },
+      async list({ payment_intent }) {
+        return {
+          data: issuedRefunds.filter(
+            (r) => r.payment_intent === payment_intent
+          ),
+        };
+      },
+    },
+    // Complete an intent as if the customer finished checkout
+    succeed(id) {
+      const intent = intents.get(id);
+      intent.status = "succeeded";
+      intent.amount_received = intent.amount;
+      return intent;
+    },
+  };
+  return stripe;
+}
+
+// Mail transport keeping sent messages in memory. Set failing to make
+// every send throw, as an unreachable mail server would.
+function createFakeMailTransport() {
+  return {
+    sent: [],
+    failing: false,
+    async send(message) {
+      if (this.failing) throw new Error("Mail server unavailable");
+      this.sent.push(message);
+    },
+  };
+}
+
+async function startTestServer() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  const client = new MongoClient(replSet.getUri());
+  const stripe = createFakeStripe();
+  const mail = createFakeMailTransport();
+
+  const { app, setupDatabase, expireStaleHolds, processOutbox, runDueJobs } =
+    createApp({
+      client,
+      verifyIdToken,
+      stripe,
+      mailTransport: mail,
+      config: {
+        dbName: DB_NAME,
+        stripeWebhookSecret: WEBHOOK_SECRET,
+        ticketSigningSecret: TICKET_SECRET,
+        cronSecret: CRON_SECRET,
+      },
+    });
+  await setupDatabase();
+
+  const db = client.db(DB_NAME);
+
+  return {
+    app,
+    db,
+    stripe,
+    mail,
+    expireStaleHolds,
+    processOutbox,
+    runDueJobs,
+    setupDatabase,
+    async reset() {
+      const collections = await db.listCollections().toArray();
+      await Promise.all(
+        collections.map((c) => db.collection(c.name).deleteMany({}))
+      );
+      stripe.intents.clear();
+      stripe.issuedRefunds.length = 0;
+      stripe.refundCalls.length = 0;
+      stripe.failingRefunds = false;
+      stripe.losingRefundResponses = false;
+      mail.sent.length = 0;
+      mail.failing = false;
+    },
+    async stop() {
+      await client.close();
+      await replSet.stop();
+    },
+  };
+}
+
+// Sign a webhook payload the way Stripe does
+function signWebhook(stripe, payload) {
+  return stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: WEBHOOK_SECRET,
+  });
+}
+
+module.exports = {
+  startTestServer,
+  signWebhook,
+  TICKET_SECRET,
+  CRON_SECRET,
+};
@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const { fieldsNeedingReview } = require("../src/services/ticketModeration");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  futureDate,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+describe("review fields", () => {
+  it("lists the reviewed fields an edit changes", () => {
+    const ticket = { title: "Dhaka to Sylhet", price: 900, quantity: 36 };
+    assert.deepEqual(
+      fieldsNeedingReview(ticket, { title: "Dhaka to Sylhet", quantity: 30 }),
+      []
+    );
+    assert.deepEqual(
+      fieldsNeedingReview(ticket, { price: 950, perks: ["AC"] }),
+      ["price", "perks"]
+    );
+  });
+});
+
+describe("ticket moderation", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  const verify = (id, body) =>
+    request(server.app)
+      .patch(`/admin/tickets/${id}/verify`)
+      .set(auth(ADMIN))
+      .send(body);
+  const edit = (id, body) =>
+    request(server.app).patch(`/tickets/${id}`).set(auth(VENDOR)).send(body);
+  const book = (id) =>
+    request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: id.toString(), quantity: 1 });
+  const findTicket = (id) =>
+    server.db.collection("tickets").findOne({ _id: new ObjectId(id) });
+
+  it("rejects with a reason and takes resubmissions", async () => {
+    let res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({
+        title: "Dhaka to Sylhet Night Coach",
+        from: "Dhaka",
+        to: "Sylhet",
+        transportType: "bus",
+        price: 900,
+        quantity: 36,
+        departureDate: futureDate(),
+        departureTime: "10:30 PM",
+      });
+    const id = res.body.insertedId;
+
+    res = await verify(id, { verificationStatus: "rejected" });
+    assert.equal(res.status, 400);
+    res = await verify(id, {
+      verificationStatus: "rejected",
+      reason: "The cover photo shows a different operator",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.verificationStatus, "rejected");
+    assert.equal(
+      res.body.review.reason,
+      "The cover photo shows a different operator"
+    );
+    const mail = await server.db
+      .collection("notifications")
+      .findOne({ type: "ticket.rejected" });
+    assert.match(mail.text, /different operator/);
+
+    // Customers can't book a rejected ticket
+    res = await book(id);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "This trip is not on sale");
+
+    // Fixing it doesn't put it back in the queue by itself
+    res = await edit(id, { image: "https://example.com/cover.jpg" });
+    assert.equal(res.body.verificationStatus, "rejected");
+
+    res = await request(server.app)
+      .post(`/tickets/${id}/resubmit`)
+      .set(auth(VENDOR))
+      .send({ note: "Replaced the cover photo" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.verificationStatus, "pending");
+    res = await request(server.app)
+      .post(`/tickets/${id}/resubmit`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 400);
+
+    res = await request(server.app)
+      .get(`/admin/tickets/${id}/revisions`)
+      .set(auth(ADMIN));
+    assert.deepEqual(
+      res.body.map((r) => [r.revision, r.action, r.verificationStatus]),
+      [
+        [1, "create", "pending"],
+        [2, "rejected", "rejected"],
+        [3, "update", "rejected"],
+        [4, "resubmit", "pending"],
+      ]
+    );
+    assert.equal(res.body[3].note, "Replaced the cover photo");
+    assert.equal(res.body[3].actor, VENDOR);
+  });
+
+  it("sends approved tickets back for review when key fields change", async () => {
+    const ticket = await seedTicket(server.db, {
+      verificationStatus: "pending",
+    });
+    const id = ticket._id.toString();
+    await verify(id, { verificationStatus: "approved" });
+
+    let res = await edit(id, { quantity: 6 });
+    assert.equal(res.body.verificationStatus, "approved");
+    res = await edit(id, { price: 900 });
+    assert.equal(res.body.verificationStatus, "pending");
+    assert.equal((await findTicket(id)).verificationStatus, "pending");
+    res = await book(id);
+    assert.equal(res.status, 400);
+
+    // By default admins see everything changed since the approval
+    res = await request(server.app)
+      .get(`/admin/tickets/${id}/revisions/compare`)
+      .set(auth(ADMIN));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.from, 1);
+    assert.equal(res.body.to, 3);
+    assert.deepEqual(res.body.before, {
+      quantity: 8,
+      totalSeats: 8,
+      price: 750,
+      verificationStatus: "approved",
+    });
+    assert.deepEqual(res.body.after, {
+      quantity: 6,
+      totalSeats: 6,
+      price: 900,
+      verificationStatus: "pending",
+    });
+
+    res = await request(server.app)
+      .get(`/admin/tickets/${id}/revisions/compare`)
+      .query({ from: 2, to: 3 })
+      .set(auth(ADMIN));
+    assert.deepEqual(res.body.after, {
+      price: 900,
+      verificationStatus: "pending",
+    });
+    res = await request(server.app)
+      .get(`/admin/tickets/${id}/revisions/compare`)
+      .query({ from: 9 })
+      .set(auth(ADMIN));
+    assert.equal(res.status, 404);
+  });
+});
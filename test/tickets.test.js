@@ -0,0 +1,344 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  futureDate,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+const newTicket = {
+  title: "Dhaka to Sylhet Night Coach",
+  from: "Dhaka",
+  to: "Sylhet",
+  transportType: "bus",
+  price: 900,
+  quantity: 36,
+  departureDate: futureDate(),
+  departureTime: "10:30 PM",
+};
+
+describe("ticket routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  it("POST /tickets ignores fields vendors may not set", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({
+        ...newTicket,
+        verificationStatus: "approved",
+        isAdvertised: true,
+        vendorEmail: "someone@example.com",
+      });
+    assert.equal(res.status, 200);
+
+    const stored = await server.db
+      .collection("tickets")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(stored.verificationStatus, "pending");
+    assert.equal(stored.isAdvertised, false);
+    assert.equal(stored.vendorEmail, VENDOR);
+    assert.equal(stored.totalSeats, 36);
+  });
+
+  it("POST /tickets reports every invalid field", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({ ...newTicket, price: "cheap", quantity: 0 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(
+      res.body.errors.map((e) => e.field),
+      ["body.price", "body.quantity"]
+    );
+  });
+
+  it("PATCH and DELETE /tickets/:id work for the owner", async () => {
+    const ticket = await seedTicket(server.db);
+
+    let res = await request(server.app)
+      .patch(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR))
+      .send({ price: 800, verificationStatus: "approved" });
+    assert.equal(res.status, 200);
+    const stored = await server.db
+      .collection("tickets")
+      .findOne({ _id: ticket._id });
+    assert.equal(stored.price, 800);
+
+    res = await request(server.app)
+      .delete(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deletedCount, 1);
+  });
+
+  it("DELETE /tickets/:id refuses a ticket with active bookings", async () => {
+    const ticket = await seedTicket(server.db);
+    const booking = await seedBooking(server.db, ticket, { status: "paid" });
+
+    let res = await request(server.app)
+      .delete(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 409);
+    assert.ok(
+      await server.db.collection("tickets").findOne({ _id: ticket._id })
+    );
+
+    await server.db
+      .collection("bookings")
+      .updateOne({ _id: booking._id }, { $set: { status: "cancelled" } });
+    res = await request(server.app)
+      .delete(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR));
+    assert.equal(res.status, 200);
+  });
+
+  it("PATCH /tickets/:id changes capacity without losing sold seats", async () => {
+    // 2 of the 8 seats on the layout are sold
+    const ticket = await seedTicket(server.db, { quantity: 6 });
+    const edit = (body) =>
+      request(server.app)
+        .patch(`/tickets/${ticket._id}`)
+        .set(auth(VENDOR))
+        .send(body);
+    const findTicket = () =>
+      server.db.collection("tickets").findOne({ _id: ticket._id });
+
+    let res = await edit({ quantity: 10 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Quantity exceeds seats on the layout");
+    res = await edit({ quantity: 1 });
+    assert.equal(res.status, 400);
+
+    res = await edit({ quantity: 4 });
+    assert.equal(res.status, 200);
+    let stored = await findTicket();
+    assert.equal(stored.totalSeats, 4);
+    assert.equal(stored.quantity, 2);
+
+    // A bigger layout adds its seats to stock
+    res = await edit({ seatLayout: { rows: 3, columns: 4 } });
+    assert.equal(res.status, 200);
+    stored = await findTicket();
+    assert.equal(stored.totalSeats, 12);
+    assert.equal(stored.quantity, 10);
+
+    res = await edit({ seatLayout: { rows: 1, columns: 4 }, quantity: 5 });
+    assert.equal(res.status, 400);
+    assert.equal((await findTicket()).quantity, 10);
+  });
+
+  it("PATCH /tickets/:id keeps seats booked during a capacity decrease", async () => {
+    // 2 of 8 seats are sold; the cut to 3 needs 5 of the 6 left in stock
+    const ticket = await seedTicket(server.db, { quantity: 6 });
+    const [cut, booking] = await Promise.all([
+      request(server.app)
+        .patch(`/tickets/${ticket._id}`)
+        .set(auth(VENDOR))
+        .send({ quantity: 3 }),
+      request(server.app)
+        .post("/bookings")
+        .set(auth(CUSTOMER))
+        .send({ ticketId: ticket._id.toString(), quantity: 2 }),
+    ]);
+
+    // Whichever lands second is refused
+    assert.ok(
+      (cut.status === 200 && booking.status === 409) ||
+        (cut.status === 409 && booking.status === 201)
+    );
+    if (cut.status === 409) {
+      assert.equal(
+        cut.body.message,
+        "4 seat(s) are now sold or held, so capacity can't go below that"
+      );
+    }
+    const stored = await server.db
+      .collection("tickets")
+      .findOne({ _id: ticket._id });
+    const booked = booking.status === 201 ? 2 : 0;
+    assert.equal(stored.totalSeats - stored.quantity, 2 + booked);
+    assert.ok(stored.quantity >= 0);
+  });
+
+  describe("search", () => {
+    beforeEach(async () => {
+      await seedTicket(server.db, { price: 500, departureDate: "2030-01-10" });
+      await seedTicket(server.db, { price: 1200, departureDate: "2030-01-05" });
+      await seedTicket(server.db, {
+        to: "Sylhet",
+        transportType: "train",
+        price: 300,
+        departureDate: "2030-02-01",
+      });
+      await seedTicket(server.db, { verificationStatus: "pending" });
+      await seedTicket(server.db, { isHidden: true });
+    });
+
+    it("GET /tickets/all lists only approved, visible tickets", async () => {
+      const res = await request(server.app).get("/tickets/all");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.tickets.length, 3);
+    });
+
+    it("filters by route case-insensitively and by price", async () => {
+      const res = await request(server.app).get(
+        "/tickets/all?from=dhaka&to=CHATTOGRAM&maxPrice=1000"
+      );
+      assert.equal(res.body.total, 1);
+      assert.equal(res.body.tickets[0].price, 500);
+    });
+
+    it("filters by departure range and sorts", async () => {
+      const res = await request(server.app).get(
+        "/tickets/all?departureFrom=2030-01-01&departureTo=2030-01-31&sort=departure_asc"
+      );
+      assert.deepEqual(
+        res.body.tickets.map((t) => t.departureDate),
+        ["2030-01-05", "2030-01-10"]
+      );
+    });
+
+    it("paginates with totals", async () => {
+      const res = await request(server.app).get(
+        "/tickets/all?sort=price_asc&limit=2&page=2"
+      );
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.totalPages, 2);
+      assert.deepEqual(
+        res.body.tickets.map((t) => t.price),
+        [1200]
+      );
+    });
+
+    it("applies the same filters to vendor and admin lists", async () => {
+      let res = await request(server.app)
+        .get("/vendor/tickets?transportType=train")
+        .set(auth(VENDOR));
+      assert.equal(res.body.total, 1);
+
+      res = await request(server.app)
+        .get("/admin/tickets?to=chattogram")
+        .set(auth(ADMIN));
+      assert.equal(res.body.total, 4);
+    });
+
+    it("GET /tickets/latest and /tickets/advertised-home", async () => {
+      let res = await request(server.app).get("/tickets/latest");
+      assert.equal(res.body.length, 3);
+
+      res = await request(server.app).get("/tickets/advertised-home");
+      assert.equal(res.body.length, 0);
+    });
+  });
+
+  it("GET /tickets/:id returns one ticket", async () => {
+    const ticket = await seedTicket(server.db);
+    const res = await request(server.app).get(`/tickets/${ticket._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, ticket.title);
+  });
+
+  it("GET /tickets/:id/seats reports held, booked and blocked seats", async () => {
+    const ticket = await seedTicket(server.db, {
+      seatLayout: {
+        rows: 2,
+        columns: 4,
+        blockedSeats: ["2D"],
+        seatClasses: [{ name: "business", rows: [1] }],
+      },
+    });
+    await seedBooking(server.db, ticket, {
+      seatNumbers: ["1A"],
+      status: "pending",
+    });
+    await seedBooking(server.db, ticket, {
+      seatNumbers: ["1B"],
+      status: "paid",
+    });
+
+    const res = await request(server.app).get(`/tickets/${ticket._id}/seats`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, {
+      available: 5,
+      held: 1,
+      booked: 1,
+      blocked: 1,
+    });
+    assert.equal(res.body.seats[0].seatClass, "business");
+  });
+
+  describe("admin moderation", () => {
+    it("verifies tickets", async () => {
+      const ticket = await seedTicket(server.db, {
+        verificationStatus: "pending",
+      });
+      const res = await request(server.app)
+        .patch(`/admin/tickets/${ticket._id}/verify`)
+        .set(auth(ADMIN))
+        .send({ verificationStatus: "approved" });
+      assert.equal(res.status, 200);
+    });
+
+    it("toggles advertising for approved tickets", async () => {
+      const ticket = await seedTicket(server.db);
+      const res = await request(server.app)
+        .patch(`/admin/tickets/advertise/${ticket._id}`)
+        .set(auth(ADMIN));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isAdvertised, true);
+    });
+  });
+
+  it("GET /vendor/bookings and /vendor/revenue summarise sales", async () => {
+    const ticket = await seedTicket(server.db);
+    await seedBooking(server.db, ticket, {
+      status: "paid",
+      paidAt: new Date().toISOString(),
+      quantity: 2,
+      totalPrice: 1500,
+    });
+
+    let res = await request(server.app)
+      .get("/vendor/bookings")
+      .set(auth(VENDOR));
+    assert.equal(res.body.length, 1);
+
+    res = await request(server.app).get("/vendor/revenue").set(auth(VENDOR));
+    assert.deepEqual(res.body.totalsByCurrency, [
+      {
+        currency: "BDT",
+        totalRevenue: 1500,
+        grossRevenue: 1500,
+        totalRefunded: 0,
+        totalTicketsSold: 2,
+      },
+    ]);
+    // The figures clients read before currencies, for the only currency
+    assert.equal(res.body.currency, "BDT");
+    assert.equal(res.body.totalRevenue, 1500);
+    assert.equal(res.body.grossRevenue, 1500);
+    assert.equal(res.body.totalRefunded, 0);
+    assert.equal(res.body.totalTicketsSold, 2);
+    assert.equal(res.body.totalTicketsAdded, 1);
+  });
+});
@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const { RequestError } = require("../src/errors");
+const { isValidDate } = require("../src/datetime");
+const {
+  buildTripSchedule,
+  updateTripSchedule,
+} = require("../src/services/tripSchedule");
+const {
+  VENDOR,
+  CUSTOMER,
+  auth,
+  departingIn,
+  futureDate,
+  seedUsers,
+  seedTicket,
+  seedBooking,
+} = require("./support/fixtures");
+
+describe("trip schedules", () => {
+  it("stores the departure as a UTC instant in the ticket's time zone", () => {
+    assert.deepEqual(
+      buildTripSchedule({
+        departureDate: "2030-03-01",
+        departureTime: "21:30",
+        durationMinutes: 330,
+      }),
+      {
+        timeZone: "Asia/Dhaka",
+        departureAt: "2030-03-01T15:30:00.000Z",
+        departureDate: "2030-03-01",
+        departureTime: "9:30 PM",
+        arrivalAt: "2030-03-01T21:00:00.000Z",
+        arrivalDate: "2030-03-02",
+        arrivalTime: "3:00 AM",
+        durationMinutes: 330,
+      }
+    );
+  });
+
+  it("follows daylight saving time", () => {
+    const winter = buildTripSchedule({
+      departureDate: "2030-01-15",
+      departureTime: "9:00 AM",
+      timeZone: "Europe/London",
+    });
+    const summer = buildTripSchedule({
+      departureDate: "2030-07-15",
+      departureTime: "9:00 AM",
+      timeZone: "Europe/London",
+    });
+    assert.equal(winter.departureAt, "2030-01-15T09:00:00.000Z");
+    assert.equal(summer.departureAt, "2030-07-15T08:00:00.000Z");
+  });
+
+  it("reads arrival as a timestamp or an overnight local time", () => {
+    const byTimestamp = buildTripSchedule({
+      departureDate: "2030-03-01",
+      departureTime: "10:00 PM",
+      arrivalAt: "2030-03-02T06:15:00+06:00",
+    });
+    assert.equal(byTimestamp.durationMinutes, 495);
+
+    const overnight = buildTripSchedule({
+      departureDate: "2030-03-01",
+      departureTime: "10:00 PM",
+      arrivalTime: "6:15 AM",
+    });
+    assert.equal(overnight.arrivalAt, byTimestamp.arrivalAt);
+  });
+
+  it("rejects schedules that can't be right", () => {
+    const base = { departureDate: "2030-03-01", departureTime: "9:00 AM" };
+    for (const input of [
+      { ...base, departureTime: "morning" },
+      { ...base, timeZone: "Mars/Olympus" },
+      { ...base, arrivalAt: "2030-03-01T08:00:00" },
+      { ...base, arrivalAt: "2030-03-01T08:00:00+06:00" },
+      { ...base, departureDate: "2030-02-31" },
+      { ...base, departureDate: "2030-13-01" },
+    ]) {
+      assert.throws(() => buildTripSchedule(input), RequestError);
+    }
+  });
+
+  it("only accepts dates that exist", () => {
+    assert.equal(isValidDate("2028-02-29"), true);
+    assert.equal(isValidDate("2030-02-29"), false);
+    assert.equal(isValidDate("2030-04-31"), false);
+    assert.equal(isValidDate("2030-4-01"), false);
+  });
+
+  it("keeps the route length when only the departure moves", () => {
+    const trip = buildTripSchedule({
+      departureDate: "2030-03-01",
+      departureTime: "9:00 AM",
+      durationMinutes: 240,
+    });
+    const moved = updateTripSchedule(trip, { departureTime: "11:00 AM" });
+    assert.equal(moved.arrivalTime, "3:00 PM");
+    assert.equal(updateTripSchedule(trip, { price: 500 }), null);
+  });
+});
+
+describe("departure rules", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  it("rejects departure dates that don't exist", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({
+        title: "Dhaka to Khulna Express",
+        from: "Dhaka",
+        to: "Khulna",
+        transportType: "bus",
+        price: 900,
+        quantity: 30,
+        departureDate: "2030-02-31",
+        departureTime: "8:00 AM",
+      });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.field === "body.departureDate"));
+  });
+
+  it("saves a vendor's ticket with its schedule", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({
+        title: "Dhaka to Cox's Bazar Sleeper",
+        from: "Dhaka",
+        to: "Cox's Bazar",
+        transportType: "bus",
+        price: 1800,
+        quantity: 30,
+        departureDate: futureDate(),
+        departureTime: "22:00",
+        durationMinutes: 600,
+      });
+    assert.equal(res.status, 200);
+
+    const ticket = await server.db
+      .collection("tickets")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(ticket.timeZone, "Asia/Dhaka");
+    assert.equal(ticket.departureTime, "10:00 PM");
+    assert.equal(ticket.arrivalTime, "8:00 AM");
+    assert.equal(
+      new Date(ticket.arrivalAt) - new Date(ticket.departureAt),
+      600 * 60 * 1000
+    );
+  });
+
+  it("refuses tickets that have already left", async () => {
+    const res = await request(server.app)
+      .post("/tickets")
+      .set(auth(VENDOR))
+      .send({
+        title: "Yesterday's Coach",
+        from: "Dhaka",
+        to: "Khulna",
+        transportType: "bus",
+        price: 700,
+        quantity: 30,
+        departureDate: "2020-01-01",
+        departureTime: "9:00 AM",
+      });
+    assert.equal(res.status, 400);
+  });
+
+  it("does not book or take payment for departed trips", async () => {
+    const ticket = await seedTicket(server.db, departingIn(-2));
+    let res = await request(server.app)
+      .post("/bookings")
+      .set(auth(CUSTOMER))
+      .send({ ticketId: ticket._id.toString(), quantity: 1 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "This trip has already departed");
+
+    const booking = await seedBooking(server.db, ticket);
+    res = await request(server.app)
+      .post("/create-payment-intent")
+      .set(auth(CUSTOMER))
+      .send({ bookingId: booking._id.toString() });
+    assert.equal(res.status, 400);
+
+    res = await request(server.app).post("/payments").set(auth(CUSTOMER)).send({
+      bookingId: booking._id.toString(),
+      transactionId: "pi_test_1",
+      amount: booking.totalPrice,
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Cannot pay for a trip that has departed");
+  });
+
+  it("moves active bookings with a rescheduled ticket", async () => {
+    const ticket = await seedTicket(server.db);
+    const booking = await seedBooking(server.db, ticket, { status: "paid" });
+
+    const res = await request(server.app)
+      .patch(`/tickets/${ticket._id}`)
+      .set(auth(VENDOR))
+      .send({ departureTime: "11:45 PM" });
+    assert.equal(res.status, 200);
+
+    const moved = await server.db
+      .collection("bookings")
+      .findOne({ _id: booking._id });
+    assert.equal(moved.departureTime, "11:45 PM");
+    assert.notEqual(moved.departureAt, booking.departureAt);
+  });
+
+  it("migrates free-form departures", async () => {
+    const { insertedId } = await server.db.collection("tickets").insertOne({
+      title: "Legacy",
+      from: "Dhaka",
+      to: "Rajshahi",
+      price: 600,
+      quantity: 20,
+      vendorEmail: VENDOR,
+      departureDate: "2030-05-10",
+      departureTime: "7:30 AM",
+      arrivalTime: "N/A",
+    });
+    await server.setupDatabase();
+
+    const ticket = await server.db
+      .collection("tickets")
+      .findOne({ _id: insertedId });
+    assert.equal(ticket.departureAt, "2030-05-10T01:30:00.000Z");
+    assert.equal(ticket.timeZone, "Asia/Dhaka");
+    assert.equal(ticket.arrivalAt, null);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+describe("user and admin routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  it("GET / answers", async () => {
+    const res = await request(server.app).get("/");
+    assert.equal(res.status, 200);
+  });
+
+  it("POST /user creates a customer and keeps an existing role", async () => {
+    let res = await request(server.app)
+      .post("/user")
+      .send({ email: "new@example.com", name: "New" });
+    assert.equal(res.status, 200);
+
+    res = await request(server.app).post("/user").send({ email: VENDOR });
+    assert.equal(res.status, 200);
+
+    const users = server.db.collection("users");
+    assert.equal(
+      (await users.findOne({ email: "new@example.com" })).role,
+      "customer"
+    );
+    assert.equal((await users.findOne({ email: VENDOR })).role, "vendor");
+  });
+
+  it("POST /user requires a valid email", async () => {
+    const res = await request(server.app).post("/user").send({ name: "x" });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [
+      { field: "body.email", message: "is required" },
+    ]);
+  });
+
+  it("GET /user/role and /user/profile return the caller", async () => {
+    let res = await request(server.app).get("/user/role").set(auth(VENDOR));
+    assert.deepEqual(res.body, { role: "vendor" });
+
+    res = await request(server.app).get("/user/profile").set(auth(CUSTOMER));
+    assert.equal(res.body.email, CUSTOMER);
+  });
+
+  it("PUT /user/profile validates and saves", async () => {
+    let res = await request(server.app)
+      .put("/user/profile")
+      .set(auth(CUSTOMER))
+      .field("name", "A");
+    assert.equal(res.status, 400);
+
+    res = await request(server.app)
+      .put("/user/profile")
+      .set(auth(CUSTOMER))
+      .field("name", "Rahim Uddin")
+      .field("phone", "+880 1711-000000");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, "Rahim Uddin");
+  });
+
+  it("PATCH /admin/users/:email/role changes roles", async () => {
+    const res = await request(server.app)
+      .patch(`/admin/users/${CUSTOMER}/role`)
+      .set(auth(ADMIN))
+      .send({ role: "vendor" });
+    assert.equal(res.status, 200);
+    const user = await server.db
+      .collection("users")
+      .findOne({ email: CUSTOMER });
+    assert.equal(user.role, "vendor");
+  });
+
+  it("PATCH /admin/users/:email/fraud hides the vendor's tickets", async () => {
+    const ticket = await seedTicket(server.db);
+    const res = await request(server.app)
+      .patch(`/admin/users/${VENDOR}/fraud`)
+      .set(auth(ADMIN));
+    assert.equal(res.status, 200);
+    const stored = await server.db
+      .collection("tickets")
+      .findOne({ _id: ticket._id });
+    assert.equal(stored.isHidden, true);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const sharp = require("sharp");
+const { ObjectId } = require("mongodb");
+const { startTestServer } = require("./support/server");
+const {
+  ADMIN,
+  VENDOR,
+  CUSTOMER,
+  auth,
+  futureDate,
+  seedUsers,
+  seedTicket,
+} = require("./support/fixtures");
+
+function makeImage() {
+  return sharp({
+    create: { width: 600, height: 400, channels: 3, background: "#43a047" },
+  })
+    .png()
+    .toBuffer();
+}
+
+describe("vendor onboarding", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await seedUsers(server.db);
+  });
+
+  const apply = async (email = CUSTOMER) =>
+    request(server.app)
+      .post("/vendor/applications")
+      .set(auth(email))
+      .field("companyName", "Green Line Paribahan")
+      .field("contactName", "Karim Ahmed")
+      .field("contactPhone", "+880 1711-223344")
+      .field("tradeLicenseNumber", "TRAD/DNCC/12345")
+      .attach("documents", await makeImage(), "trade-license.png");
+  const review = (id, body) =>
+    request(server.app)
+      .patch(`/admin/vendor-applications/${id}`)
+      .set(auth(ADMIN))
+      .send(body);
+  const findUser = (email) => server.db.collection("users").findOne({ email });
+
+  it("creates new users as customers whatever role they send", async () => {
+    await request(server.app)
+      .post("/user")
+      .send({ email: "new@example.com", role: "admin" });
+    assert.equal((await findUser("new@example.com")).role, "customer");
+  });
+
+  it("promotes a customer once an admin approves them", async () => {
+    let res = await apply();
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "pending");
+    assert.equal(res.body.contactEmail, CUSTOMER);
+    assert.equal(res.body.documents.length, 1);
+    const id = res.body._id;
+
+    res = await apply();
+    assert.equal(res.status, 409);
+
+    res = await request(server.app)
+      .get("/admin/vendor-applications")
+      .set(auth(ADMIN));
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.applications[0].companyName, "Green Line Paribahan");
+
+    // Documents are for admins only
+    const { mediaId } = res.body.applications[0].documents[0];
+    res = await request(server.app).get(`/media/${mediaId}`);
+    assert.equal(res.status, 404);
+    res = await request(server.app)
+      .get(`/admin/vendor-applications/${id}/documents/${mediaId}`)
+      .set(auth(ADMIN));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "image/webp");
+
+    res = await review(id, { decision: "approved", note: "Welcome aboard" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "approved");
+    assert.equal(res.body.reviewedBy, ADMIN);
+    res = await review(id, { decision: "rejected" });
+    assert.equal(res.status, 409);
+
+    const user = await findUser(CUSTOMER);
+    assert.equal(user.role, "vendor");
+    assert.equal(user.vendorProfile.companyName, "Green Line Paribahan");
+    const mail = await server.db
+      .collection("notifications")
+      .findOne({ type: "vendorApplication.approved", to: CUSTOMER });
+    assert.match(mail.text, /Welcome aboard/);
+  });
+
+  it("lets a rejected applicant apply again", async () => {
+    let res = await apply();
+    res = await review(res.body._id, {
+      decision: "rejected",
+      note: "The trade license is unreadable",
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await findUser(CUSTOMER)).role, "customer");
+
+    res = await request(server.app)
+      .get("/vendor/applications/mine")
+      .set(auth(CUSTOMER));
+    assert.equal(res.body[0].reviewNote, "The trade license is unreadable");
+
+    res = await apply();
+    assert.equal(res.status, 201);
+    res = await apply(VENDOR);
+    assert.equal(res.status, 400);
+  });
+
+  it("keeps PDF documents as they were uploaded", async () => {
+    const pdf = Buffer.from(
+      "%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n"
+    );
+    const submit = (file, contentType) =>
+      request(server.app)
+        .post("/vendor/applications")
+        .set(auth(CUSTOMER))
+        .field("companyName", "Green Line Paribahan")
+        .field("contactName", "Karim Ahmed")
+        .field("contactPhone", "+880 1711-223344")
+        .attach("documents", file, {
+          filename: "trade-license.pdf",
+          contentType,
+        });
+
+    let res = await submit(Buffer.from("not a pdf"), "application/pdf");
+    assert.equal(res.status, 400);
+    res = await submit(pdf, "application/pdf");
+    assert.equal(res.status, 201);
+    const { _id: id, documents } = res.body;
+    assert.equal(documents[0].name, "trade-license.pdf");
+
+    res = await request(server.app)
+      .get(`/admin/vendor-applications/${id}/documents/${documents[0].mediaId}`)
+      .set(auth(ADMIN))
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => done(null, Buffer.concat(chunks)));
+      });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "application/pdf");
+    assert.ok(res.body.equals(pdf));
+  });
+
+  it("turns away documents that are neither images nor PDFs", async () => {
+    const res = await request(server.app)
+      .post("/vendor/applications")
+      .set(auth(CUSTOMER))
+      .field("companyName", "Green Line Paribahan")
+      .field("contactName", "Karim Ahmed")
+      .field("contactPhone", "+880 1711-223344")
+      .attach("documents", Buffer.from("a,b"), {
+        filename: "license.csv",
+        contentType: "text/csv",
+      });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Only image and PDF files are allowed!");
+  });
+
+  it("shows the vendor profile on the vendor's tickets", async () => {
+    const old = await seedTicket(server.db);
+    let res = await request(server.app)
+      .put("/vendor/profile")
+      .set(auth(VENDOR))
+      .field("companyName", "Shohagh Paribahan")
+      .field("contactName", "Vendor")
+      .field("contactPhone", "+880 1811-000000")
+      .attach("logo", await makeImage(), "logo.png");
+    assert.equal(res.status, 200);
+    const { logo } = res.body.vendorProfile;
+    assert.ok(logo);
+
+    res = await request(server.app).get(`/tickets/${old._id}`);
+    assert.equal(res.body.vendor.companyName, "Shohagh Paribahan");
+    assert.equal(res.body.vendor.logo, logo);
+    assert.equal(res.body.vendorName, "Shohagh Paribahan");
+
+    res = await request(server.app).post("/tickets").set(auth(VENDOR)).send({
+      title: "Dhaka to Khulna Express",
+      from: "Dhaka",
+      to: "Khulna",
+      transportType: "bus",
+      price: 90000,
+      quantity: 20,
+      departureDate: futureDate(),
+      departureTime: "9:00 PM",
+    });
+    assert.equal(res.status, 200);
+    const created = await server.db
+      .collection("tickets")
+      .findOne({ _id: new ObjectId(res.body.insertedId) });
+    assert.equal(created.vendor.contactPhone, "+880 1811-000000");
+  });
+});